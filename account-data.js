@@ -0,0 +1,375 @@
+// ========================
+// SOLOSAFE - ACCOUNT DATA
+// Export of everything an account holds as one versioned JSON bundle,
+// and import of such a bundle into the signed-in account, to move
+// between devices or between backends. Files from older versions are
+// migrated forward before they are validated.
+// Needs contact-book.js
+// ========================
+
+const ACCOUNT_BUNDLE_SCHEMA = 'solosafe-account';
+const ACCOUNT_BUNDLE_VERSION = 2;
+
+// Profile fields exported; an import never changes the account's email
+const ACCOUNT_PROFILE_FIELDS = ['name', 'username', 'email', 'phone', 'nationality', 'profilePicture', 'createdAt'];
+
+// Trip fields kept in their own sections of the bundle instead
+const ACCOUNT_TRIP_SPLIT_FIELDS = ['userId', 'checkIns', 'sosTriggered', 'sosTimestamp', 'sosLocation'];
+
+// Trip fields that only mean something while the trip runs, dropped on import
+const ACCOUNT_TRIP_LIVE_FIELDS = [
+    'nextCheckIn', 'escalationProgress', 'sosAcknowledgements',
+    'duressActive', 'duressTimestamp', 'duressLocation', 'duressAcknowledgements', 'duressEvents'
+];
+
+/**
+ * @typedef {Object} AccountBundle
+ * @property {'solosafe-account'} schema
+ * @property {number} version
+ * @property {string} exportedAt - ISO date
+ * @property {Object} profile - ACCOUNT_PROFILE_FIELDS of the user
+ * @property {{darkMode: boolean}} preferences
+ * @property {BookContact[]} contacts - the contact book and everyone on any trip, once
+ * @property {Trip[]} trips - without check-ins and SOS state
+ * @property {(CheckInRecord & {tripId: string})[]} checkIns
+ * @property {{tripId: string, type: 'sos', timestamp: ?string, latitude: ?number, longitude: ?number, active: boolean}[]} alerts
+ */
+
+/**
+ * Field rules per record section: a type name, '?' for optional,
+ * or a list of allowed values
+ */
+const ACCOUNT_BUNDLE_RULES = {
+    contacts: { name: 'string', email: 'email', phone: 'string?', channels: 'array?' },
+    trips: {
+        _id: 'string',
+        destination: 'string',
+        startDate: 'date',
+        endDate: 'date',
+        checkInFrequency: 'number?',
+        status: 'string?',
+        legs: 'array?',
+        emergencyContacts: 'array?'
+    },
+    checkIns: { tripId: 'tripId', timestamp: 'date', method: ['manual', 'geofence'] },
+    alerts: { tripId: 'tripId', type: ['sos'], timestamp: 'date?' }
+};
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pick(source, fields) {
+    return fields.reduce((picked, field) => {
+        if (source[field] !== undefined && source[field] !== null) picked[field] = source[field];
+        return picked;
+    }, {});
+}
+
+/**
+ * The contact book plus everyone on a trip, one per email address
+ */
+function collectContacts(trips, saved = []) {
+    const byEmail = new Map();
+    [...saved, ...trips.flatMap(trip => trip.emergencyContacts || [])].forEach(contact => {
+        if (!contact || !contact.email) return;
+        const key = contact.email.trim().toLowerCase();
+        if (!byEmail.has(key)) byEmail.set(key, pick(contact, CONTACT_TRIP_FIELDS));
+    });
+    return [...byEmail.values()];
+}
+
+/**
+ * Put account data together as a bundle of the current version
+ * @returns {AccountBundle}
+ */
+function createAccountBundle({ user = {}, trips = [], contacts = [], preferences = {} }, exportedAt = new Date().toISOString()) {
+    const checkIns = trips.flatMap(trip => (trip.checkIns || []).map(checkIn => ({ tripId: trip._id, ...checkIn })));
+
+    const alerts = trips
+        .filter(trip => trip.sosTriggered || trip.sosTimestamp)
+        .map(trip => ({
+            tripId: trip._id,
+            type: 'sos',
+            timestamp: trip.sosTimestamp || null,
+            latitude: trip.sosLocation ? trip.sosLocation.latitude : null,
+            longitude: trip.sosLocation ? trip.sosLocation.longitude : null,
+            active: !!trip.sosTriggered
+        }));
+
+    return {
+        schema: ACCOUNT_BUNDLE_SCHEMA,
+        version: ACCOUNT_BUNDLE_VERSION,
+        exportedAt,
+        profile: pick(user, ACCOUNT_PROFILE_FIELDS),
+        preferences: { darkMode: !!preferences.darkMode },
+        contacts: collectContacts(trips, contacts),
+        trips: trips.map(trip => {
+            const copy = { ...trip };
+            ACCOUNT_TRIP_SPLIT_FIELDS.forEach(field => delete copy[field]);
+            return copy;
+        }),
+        checkIns,
+        alerts
+    };
+}
+
+/**
+ * Upgrades from each old version to the next
+ */
+const ACCOUNT_BUNDLE_MIGRATIONS = {
+    // The original download: { user, trips, exportDate }, trips as cached
+    0: legacy => createAccountBundle(
+        { user: legacy.user || {}, trips: Array.isArray(legacy.trips) ? legacy.trips : [] },
+        legacy.exportDate || null
+    ),
+    // Version 1 contacts had a single preferredChannel instead of ordered channels
+    1: bundle => {
+        const withChannels = contact => {
+            if (!isPlainObject(contact) || !contact.preferredChannel) return contact;
+            const { preferredChannel, ...rest } = contact;
+            return { ...rest, channels: getContactChannels(contact) };
+        };
+        const mapList = (list, fn) => (Array.isArray(list) ? list.map(fn) : list);
+
+        return {
+            ...bundle,
+            version: 2,
+            contacts: mapList(bundle.contacts, withChannels),
+            trips: mapList(bundle.trips, trip => (isPlainObject(trip)
+                ? { ...trip, emergencyContacts: mapList(trip.emergencyContacts, withChannels) }
+                : trip))
+        };
+    }
+};
+
+function getBundleVersion(data) {
+    if (data.schema === undefined && data.user && Array.isArray(data.trips)) return 0;
+    return data.version;
+}
+
+/**
+ * Bring a bundle from any known version up to ACCOUNT_BUNDLE_VERSION
+ * Throws for files that are not SoloSafe data or are too new
+ */
+function migrateAccountBundle(data) {
+    if (!isPlainObject(data)) throw new Error('That file is not a SoloSafe data export');
+
+    let version = getBundleVersion(data);
+    if (version !== 0 && data.schema !== ACCOUNT_BUNDLE_SCHEMA) {
+        throw new Error('That file is not a SoloSafe data export');
+    }
+    if (!Number.isInteger(version)) throw new Error('The data export has no version');
+    if (version > ACCOUNT_BUNDLE_VERSION) {
+        throw new Error('This data export was made by a newer version of SoloSafe');
+    }
+
+    let bundle = data;
+    while (version < ACCOUNT_BUNDLE_VERSION) {
+        bundle = ACCOUNT_BUNDLE_MIGRATIONS[version](bundle);
+        version = bundle.version;
+    }
+    return bundle;
+}
+
+function checkField(value, rule, tripIds) {
+    if (Array.isArray(rule)) return rule.includes(value);
+
+    const optional = rule.endsWith('?');
+    if (value === undefined || value === null) return optional;
+
+    switch (rule.replace('?', '')) {
+        case 'string': return typeof value === 'string' && (optional || value.trim() !== '');
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'date': return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+        case 'email': return typeof value === 'string' && /^[^\s@]+@[^\s@]+$/.test(value);
+        case 'tripId': return tripIds.has(value);
+        default: return false;
+    }
+}
+
+/**
+ * Check a bundle of the current version against ACCOUNT_BUNDLE_RULES
+ * @returns {string[]} problems found, empty when the bundle is valid
+ */
+function validateAccountBundle(bundle) {
+    const errors = [];
+
+    if (!isPlainObject(bundle.profile)) errors.push('profile must be an object');
+    if (!isPlainObject(bundle.preferences)) errors.push('preferences must be an object');
+
+    const tripIds = new Set(Array.isArray(bundle.trips) ? bundle.trips.map(trip => trip && trip._id) : []);
+
+    Object.entries(ACCOUNT_BUNDLE_RULES).forEach(([section, rules]) => {
+        const records = bundle[section];
+        if (!Array.isArray(records)) {
+            errors.push(`${section} must be a list`);
+            return;
+        }
+
+        records.forEach((record, index) => {
+            if (!isPlainObject(record)) {
+                errors.push(`${section}[${index}] must be an object`);
+                return;
+            }
+            Object.entries(rules).forEach(([field, rule]) => {
+                if (!checkField(record[field], rule, tripIds)) {
+                    errors.push(`${section}[${index}].${field} is missing or invalid`);
+                }
+            });
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Read a data export file's text into a current, valid bundle
+ * Throws with a message for the user otherwise
+ * @returns {AccountBundle}
+ */
+function parseAccountBundle(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('That file is not a SoloSafe data export');
+    }
+
+    const bundle = migrateAccountBundle(data);
+    const errors = validateAccountBundle(bundle);
+    if (errors.length) {
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        throw new Error(`The data export is damaged: ${errors[0]}${more}`);
+    }
+    return bundle;
+}
+
+/**
+ * Counts shown before importing
+ */
+function getAccountBundleSummary(bundle) {
+    return {
+        trips: bundle.trips.length,
+        contacts: bundle.contacts.length,
+        checkIns: bundle.checkIns.length,
+        alerts: bundle.alerts.length,
+        exportedAt: bundle.exportedAt
+    };
+}
+
+/**
+ * Trips of a bundle with their check-ins put back, as history only:
+ * nothing may fire for them on the new account. Trips still open that
+ * have started come back completed, upcoming ones without a check-in
+ * due, and an SOS or duress alert that was live is kept as a past event.
+ * @returns {Trip[]}
+ */
+function restoreBundleTrips(bundle, now = getNow()) {
+    return bundle.trips.map(trip => {
+        const checkIns = bundle.checkIns
+            .filter(checkIn => checkIn.tripId === trip._id)
+            .map(({ tripId, ...checkIn }) => checkIn);
+        const alert = bundle.alerts.find(a => a.tripId === trip._id && a.type === 'sos');
+
+        const restored = { ...trip, checkIns };
+        const finished = ['completed', 'cancelled', 'canceled'].includes(String(trip.status).toLowerCase());
+        if (!finished) {
+            restored.status = new Date(trip.startDate).getTime() > now ? 'Active' : 'Completed';
+        }
+
+        if (alert) {
+            restored.sosTriggered = false;
+            restored.sosTimestamp = alert.timestamp;
+            if (alert.latitude != null && alert.longitude != null) {
+                restored.sosLocation = { latitude: alert.latitude, longitude: alert.longitude };
+            }
+        }
+
+        const duressEvents = trip.duressEvents
+            || (trip.duressTimestamp ? [{ type: 'sos', timestamp: trip.duressTimestamp, source: 'duress' }] : []);
+        if (duressEvents.length) {
+            restored.events = [...(trip.events || []), ...duressEvents]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+
+        ACCOUNT_TRIP_LIVE_FIELDS.forEach(field => delete restored[field]);
+        return restored;
+    });
+}
+
+/**
+ * Everything the signed-in account holds, fresh from the backend
+ * when online and from the offline cache otherwise
+ * @returns {Promise<AccountBundle>}
+ */
+async function buildAccountBundle() {
+    const [trips, contacts] = await Promise.all([getAllTrips(), loadContactBook()]);
+
+    return createAccountBundle({
+        user: getCurrentUser() || {},
+        trips,
+        contacts,
+        preferences: { darkMode: localStorage.getItem('solosafe_dark_mode') === 'true' }
+    });
+}
+
+/**
+ * Download the account's data as a JSON bundle
+ */
+async function downloadUserData() {
+    try {
+        const bundle = await buildAccountBundle();
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `SoloSafe_UserData_${bundle.exportedAt.slice(0, 10)}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+        showToast('User data downloaded!', 'success');
+    } catch (err) {
+        console.error('Download user data error:', err);
+        showToast('Could not download your data', 'error');
+    }
+}
+
+/**
+ * Load a bundle into the signed-in account
+ * 'merge' adds trips and contacts that are not there yet and fills in
+ * empty profile fields; 'replace' swaps out the account's trips,
+ * contacts, profile and preferences for the bundle's
+ * @param {AccountBundle} bundle
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<{imported: number, skipped: number}>} trip counts
+ */
+async function importUserData(bundle, mode = 'merge') {
+    const result = await SoloSafeAPI.account.import({
+        mode,
+        profile: bundle.profile,
+        contacts: bundle.contacts,
+        trips: restoreBundleTrips(bundle)
+    });
+
+    if (mode === 'replace') {
+        localStorage.setItem('solosafe_dark_mode', bundle.preferences.darkMode);
+        document.body.classList.toggle('dark-mode', bundle.preferences.darkMode);
+    }
+
+    if (result.user) updateUserProfile(result.user);
+    await Promise.all([getAllTrips(), loadContactBook()]);
+
+    return { imported: result.imported, skipped: result.skipped };
+}
+
+window.createAccountBundle = createAccountBundle;
+window.migrateAccountBundle = migrateAccountBundle;
+window.validateAccountBundle = validateAccountBundle;
+window.parseAccountBundle = parseAccountBundle;
+window.getAccountBundleSummary = getAccountBundleSummary;
+window.restoreBundleTrips = restoreBundleTrips;
+window.downloadUserData = downloadUserData;
+window.importUserData = importUserData;
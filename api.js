@@ -0,0 +1,500 @@
+// ========================
+// SOLOSAFE - API CLIENT
+// Every backend call goes through here: base URL, auth header,
+// JSON parsing and error handling live in one place
+// ========================
+
+const DEFAULT_API_BASE_URL = 'https://solosafe-backend.onrender.com/api';
+
+/**
+ * @typedef {Object} GeoPoint
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ */
+
+/**
+ * Contact on a trip
+ * @typedef {Object} EmergencyContact
+ * @property {string} [_id]
+ * @property {string} [contactId] - the BookContact it was picked from, see contact-book.js
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [phone]
+ * @property {string} [relationship]
+ * @property {('push'|'email'|'sms'|'whatsapp'|'call')[]} [channels] - tried in order until one delivers
+ * @property {string} [language]
+ * @property {'pending'|'accepted'|'declined'|'bounced'} [status] - of their invitation
+ */
+
+/**
+ * @typedef {Object} ContactInvitation
+ * @property {string} travellerName - who asked
+ * @property {string} contactName
+ * @property {'pending'|'accepted'|'declined'|'bounced'} status
+ */
+
+/**
+ * @typedef {Object} Trip
+ * @property {string} _id
+ * @property {string} userId
+ * @property {string} destination
+ * @property {string} startDate - ISO date
+ * @property {string} endDate - ISO date
+ * @property {string} [accommodation]
+ * @property {string} [timeZone] - IANA zone, e.g. 'Europe/Lisbon'; dates and check-in times are wall-clock times there
+ * @property {TripLeg[]} [legs] - stops in travel order; destination/dates/accommodation summarise them
+ * @property {number} checkInFrequency - minutes, the interval of checkInSchedule
+ * @property {CheckInSchedule} [checkInSchedule] - every N minutes or set times, quiet hours; see checkin-schedule.js
+ * @property {number} [gracePeriod] - minutes
+ * @property {EscalationStep[]} [escalationPolicy] - missed check-in ladder, ends with 'sos'
+ * @property {'Active'|'EMERGENCY'|'Completed'|'Cancelled'} [status] - stored part of the trip's state, see trip-status.js
+ * @property {string} [lastCheckIn] - ISO date
+ * @property {string} [nextCheckIn] - ISO date
+ * @property {EmergencyContact[]} [emergencyContacts]
+ * @property {LocationPoint} [lastKnownLocation]
+ * @property {LocationPoint[]} [locationHistory] - every reported position, oldest first
+ * @property {Geofence[]} [geofences] - safe zones, see geofences.js
+ * @property {PlannedRoute} [plannedRoute] - path to stay near while tracking, see planned-route.js
+ * @property {CheckInRecord[]} [checkIns] - oldest first
+ * @property {TripEvent[]} [events] - check-ins, missed check-ins, SOS and trip end, see trip-events.js
+ * @property {ContactDelivery[]} [sosDeliveries] - how the last SOS reached each contact, see contact-book.js
+ * @property {SosAcknowledgement[]} [sosAcknowledgements] - contacts responding to the last SOS, see sos-response.js
+ * @property {boolean} [duressActive] - a silent SOS from a duress check-in is live; cleared once resolved or cancelled
+ * @property {string} [duressTimestamp] - ISO date the silent SOS was raised
+ */
+
+/**
+ * @typedef {Object} CheckInRecord
+ * @property {string} timestamp - ISO date
+ * @property {'manual'|'geofence'} method - 'geofence': confirmed by arriving in a safe zone
+ * @property {string} [geofenceId]
+ * @property {string} [geofenceName]
+ * @property {number} [latitude] - where the check-in was made, when known
+ * @property {number} [longitude]
+ * @property {?number} [accuracy]
+ * @property {boolean} [offline] - sent late from the offline queue
+ */
+
+/**
+ * @typedef {Object} LocationPoint
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {?number} [accuracy] - metres
+ * @property {string} [timestamp] - ISO date the position was taken
+ */
+
+/**
+ * @typedef {Object} TripLeg
+ * @property {string} city
+ * @property {string} startDate - ISO date
+ * @property {string} endDate - ISO date
+ * @property {'flight'|'train'|'bus'|'car'|'ferry'|'other'} transport - how the traveller gets there
+ * @property {string} [bookingRef]
+ * @property {string} [accommodation] - address
+ * @property {?number} [latitude]
+ * @property {?number} [longitude]
+ */
+
+/**
+ * @typedef {Object} EscalationStep
+ * @property {number} after - minutes after the missed check-in
+ * @property {'remind'|'notify_first'|'notify_all'|'sos'} action
+ */
+
+/**
+ * Link that lets someone without an account follow a trip
+ * @typedef {Object} TripShare
+ * @property {string} _id
+ * @property {string} token - signed by the backend, goes in the link
+ * @property {'status'|'location'} scope - 'location' adds position, accommodation
+ *   and how to reach the other emergency contacts; 'status' names them only
+ * @property {string} [label] - who the link was made for
+ * @property {'sos'} [purpose] - 'sos' for the link SOS alerts send to every contact
+ * @property {string} createdAt - ISO date
+ * @property {string} expiresAt - ISO date
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [username]
+ * @property {string} [profilePicture]
+ * @property {string} [phone]
+ * @property {string} [nationality]
+ */
+
+/**
+ * Error returned by the backend (non-2xx response)
+ * Network failures are not wrapped: fetch's TypeError is passed through
+ * so callers can tell "offline" apart from "rejected".
+ */
+class ApiError extends Error {
+    constructor(message, status, data = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * Backend base URL, without trailing slash
+ * Resolution order:
+ *   1. localStorage 'solosafe_api_base' (developer override for one browser)
+ *   2. window.SOLOSAFE_CONFIG.apiBaseUrl from config.js (per deployment)
+ *   3. the production backend
+ */
+function getApiBaseUrl() {
+    const override = localStorage.getItem('solosafe_api_base');
+    const configured = window.SOLOSAFE_CONFIG && window.SOLOSAFE_CONFIG.apiBaseUrl;
+
+    return (override || configured || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Point this browser at another backend (pass null to reset)
+ */
+function setApiBaseUrl(url) {
+    if (url) {
+        localStorage.setItem('solosafe_api_base', url);
+    } else {
+        localStorage.removeItem('solosafe_api_base');
+    }
+}
+
+/**
+ * Send a request to the backend and return the parsed JSON body
+ * options: { method, body, auth = true, headers }
+ * auth: false for pages opened from links without an account (share
+ * links, invitations): no session is sent, so a stale one never
+ * ends in the login redirect
+ * Throws ApiError for non-2xx responses
+ */
+async function apiRequest(path, options = {}) {
+    const { method = 'GET', body, auth = true, headers = {} } = options;
+
+    const requestHeaders = {
+        'Content-Type': 'application/json',
+        ...headers
+    };
+
+    if (auth) {
+        const token = getAuthToken();
+        if (token) {
+            requestHeaders['Authorization'] = `Bearer ${token}`;
+        }
+    }
+
+    const response = await fetch(`${getApiBaseUrl()}${path}`, {
+        method,
+        headers: requestHeaders,
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let data = null;
+    if (text) {
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            data = { message: text };
+        }
+    }
+
+    if (!response.ok) {
+        if (response.status === 401 && requestHeaders['Authorization']) {
+            handleSessionExpired();
+        }
+
+        throw new ApiError(
+            (data && data.message) || `Request failed (${response.status})`,
+            response.status,
+            data
+        );
+    }
+
+    return data;
+}
+
+// ========================
+// ENDPOINTS
+// ========================
+
+const SoloSafeAPI = {
+    auth: {
+        /** @returns {Promise<{token: string, user: User}>} */
+        login(email, password) {
+            return apiRequest('/auth/login', { method: 'POST', body: { email, password }, auth: false });
+        },
+
+        /** @returns {Promise<Object>} */
+        register({ name, email, password }) {
+            return apiRequest('/auth/register', { method: 'POST', body: { name, email, password }, auth: false });
+        },
+
+        /** @returns {Promise<User>} */
+        profile() {
+            return apiRequest('/auth/profile');
+        },
+
+        logout() {
+            return apiRequest('/auth/logout', { method: 'POST' });
+        },
+
+        forgotPassword(email) {
+            return apiRequest('/auth/forgot-password', { method: 'POST', body: { email }, auth: false });
+        },
+
+        changePassword(oldPassword, newPassword) {
+            return apiRequest('/auth/change-password', { method: 'PUT', body: { oldPassword, newPassword } });
+        },
+
+        /** URL the browser is sent to for Google sign-in */
+        googleLoginUrl() {
+            return `${getApiBaseUrl()}/auth/google`;
+        }
+    },
+
+    trips: {
+        /** @returns {Promise<Trip[]>} */
+        list() {
+            return apiRequest('/trips');
+        },
+
+        /** @returns {Promise<{trip: Trip}>} */
+        create(trip) {
+            return apiRequest('/trips', { method: 'POST', body: trip });
+        },
+
+        /**
+         * Change a trip that hasn't ended, fails with status 409 once it has
+         * Contacts hear about a new destination or longer dates, see `notified`
+         * @returns {Promise<{trip: Trip, notified: number}>}
+         */
+        update(tripId, updates) {
+            return apiRequest(`/trips/${tripId}`, { method: 'PUT', body: updates });
+        },
+
+        /** @returns {Promise<{trip: Trip}>} */
+        end(tripId) {
+            return apiRequest(`/trips/${tripId}/end`, { method: 'PUT' });
+        },
+
+        /**
+         * Call off a trip, fails with status 409 once it has ended
+         * @returns {Promise<{trip: Trip}>}
+         */
+        cancel(tripId) {
+            return apiRequest(`/trips/${tripId}/cancel`, { method: 'PUT' });
+        },
+
+        /**
+         * Confirm the traveller is safe
+         * @param {{latitude: ?number, longitude: ?number, timestamp: string, offline?: boolean,
+         *   method?: 'manual'|'geofence', geofenceId?: string, geofenceName?: string,
+         *   nextCheckIn?: string}} checkIn - nextCheckIn: next slot of the trip's schedule
+         * @returns {Promise<{nextCheckIn?: string}>}
+         */
+        checkIn(tripId, checkIn) {
+            return apiRequest(`/trips/${tripId}/safe`, { method: 'PUT', body: checkIn });
+        },
+
+        /**
+         * Report an event only the app sees happen, e.g. a check-in deadline passing
+         * Reporting the same type and timestamp again is ignored
+         * @param {{type: 'grace_started'|'missed_checkin', timestamp: string,
+         *   latitude?: ?number, longitude?: ?number, accuracy?: ?number}} event
+         * @returns {Promise<{events: TripEvent[]}>}
+         */
+        logEvent(tripId, event) {
+            return apiRequest(`/trips/${tripId}/events`, { method: 'POST', body: event });
+        },
+
+        /** The signed-in traveller's own trip @returns {Promise<Trip>} */
+        get(tripId) {
+            return apiRequest(`/trips/${tripId}`);
+        },
+
+        /** @returns {Promise<{emergencyContacts: EmergencyContact[]}>} */
+        listContacts(tripId) {
+            return apiRequest(`/trips/${tripId}/contacts`);
+        },
+
+        /** @returns {Promise<{trip: Trip}>} */
+        addContact(tripId, contact) {
+            return apiRequest(`/trips/${tripId}/contacts`, { method: 'PUT', body: contact });
+        },
+
+        removeContact(tripId, contactId) {
+            return apiRequest(`/trips/${tripId}/contacts/${contactId}`, { method: 'DELETE' });
+        },
+
+        /** Send a trip contact their invitation again @returns {Promise<{status: string}>} */
+        inviteContact(tripId, contactId) {
+            return apiRequest(`/trips/${tripId}/contacts/${contactId}/invite`, { method: 'POST' });
+        }
+    },
+
+    contacts: {
+        /** @returns {Promise<{contacts: BookContact[]}>} the account's contact book */
+        list() {
+            return apiRequest('/contacts');
+        },
+
+        /** @returns {Promise<{contact: BookContact}>} */
+        create(contact) {
+            return apiRequest('/contacts', { method: 'POST', body: contact });
+        },
+
+        /**
+         * Edit a saved contact; trips that have not ended get the change too
+         * @returns {Promise<{contact: BookContact, updatedTrips: number}>}
+         */
+        update(contactId, updates) {
+            return apiRequest(`/contacts/${contactId}`, { method: 'PUT', body: updates });
+        },
+
+        /** Removes the contact from the book only; trips keep their copy */
+        remove(contactId) {
+            return apiRequest(`/contacts/${contactId}`, { method: 'DELETE' });
+        },
+
+        /** Send a saved contact their invitation again @returns {Promise<{status: string}>} */
+        invite(contactId) {
+            return apiRequest(`/contacts/${contactId}/invite`, { method: 'POST' });
+        }
+    },
+
+    /**
+     * The invitation a contact gets by email when they are added
+     * Opened from the link in it, without an account
+     */
+    invitations: {
+        /** @returns {Promise<{invitation: ContactInvitation}>} */
+        view(token) {
+            return apiRequest(`/invitations/${encodeURIComponent(token)}`, { auth: false });
+        },
+
+        /** @returns {Promise<{invitation: ContactInvitation}>} */
+        respond(token, accept) {
+            return apiRequest(`/invitations/${encodeURIComponent(token)}`, { method: 'POST', body: { accept }, auth: false });
+        }
+    },
+
+    shares: {
+        /** @returns {Promise<{shares: TripShare[]}>} active (unexpired, unrevoked) links */
+        list(tripId) {
+            return apiRequest(`/trips/${tripId}/shares`);
+        },
+
+        /**
+         * @param {{scope: 'status'|'location', expiresInHours: number, label?: string}} options
+         * @returns {Promise<{share: TripShare}>}
+         */
+        create(tripId, options) {
+            return apiRequest(`/trips/${tripId}/shares`, { method: 'POST', body: options });
+        },
+
+        revoke(tripId, shareId) {
+            return apiRequest(`/trips/${tripId}/shares/${shareId}`, { method: 'DELETE' });
+        },
+
+        /**
+         * Trip as seen through a share link, trimmed to the link's scope
+         * Sent without the viewer's session: links work logged out
+         * Expired or revoked links fail with status 410
+         * @returns {Promise<{trip: Trip, share: {scope: string, label?: string, expiresAt: string}}>}
+         */
+        view(token) {
+            return apiRequest(`/shared/${encodeURIComponent(token)}`, { auth: false });
+        },
+
+        /**
+         * Live updates through a share link as Server-Sent Events
+         * 'status', 'checkin', 'sos' and 'sos_cancelled' carry {trip},
+         * 'location' carries {point}: the LocationPoint just reported,
+         * 'sos_ack' carries {trip, acknowledgement}: a contact responding to the SOS
+         * @returns {EventSource}
+         */
+        stream(token) {
+            return new EventSource(`${getApiBaseUrl()}/shared/${encodeURIComponent(token)}/stream`);
+        },
+
+        /**
+         * Respond to the trip's SOS through a share link
+         * Fails with status 409 when there is no active SOS
+         * @param {{name: string, action: string}} acknowledgement - action is a key of SOS_ACK_ACTIONS
+         * @returns {Promise<{acknowledgement: SosAcknowledgement, acknowledgements: SosAcknowledgement[]}>}
+         */
+        acknowledgeSos(token, acknowledgement) {
+            return apiRequest(`/shared/${encodeURIComponent(token)}/acknowledgements`, {
+                method: 'POST',
+                body: acknowledgement,
+                auth: false
+            });
+        }
+    },
+
+    account: {
+        /**
+         * Load exported account data into the signed-in account
+         * 'merge' skips trips and contacts the account already has and only
+         * fills empty profile fields; 'replace' deletes the account's trips
+         * and contacts first.
+         * The account's email and password are never changed.
+         * @param {{mode: 'merge'|'replace', profile: Object, contacts: BookContact[], trips: Trip[]}} data - see account-data.js
+         * @returns {Promise<{imported: number, skipped: number, user: User}>}
+         */
+        import(data) {
+            return apiRequest('/account/import', { method: 'POST', body: data });
+        }
+    },
+
+    alerts: {
+        /**
+         * duress: raised covertly from a check-in, the traveller's screen shows nothing
+         * timestamp: when it was raised, for alerts sent late from the offline queue
+         * The alert links contacts to a share of the trip, returned as `share`
+         * @param {{tripId: string, latitude: ?number, longitude: ?number, auto?: boolean, duress?: boolean, timestamp?: string}} sos
+         * @returns {Promise<{trip: Trip, deliveries: ContactDelivery[], share: TripShare}>} only a message for duress
+         */
+        sos(sos) {
+            return apiRequest('/alerts/sos', { method: 'POST', body: sos });
+        },
+
+        /**
+         * Run a contact step of the escalation ladder
+         * @param {{tripId: string, action: 'notify_first'|'notify_all', step: number, missedCheckIn: string}} escalation
+         */
+        escalate(escalation) {
+            return apiRequest('/alerts/escalate', { method: 'POST', body: escalation });
+        },
+
+        /**
+         * Tell contacts the traveller left a safe zone at an unexpected time
+         * @param {{tripId: string, geofenceId: string, geofenceName: string, latitude: number, longitude: number, accuracy?: ?number, timestamp: string}} exit
+         */
+        geofenceExit(exit) {
+            return apiRequest('/alerts/geofence-exit', { method: 'POST', body: exit });
+        },
+
+        cancelSos(tripId) {
+            return apiRequest('/alerts/cancel-sos', { method: 'POST', body: { tripId } });
+        },
+
+        /**
+         * Add a point to the trip's location trail
+         * @param {LocationPoint} location
+         */
+        updateLocation(tripId, location) {
+            return apiRequest(`/alerts/last-known-location/${tripId}`, { method: 'PUT', body: location });
+        }
+    }
+};
+
+window.ApiError = ApiError;
+window.getApiBaseUrl = getApiBaseUrl;
+window.setApiBaseUrl = setApiBaseUrl;
+window.apiRequest = apiRequest;
+window.SoloSafeAPI = SoloSafeAPI;
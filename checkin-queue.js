@@ -0,0 +1,255 @@
+// ========================
+// SOLOSAFE - OFFLINE CHECK-IN QUEUE
+// Check-ins made without network are kept in IndexedDB
+// and replayed in order once connectivity returns
+// Shared by active-trip.html and the service worker (sw.js)
+// ========================
+
+const CHECKIN_QUEUE_DB = 'solosafe_offline';
+const CHECKIN_QUEUE_STORE = 'checkins';
+// A claim older than this belongs to a replay that never finished
+// (page closed mid-send), so the entry may be sent again
+const CHECKIN_CLAIM_TIMEOUT = 60 * 1000;
+
+let checkInQueueDb = null;
+let checkInReplay = null;
+
+/**
+ * Open (or create) the IndexedDB database holding queued check-ins
+ */
+function openCheckInQueue() {
+    if (checkInQueueDb) return Promise.resolve(checkInQueueDb);
+
+    return new Promise((resolve, reject) => {
+        if (!self.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = self.indexedDB.open(CHECKIN_QUEUE_DB, 1);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CHECKIN_QUEUE_STORE)) {
+                const store = db.createObjectStore(CHECKIN_QUEUE_STORE, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                store.createIndex('tripId', 'tripId', { unique: false });
+            }
+        };
+
+        request.onsuccess = () => {
+            checkInQueueDb = request.result;
+            resolve(checkInQueueDb);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against the check-in store
+ */
+async function withCheckInStore(mode, callback) {
+    const db = await openCheckInQueue();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(CHECKIN_QUEUE_STORE, mode);
+        const request = callback(tx.objectStore(CHECKIN_QUEUE_STORE));
+
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Save a check-in for later delivery
+ * Entry: { tripId, latitude, longitude, timestamp } plus, for a
+ * geofence check-in, { method: 'geofence', geofenceId, geofenceName }.
+ * A duress alert the page could not send is queued the same way with
+ * { method: 'duress', accuracy }, so it goes out in order with the check-ins.
+ */
+function queueCheckIn(entry) {
+    const record = {
+        tripId: entry.tripId,
+        latitude: entry.latitude ?? null,
+        longitude: entry.longitude ?? null,
+        timestamp: entry.timestamp || new Date().toISOString(),
+        queuedAt: new Date().toISOString()
+    };
+    if (entry.method === 'geofence') {
+        record.method = 'geofence';
+        record.geofenceId = entry.geofenceId;
+        record.geofenceName = entry.geofenceName;
+    }
+    if (entry.method === 'duress') {
+        record.method = 'duress';
+        record.accuracy = entry.accuracy ?? null;
+    }
+
+    return withCheckInStore('readwrite', store => store.add(record))
+        .then(id => ({ ...record, id }));
+}
+
+/**
+ * How a queued check-in was made, to send along when it is replayed
+ */
+function getQueuedCheckInDetails(entry) {
+    return entry.method === 'geofence'
+        ? { method: 'geofence', geofenceId: entry.geofenceId, geofenceName: entry.geofenceName }
+        : {};
+}
+
+/**
+ * Whether a queued entry is a duress alert rather than a check-in
+ * Never list or count these on screen
+ */
+function isQueuedDuressAlert(entry) {
+    return entry.method === 'duress';
+}
+
+/**
+ * Body of POST /alerts/sos for a queued duress alert
+ */
+function getQueuedDuressAlert(entry) {
+    return {
+        tripId: entry.tripId,
+        latitude: entry.latitude,
+        longitude: entry.longitude,
+        accuracy: entry.accuracy ?? null,
+        timestamp: entry.timestamp,
+        duress: true
+    };
+}
+
+/**
+ * Get queued check-ins, oldest first
+ * Pass a tripId to only return check-ins for that trip
+ */
+async function getPendingCheckIns(tripId = null) {
+    const entries = await withCheckInStore('readonly', store =>
+        tripId ? store.index('tripId').getAll(tripId) : store.getAll()
+    );
+
+    return (entries || []).sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Delete a queued check-in once it has been delivered
+ */
+function removeQueuedCheckIn(id) {
+    return withCheckInStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Whether a failed send was refused by the backend (4xx) rather than lost
+ * Expired sessions and rate limits are worth retrying later
+ */
+function isRejectedCheckIn(err) {
+    if (!err || !err.status) return false;
+    if ([401, 408, 429].includes(err.status)) return false;
+    return err.status >= 400 && err.status < 500;
+}
+
+/**
+ * Claim the oldest queued entry for sending
+ * Read and claim happen in one transaction, so the page and the
+ * service worker never both send the same entry. Resolves with
+ * { entry, remaining }; entry is null when the queue is empty or its
+ * oldest entry is still being sent elsewhere, as later entries must
+ * not overtake it.
+ */
+function claimNextCheckIn() {
+    return withCheckInStore('readwrite', store => {
+        const claim = { result: { entry: null, remaining: 0 } };
+        const request = store.getAll();
+
+        request.onsuccess = () => {
+            const entries = request.result.sort((a, b) => a.id - b.id);
+            const now = Date.now();
+            const oldest = entries[0];
+            claim.result.remaining = entries.length;
+
+            if (!oldest || (oldest.claimedAt && now - oldest.claimedAt < CHECKIN_CLAIM_TIMEOUT)) return;
+
+            oldest.claimedAt = now;
+            store.put(oldest);
+            claim.result.entry = oldest;
+        };
+
+        return claim;
+    });
+}
+
+/**
+ * Hand a claimed entry back to the queue after a failed send
+ * Left alone if the claim has since passed to another replay
+ */
+function releaseCheckIn(entry) {
+    return withCheckInStore('readwrite', store => {
+        const request = store.get(entry.id);
+
+        request.onsuccess = () => {
+            const current = request.result;
+            if (!current || current.claimedAt !== entry.claimedAt) return;
+            delete current.claimedAt;
+            store.put(current);
+        };
+
+        return null;
+    });
+}
+
+/**
+ * Replay queued check-ins in the order they were made
+ * `send(entry)` must resolve once the backend accepted the check-in.
+ * Replay stops at the first network failure so later check-ins never
+ * overtake earlier ones; entries the backend rejects outright are
+ * dropped since retrying them can never succeed. Each entry is claimed
+ * before it is sent, so a replay in the page and one in the service
+ * worker take turns instead of sending it twice.
+ * Resolves with { sent, dropped, remaining }; duress alerts are sent
+ * but left out of `sent` and `dropped`, which pages show
+ */
+function replayCheckInQueue(send) {
+    // One replay per context; claims keep other contexts out
+    if (checkInReplay) return checkInReplay;
+
+    checkInReplay = (async () => {
+        const result = { sent: 0, dropped: 0, remaining: 0 };
+
+        for (;;) {
+            const { entry, remaining } = await claimNextCheckIn();
+            if (!entry) {
+                result.remaining = remaining;
+                break;
+            }
+
+            try {
+                await send(entry);
+                await removeQueuedCheckIn(entry.id);
+                if (!isQueuedDuressAlert(entry)) result.sent++;
+            } catch (err) {
+                if (isRejectedCheckIn(err)) {
+                    console.warn('Dropping rejected offline check-in:', entry, err);
+                    await removeQueuedCheckIn(entry.id);
+                    if (!isQueuedDuressAlert(entry)) result.dropped++;
+                    continue;
+                }
+
+                console.warn('Check-in replay paused:', err);
+                await releaseCheckIn(entry);
+                result.remaining = remaining;
+                break;
+            }
+        }
+
+        return result;
+    })().finally(() => {
+        checkInReplay = null;
+    });
+
+    return checkInReplay;
+}
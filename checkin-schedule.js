@@ -0,0 +1,319 @@
+// ========================
+// SOLOSAFE - CHECK-IN SCHEDULE
+// Shared by active-trip.html and the service worker (sw.js)
+// so both agree on when a check-in is due and when grace runs out
+// Load after time-zones.js
+// ========================
+
+const DEFAULT_GRACE_PERIOD_MINUTES = 30;
+const DEFAULT_CHECKIN_INTERVAL_MINUTES = 60;
+const DEFAULT_REMINDER_MINUTES = [0, 1, 2, 3];
+
+// Steps of a missed check-in escalation ladder, mildest first
+const ESCALATION_ACTIONS = {
+    remind: 'Remind me',
+    notify_first: 'Alert first contact',
+    notify_all: 'Alert all contacts',
+    sos: 'Full SOS'
+};
+
+/**
+ * Grace period of a trip in minutes: time from a missed check-in
+ * to the full SOS at the end of its escalation ladder
+ */
+function getGracePeriodMinutes(trip) {
+    const policy = getEscalationPolicy(trip);
+    return policy[policy.length - 1].after;
+}
+
+/**
+ * Work out where a trip is in its check-in cycle
+ * Returns { phase, dueAt, graceEndsAt, timeLeft } where phase is:
+ *   'none'    - no check-in scheduled (or SOS already raised)
+ *   'waiting' - next check-in not due yet, timeLeft until it is
+ *   'grace'   - check-in missed, timeLeft until automatic SOS
+ *   'expired' - grace period over, SOS should be sent
+ */
+function getCheckInState(trip, now = Date.now()) {
+    if (!trip || !trip.nextCheckIn || trip.sosTriggered) {
+        return { phase: 'none', dueAt: null, graceEndsAt: null, timeLeft: 0 };
+    }
+
+    const dueAt = new Date(trip.nextCheckIn).getTime();
+    const graceEndsAt = dueAt + getGracePeriodMinutes(trip) * 60 * 1000;
+
+    if (now < dueAt) {
+        return { phase: 'waiting', dueAt, graceEndsAt, timeLeft: dueAt - now };
+    }
+
+    if (now < graceEndsAt) {
+        return { phase: 'grace', dueAt, graceEndsAt, timeLeft: graceEndsAt - now };
+    }
+
+    return { phase: 'expired', dueAt, graceEndsAt, timeLeft: 0 };
+}
+
+// ========================
+// ESCALATION LADDER
+// Steps are { after, action }: minutes after the missed check-in
+// and one of ESCALATION_ACTIONS. Ladders always end in one 'sos'.
+// ========================
+
+/**
+ * Ladder used when a trip has none: the old fixed behaviour of a
+ * reminder a minute for the first few minutes, SOS when grace ends
+ */
+function getDefaultEscalationPolicy(gracePeriod = DEFAULT_GRACE_PERIOD_MINUTES) {
+    return DEFAULT_REMINDER_MINUTES
+        .filter(after => after < gracePeriod)
+        .map(after => ({ after, action: 'remind' }))
+        .concat({ after: gracePeriod, action: 'sos' });
+}
+
+/**
+ * Clean up a ladder from user input or storage: drop unknown actions,
+ * sort by time, cut anything after the first SOS and add one if missing
+ */
+function normalizeEscalationPolicy(steps, gracePeriod = DEFAULT_GRACE_PERIOD_MINUTES) {
+    const valid = (Array.isArray(steps) ? steps : [])
+        .map(step => ({ after: Math.round(Number(step.after)), action: step.action }))
+        .filter(step => step.after >= 0 && ESCALATION_ACTIONS[step.action])
+        .sort((a, b) => a.after - b.after);
+
+    const sosIndex = valid.findIndex(step => step.action === 'sos');
+    if (sosIndex !== -1) return valid.slice(0, sosIndex + 1);
+
+    const lastAfter = valid.length ? valid[valid.length - 1].after : 0;
+    return valid.concat({ after: Math.max(lastAfter, gracePeriod), action: 'sos' });
+}
+
+/**
+ * Escalation ladder of a trip
+ */
+function getEscalationPolicy(trip) {
+    const gracePeriod = (trip && trip.gracePeriod) || DEFAULT_GRACE_PERIOD_MINUTES;
+
+    if (trip && Array.isArray(trip.escalationPolicy) && trip.escalationPolicy.length) {
+        return normalizeEscalationPolicy(trip.escalationPolicy, gracePeriod);
+    }
+    return getDefaultEscalationPolicy(gracePeriod);
+}
+
+/**
+ * Ladder steps for the trip's current check-in, with `index`
+ * and the absolute time `at` (ms) each one fires
+ */
+function getEscalationSteps(trip) {
+    const state = getCheckInState(trip, 0);
+    if (state.phase === 'none') return [];
+
+    return getEscalationPolicy(trip).map((step, index) => ({
+        ...step,
+        index,
+        at: state.dueAt + step.after * 60 * 1000
+    }));
+}
+
+/**
+ * How many steps already ran for the current check-in
+ * Progress is keyed by nextCheckIn so a new check-in starts from zero
+ */
+function getCompletedEscalationSteps(trip) {
+    const progress = trip && trip.escalationProgress;
+    if (!progress || progress.nextCheckIn !== trip.nextCheckIn) return 0;
+    return progress.completed || 0;
+}
+
+function markEscalationStepsDone(trip, completed) {
+    trip.escalationProgress = { nextCheckIn: trip.nextCheckIn, completed };
+}
+
+/**
+ * Steps that are due at `now` and have not run yet, in order
+ */
+function getDueEscalationSteps(trip, now = Date.now()) {
+    const completed = getCompletedEscalationSteps(trip);
+    return getEscalationSteps(trip).filter(step => step.index >= completed && step.at <= now);
+}
+
+/**
+ * Short human readable ladder, e.g. "T+0 Remind me → T+30 Full SOS"
+ */
+function describeEscalationPolicy(steps) {
+    return steps.map(step => `T+${step.after} ${ESCALATION_ACTIONS[step.action]}`).join(' → ');
+}
+
+// ========================
+// CHECK-IN SCHEDULE
+// Either every N minutes or at set times of day, in the time zone of
+// the trip or the leg the traveller is on. Nothing falls due during quiet hours. A leg can override
+// the trip's schedule while the traveller is on it.
+// ========================
+
+/**
+ * @typedef {Object} CheckInSchedule
+ * @property {'interval'|'times'} mode
+ * @property {number} interval - minutes between check-ins in 'interval' mode
+ * @property {string[]} times - 'HH:MM' times of day in 'times' mode, earliest first
+ * @property {?{start: string, end: string}} quietHours - 'HH:MM', may run past midnight
+ */
+
+/**
+ * Minutes after midnight of an 'HH:MM' string, null if it isn't one
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function formatTimeOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Clean up a schedule from user input or storage
+ * Set times mode without any valid time falls back to the interval
+ * @returns {CheckInSchedule}
+ */
+function normalizeCheckInSchedule(schedule, fallbackInterval = DEFAULT_CHECKIN_INTERVAL_MINUTES) {
+    const source = schedule || {};
+    const interval = Math.round(Number(source.interval));
+    const times = [...new Set((Array.isArray(source.times) ? source.times : [])
+        .map(parseTimeOfDay)
+        .filter(minutes => minutes !== null))]
+        .sort((a, b) => a - b)
+        .map(formatTimeOfDay);
+
+    const quietStart = parseTimeOfDay(source.quietHours && source.quietHours.start);
+    const quietEnd = parseTimeOfDay(source.quietHours && source.quietHours.end);
+    const hasQuietHours = quietStart !== null && quietEnd !== null && quietStart !== quietEnd;
+
+    return {
+        mode: source.mode === 'times' && times.length ? 'times' : 'interval',
+        interval: interval >= 1 ? interval : fallbackInterval,
+        times,
+        quietHours: hasQuietHours ? { start: formatTimeOfDay(quietStart), end: formatTimeOfDay(quietEnd) } : null
+    };
+}
+
+/**
+ * Schedule in force at `now`: the current leg's override on top of
+ * the trip's schedule. Trips without one check in every checkInFrequency minutes.
+ * @returns {CheckInSchedule}
+ */
+function getCheckInSchedule(trip, now = Date.now()) {
+    const fallbackInterval = (trip && trip.checkInFrequency) || DEFAULT_CHECKIN_INTERVAL_MINUTES;
+    const tripSchedule = (trip && trip.checkInSchedule) || { mode: 'interval', interval: fallbackInterval };
+    const leg = getLegAt(trip, now);
+
+    return normalizeCheckInSchedule(
+        leg && leg.checkInSchedule ? { ...tripSchedule, ...leg.checkInSchedule } : tripSchedule,
+        fallbackInterval
+    );
+}
+
+/**
+ * Whether `time` (ms) falls in the quiet hours, wall-clock time in `timeZone`
+ */
+function isQuietTime(time, quietHours, timeZone) {
+    if (!quietHours) return false;
+
+    const { hours, minutes: minute } = getZonedParts(time, timeZone);
+    const minutes = hours * 60 + minute;
+    const start = parseTimeOfDay(quietHours.start);
+    const end = parseTimeOfDay(quietHours.end);
+
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * First moment at or after `time` (ms) that is `minutes` after midnight in `timeZone`
+ */
+function nextTimeOfDay(time, minutes, timeZone) {
+    const { year, month, day } = getZonedParts(time, timeZone);
+    const today = zonedTimeToUtc(year, month, day, Math.floor(minutes / 60), minutes % 60, timeZone);
+    return today >= time ? today : zonedTimeToUtc(year, month, day + 1, Math.floor(minutes / 60), minutes % 60, timeZone);
+}
+
+/**
+ * Next check-in due after `now` according to the trip's schedule, with
+ * times of day in the traveller's zone (the device's for trips without one)
+ * Used when the backend does not return one
+ */
+function calculateNextCheckIn(trip, now = Date.now()) {
+    const schedule = getCheckInSchedule(trip, now);
+    const timeZone = getTripTimeZone(trip, now) || getViewerTimeZone();
+    const quietEnd = schedule.quietHours && parseTimeOfDay(schedule.quietHours.end);
+
+    if (schedule.mode === 'times') {
+        const { year, month, day } = getZonedParts(now, timeZone);
+        const slots = [0, 1, 2].flatMap(offset => schedule.times.map(time => {
+            const minutes = parseTimeOfDay(time);
+            return zonedTimeToUtc(year, month, day + offset, Math.floor(minutes / 60), minutes % 60, timeZone);
+        }));
+        const slot = slots.find(at => at > now && !isQuietTime(at, schedule.quietHours, timeZone));
+        if (slot) return new Date(slot).toISOString();
+    }
+
+    const due = now + schedule.interval * 60 * 1000;
+    if (!isQuietTime(due, schedule.quietHours, timeZone)) return new Date(due).toISOString();
+
+    // Due overnight: wait until quiet hours are over
+    return new Date(nextTimeOfDay(due, quietEnd, timeZone)).toISOString();
+}
+
+/**
+ * e.g. "Every 30 minutes" or "Daily at 09:00 and 21:00, none 23:00-07:00"
+ */
+function describeCheckInSchedule(schedule) {
+    let text;
+    if (schedule.mode === 'times') {
+        const times = schedule.times.length > 1
+            ? `${schedule.times.slice(0, -1).join(', ')} and ${schedule.times[schedule.times.length - 1]}`
+            : schedule.times[0];
+        text = `Daily at ${times}`;
+    } else {
+        text = `Every ${schedule.interval} minute${schedule.interval === 1 ? '' : 's'}`;
+    }
+
+    return schedule.quietHours ? `${text}, none ${schedule.quietHours.start}-${schedule.quietHours.end}` : text;
+}
+
+/**
+ * e.g. "Due today at 21:00 Lisbon time (22:00 your time)" or
+ * "Due Tue, 3 Mar at 09:00". Without a zone, in the viewer's time.
+ */
+function describeNextDue(time, now = Date.now(), timeZone = null, viewerZone = getViewerTimeZone()) {
+    const zone = timeZone || viewerZone;
+    const due = getZonedParts(time, zone);
+    const today = getZonedParts(now, zone);
+    const at = formatTimeOfDay(due.hours * 60 + due.minutes);
+    const days = (Date.UTC(due.year, due.month - 1, due.day) - Date.UTC(today.year, today.month - 1, today.day)) / (24 * 60 * 60 * 1000);
+
+    let text = days === 0 ? `Due today at ${at}`
+        : days === 1 ? `Due tomorrow at ${at}`
+        : `Due ${formatZonedTime(time, zone, { weekday: 'short', day: 'numeric', month: 'short' })} at ${at}`;
+    if (!timeZone) return text;
+
+    text += ` ${describeTimeZone(timeZone)} time`;
+    if (getTimeZoneOffset(time, timeZone) !== getTimeZoneOffset(time, viewerZone)) {
+        const viewer = getZonedParts(time, viewerZone);
+        text += ` (${formatTimeOfDay(viewer.hours * 60 + viewer.minutes)} your time)`;
+    }
+    return text;
+}
+
+/**
+ * Format milliseconds as HH:MM:SS for countdown displays
+ */
+function formatCountdown(ms) {
+    const hours = Math.floor(ms / (1000 * 60 * 60));
+    const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((ms % (1000 * 60)) / 1000);
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
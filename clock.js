@@ -0,0 +1,50 @@
+// ========================
+// SOLOSAFE - CLOCK AND DEV MODE
+// getNow() for everything check-in related, and the switch for the
+// in-browser mock backend (mock-backend.js). The mock only exists in
+// dev builds: config.js must set mockBackend: true, otherwise the mock
+// file is never loaded and ?mock=1 does nothing.
+// Load after config.js, before api.js.
+// ========================
+
+const MOCK_FLAG_KEY = 'solosafe_mock';
+const MOCK_CLOCK_KEY = 'solosafe_mock_clock_offset';
+
+/**
+ * Whether this build may use the mock backend at all
+ */
+function isMockBackendAvailable() {
+    return Boolean(window.SOLOSAFE_CONFIG && window.SOLOSAFE_CONFIG.mockBackend);
+}
+
+/**
+ * Whether API calls are answered by the mock backend
+ */
+function isMockBackend() {
+    return isMockBackendAvailable() && localStorage.getItem(MOCK_FLAG_KEY) === 'true';
+}
+
+/**
+ * How far the fake clock is ahead of real time (ms)
+ * Always 0 outside mock mode
+ */
+function getClockOffset() {
+    if (!isMockBackend()) return 0;
+    return parseInt(localStorage.getItem(MOCK_CLOCK_KEY), 10) || 0;
+}
+
+/**
+ * Current time in ms - use instead of Date.now() for anything
+ * check-in related so it can be fast-forwarded in mock mode
+ */
+function getNow() {
+    return Date.now() + getClockOffset();
+}
+
+// Parser-inserted so the mock still runs before api.js and the page
+if (isMockBackendAvailable()) {
+    document.write('<script src="mock-backend.js"><\/script>');
+}
+
+window.isMockBackend = isMockBackend;
+window.getNow = getNow;
@@ -0,0 +1,12 @@
+// ========================
+// SOLOSAFE - DEPLOYMENT CONFIG
+// Swap this file per environment (staging, local mock server)
+// instead of editing every page
+// ========================
+
+window.SOLOSAFE_CONFIG = {
+    apiBaseUrl: 'https://solosafe-backend.onrender.com/api',
+    // Dev builds only: lets ?mock=1 switch to the in-browser mock
+    // backend (mock-backend.js). Never true in production.
+    mockBackend: false
+};
@@ -0,0 +1,235 @@
+// ========================
+// SOLOSAFE - CONTACT BOOK
+// Emergency contacts saved once on the account and picked for each
+// trip. A trip keeps its own copy of every contact, linked back by
+// contactId; the backend pushes edits made in the book to trips that
+// have not ended yet.
+// Every new contact is invited by the backend and has to accept before
+// we count on them; the invitation status is kept per email address.
+// Alerts try a contact's channels in the order they chose, moving on to
+// the next when one fails.
+// ========================
+
+const CONTACT_RELATIONSHIPS = {
+    parent: 'Parent',
+    partner: 'Partner',
+    sibling: 'Sibling',
+    child: 'Child',
+    friend: 'Friend',
+    colleague: 'Colleague',
+    other: 'Other'
+};
+
+const CONTACT_CHANNELS = {
+    push: { label: 'Push (SoloSafe app)', icon: 'fas fa-bell', needsPhone: false },
+    email: { label: 'Email', icon: 'fas fa-envelope', needsPhone: false },
+    sms: { label: 'SMS', icon: 'fas fa-comment-sms', needsPhone: true },
+    whatsapp: { label: 'WhatsApp', icon: 'fab fa-whatsapp', needsPhone: true },
+    call: { label: 'Phone call', icon: 'fas fa-phone', needsPhone: true }
+};
+
+// Language alerts are written in for this contact
+const CONTACT_LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français',
+    de: 'Deutsch',
+    pt: 'Português',
+    it: 'Italiano',
+    ja: '日本語'
+};
+
+const CONTACT_STATUSES = {
+    pending: { label: 'Invitation sent', badge: 'bg-warning text-dark', icon: 'fas fa-hourglass-half' },
+    accepted: { label: 'Accepted', badge: 'bg-success', icon: 'fas fa-check' },
+    declined: { label: 'Declined', badge: 'bg-secondary', icon: 'fas fa-times' },
+    bounced: { label: 'Address bounced', badge: 'bg-danger', icon: 'fas fa-exclamation' }
+};
+
+const CONTACT_BOOK_CACHE_KEY = 'solosafe_contacts';
+
+// What happened on each channel of an alert
+const CONTACT_DELIVERY_STATUSES = {
+    delivered: { label: 'Delivered', badge: 'bg-success', icon: 'fas fa-check' },
+    failed: { label: 'Failed', badge: 'bg-danger', icon: 'fas fa-times' },
+    skipped: { label: 'Not needed', badge: 'bg-light text-muted border', icon: 'fas fa-minus' }
+};
+
+// Fields a trip copies from the book
+const CONTACT_TRIP_FIELDS = ['name', 'email', 'phone', 'relationship', 'channels', 'language'];
+
+/**
+ * @typedef {Object} BookContact
+ * @property {string} [_id]
+ * @property {string} name
+ * @property {string} email
+ * @property {string} phone
+ * @property {string} relationship - key of CONTACT_RELATIONSHIPS
+ * @property {string[]} channels - keys of CONTACT_CHANNELS, tried in this order
+ * @property {string} language - key of CONTACT_LANGUAGES
+ * @property {string} [status] - key of CONTACT_STATUSES, set by the backend
+ */
+
+/**
+ * A contact's channels in order, known ones only and each once
+ * Contacts saved before channels could be ordered had a single preferredChannel
+ */
+function getContactChannels(contact) {
+    if (!Array.isArray(contact.channels)) {
+        return [CONTACT_CHANNELS[contact.preferredChannel] ? contact.preferredChannel : 'email'];
+    }
+    return [...new Set(contact.channels.filter(channel => CONTACT_CHANNELS[channel]))];
+}
+
+/**
+ * Clean up a contact from user input or the backend
+ * @returns {BookContact}
+ */
+function normalizeContact(contact) {
+    const normalized = {
+        name: String(contact.name || '').trim(),
+        email: String(contact.email || '').trim(),
+        phone: String(contact.phone || '').trim(),
+        relationship: CONTACT_RELATIONSHIPS[contact.relationship] ? contact.relationship : 'other',
+        channels: getContactChannels(contact),
+        language: CONTACT_LANGUAGES[contact.language] ? contact.language : 'en'
+    };
+    if (contact._id) normalized._id = contact._id;
+    return normalized;
+}
+
+/**
+ * Check a contact entered by the user, returning an error message or null
+ */
+function validateContact(contact) {
+    if (!contact.name) return 'Enter a name';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) return 'Enter a valid email address';
+    if (!contact.channels.length) return 'Choose at least one way to reach them';
+    const phoneChannel = contact.channels.find(channel => CONTACT_CHANNELS[channel].needsPhone);
+    if (phoneChannel && !contact.phone) {
+        return `A phone number is needed for ${CONTACT_CHANNELS[phoneChannel].label}`;
+    }
+    return null;
+}
+
+/**
+ * Copy of a book contact to put on a trip
+ */
+function toTripContact(contact) {
+    const copy = { contactId: contact._id };
+    CONTACT_TRIP_FIELDS.forEach(field => {
+        copy[field] = contact[field];
+    });
+    if (contact.status) copy.status = contact.status;
+    return copy;
+}
+
+/**
+ * Invitation status of a contact
+ * Contacts saved before invitations existed never confirmed, so count as pending
+ */
+function getContactStatus(contact) {
+    return CONTACT_STATUSES[contact.status] ? contact.status : 'pending';
+}
+
+/**
+ * Whether alerts can still reach the contact: they haven't
+ * declined and their address hasn't bounced
+ */
+function canAlertContact(contact) {
+    const status = getContactStatus(contact);
+    return status === 'pending' || status === 'accepted';
+}
+
+/**
+ * Badge showing a contact's invitation status
+ */
+function renderContactStatus(contact) {
+    const status = CONTACT_STATUSES[getContactStatus(contact)];
+    return `<span class="badge ${status.badge}"><i class="${status.icon} me-1"></i>${status.label}</span>`;
+}
+
+/**
+ * One line under a contact's name, e.g. "Sibling · SMS → Email · English"
+ */
+function describeContact(contact) {
+    const { relationship, channels, language } = normalizeContact(contact);
+    return [
+        CONTACT_RELATIONSHIPS[relationship],
+        channels.map(channel => CONTACT_CHANNELS[channel].label).join(' → '),
+        CONTACT_LANGUAGES[language]
+    ].join(' · ');
+}
+
+/**
+ * @typedef {Object} ContactDelivery
+ * @property {string} contactId
+ * @property {string} name
+ * @property {boolean} delivered - whether any channel got through
+ * @property {{channel: string, status: string, error?: string}[]} attempts - one per channel, in order;
+ *   status is a key of CONTACT_DELIVERY_STATUSES
+ */
+
+/**
+ * How an alert reached each contact, channel by channel
+ * @param {ContactDelivery[]} deliveries
+ */
+function renderDeliveryReport(deliveries) {
+    return deliveries.map(delivery => `
+        <div class="d-flex justify-content-between align-items-start gap-2 mb-2">
+            <div>
+                <strong>${escapeHtml(delivery.name)}</strong>
+                ${delivery.delivered ? '' : '<br><small class="text-danger">Could not be reached on any channel</small>'}
+            </div>
+            <div class="text-end">
+                ${delivery.attempts.map(attempt => {
+                    const channel = CONTACT_CHANNELS[attempt.channel] || { label: attempt.channel, icon: 'fas fa-paper-plane' };
+                    const status = CONTACT_DELIVERY_STATUSES[attempt.status] || CONTACT_DELIVERY_STATUSES.failed;
+                    return `<span class="badge ${status.badge} mb-1" title="${escapeHtml(attempt.error || status.label)}">`
+                        + `<i class="${channel.icon} me-1"></i>${escapeHtml(channel.label)}: ${status.label}</span>`;
+                }).join(' ')}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Contacts from the last successful load
+ * @returns {BookContact[]}
+ */
+function getCachedContacts() {
+    try {
+        return JSON.parse(localStorage.getItem(CONTACT_BOOK_CACHE_KEY) || '[]');
+    } catch (err) {
+        console.error('Error parsing cached contacts:', err);
+        return [];
+    }
+}
+
+/**
+ * The account's contact book, cached for offline use
+ * Falls back to the cache when the backend can't be reached
+ * @returns {Promise<BookContact[]>}
+ */
+async function loadContactBook() {
+    try {
+        const { contacts } = await SoloSafeAPI.contacts.list();
+        localStorage.setItem(CONTACT_BOOK_CACHE_KEY, JSON.stringify(contacts));
+        return contacts;
+    } catch (err) {
+        console.error('Load contacts error:', err);
+        return getCachedContacts();
+    }
+}
+
+window.getContactChannels = getContactChannels;
+window.normalizeContact = normalizeContact;
+window.validateContact = validateContact;
+window.toTripContact = toTripContact;
+window.describeContact = describeContact;
+window.getContactStatus = getContactStatus;
+window.canAlertContact = canAlertContact;
+window.renderContactStatus = renderContactStatus;
+window.renderDeliveryReport = renderDeliveryReport;
+window.getCachedContacts = getCachedContacts;
+window.loadContactBook = loadContactBook;
@@ -0,0 +1,168 @@
+// ========================
+// SOLOSAFE - GEOFENCES
+// Safe zones attached to a trip (hotel, hostel, meeting point).
+// Arriving in one can confirm a check-in by itself; leaving one
+// outside the hours the traveller expects to be out raises a warning.
+// Needs trip-map.js (getDistanceMeters) and trip-legs.js (geocodeCity)
+// ========================
+
+const GEOFENCE_TYPES = {
+    hotel: { label: 'Hotel', icon: 'fa-hotel' },
+    hostel: { label: 'Hostel', icon: 'fa-bed' },
+    meeting: { label: 'Meeting point', icon: 'fa-handshake' },
+    other: { label: 'Other', icon: 'fa-map-pin' }
+};
+
+const GEOFENCE_DEFAULT_RADIUS = 100;
+const GEOFENCE_MIN_RADIUS = 25;
+const GEOFENCE_MAX_RADIUS = 2000;
+
+/**
+ * @typedef {Object} Geofence
+ * @property {string} id
+ * @property {string} name
+ * @property {string} type - key of GEOFENCE_TYPES
+ * @property {string} address
+ * @property {?number} latitude
+ * @property {?number} longitude
+ * @property {number} radius - metres
+ * @property {boolean} autoCheckIn - arriving confirms a check-in
+ * @property {string} awayFrom - "HH:MM", start of the hours the traveller expects to be out
+ * @property {string} awayUntil - "HH:MM", may be past midnight
+ * @property {boolean} alertContacts - also alert contacts on an unexpected exit
+ */
+
+function createGeofenceId() {
+    return `zone_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Clean up a geofence from user input or the backend
+ * @returns {Geofence}
+ */
+function normalizeGeofence(fence) {
+    const latitude = fence.latitude == null || fence.latitude === '' ? NaN : Number(fence.latitude);
+    const longitude = fence.longitude == null || fence.longitude === '' ? NaN : Number(fence.longitude);
+    const radius = Number(fence.radius);
+
+    return {
+        id: fence.id || createGeofenceId(),
+        name: String(fence.name || '').trim(),
+        type: GEOFENCE_TYPES[fence.type] ? fence.type : 'other',
+        address: String(fence.address || '').trim(),
+        latitude: Number.isFinite(latitude) ? latitude : null,
+        longitude: Number.isFinite(longitude) ? longitude : null,
+        radius: Number.isFinite(radius) && radius > 0 ? radius : GEOFENCE_DEFAULT_RADIUS,
+        autoCheckIn: !!fence.autoCheckIn,
+        awayFrom: fence.awayFrom || '',
+        awayUntil: fence.awayUntil || '',
+        alertContacts: !!fence.alertContacts
+    };
+}
+
+/**
+ * Geofences of a trip
+ * @returns {Geofence[]}
+ */
+function getTripGeofences(trip) {
+    if (!trip || !Array.isArray(trip.geofences)) return [];
+    return trip.geofences.map(normalizeGeofence);
+}
+
+/**
+ * Check geofences entered by the user, returning an error message or null
+ * Zones still need either coordinates or an address to look up
+ */
+function validateGeofences(fences) {
+    for (let i = 0; i < fences.length; i++) {
+        const fence = fences[i];
+
+        if (!fence.name) return `Zone ${i + 1}: enter a name`;
+        if (fence.latitude === null && !fence.address) return `Zone ${i + 1}: enter an address or use your location`;
+        if (fence.radius < GEOFENCE_MIN_RADIUS || fence.radius > GEOFENCE_MAX_RADIUS) {
+            return `Zone ${i + 1}: radius must be between ${GEOFENCE_MIN_RADIUS} and ${GEOFENCE_MAX_RADIUS} m`;
+        }
+        if (!fence.awayFrom !== !fence.awayUntil) return `Zone ${i + 1}: set both ends of the time window`;
+    }
+
+    return null;
+}
+
+// "HH:MM" to minutes since midnight, null when not a time
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Whether leaving a zone at `date` is expected: always true for
+ * zones without a time window. Windows may wrap past midnight.
+ */
+function isExpectedExit(fence, date = new Date()) {
+    const from = parseTimeOfDay(fence.awayFrom);
+    const until = parseTimeOfDay(fence.awayUntil);
+    if (from === null || until === null) return true;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return from <= until
+        ? minutes >= from && minutes < until
+        : minutes >= from || minutes < until;
+}
+
+/**
+ * Time window of a zone, e.g. "08:00 - 22:00"
+ */
+function describeGeofenceWindow(fence) {
+    return fence.awayFrom && fence.awayUntil ? `${fence.awayFrom} - ${fence.awayUntil}` : 'any time';
+}
+
+/**
+ * Feed a new position through the zones
+ * `inside` maps zone id to whether the traveller was last seen in it.
+ * The first fix for a zone only sets that baseline, so opening the page
+ * inside the hotel is not an arrival. Fixes less accurate than a zone
+ * is wide cannot tell inside from outside and leave it unchanged.
+ * Returns { inside, entered, exited } with the zones that changed
+ * @param {{latitude: number, longitude: number, accuracy?: ?number}} point
+ */
+function updateGeofenceState(fences, inside, point) {
+    const next = { ...inside };
+    const entered = [];
+    const exited = [];
+
+    fences.forEach(fence => {
+        if (fence.latitude === null || fence.longitude === null) return;
+        if (point.accuracy && point.accuracy > fence.radius) return;
+
+        const isInside = getDistanceMeters(fence, point) <= fence.radius;
+        const wasInside = inside[fence.id];
+        next[fence.id] = isInside;
+
+        if (wasInside === undefined || wasInside === isInside) return;
+        (isInside ? entered : exited).push(fence);
+    });
+
+    return { inside: next, entered, exited };
+}
+
+/**
+ * Fill in coordinates for zones that only have an address
+ * Best effort like geocodeLegs: zones that can't be found keep null
+ */
+function geocodeGeofences(fences) {
+    return Promise.all(fences.map(async fence => {
+        if (fence.latitude !== null && fence.longitude !== null) return fence;
+
+        const place = await geocodeCity(fence.address);
+        return place ? { ...fence, ...place } : fence;
+    }));
+}
+
+window.normalizeGeofence = normalizeGeofence;
+window.getTripGeofences = getTripGeofences;
+window.validateGeofences = validateGeofences;
+window.isExpectedExit = isExpectedExit;
+window.describeGeofenceWindow = describeGeofenceWindow;
+window.updateGeofenceState = updateGeofenceState;
+window.geocodeGeofences = geocodeGeofences;
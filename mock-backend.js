@@ -0,0 +1,1411 @@
+// ========================
+// SOLOSAFE - MOCK BACKEND
+// In-browser stand-in for the Render backend, seeded with fixtures,
+// plus a fake clock so check-ins, grace periods and SOS can be
+// exercised without emailing real contacts.
+//
+// Dev builds only: clock.js loads this file when config.js sets
+// mockBackend: true. Then ?mock=1 on any page turns it on, ?mock=0 off.
+// Sign in as demo@solosafe.test / password123.
+// ========================
+
+const MOCK_DB_KEY = 'solosafe_mock_db';
+// Last live event, written so viewers in other tabs get a storage event
+const MOCK_EVENT_KEY = 'solosafe_mock_event';
+const MOCK_LATENCY = 150;
+const MOCK_DEMO_EMAIL = 'demo@solosafe.test';
+const MOCK_DEMO_PASSWORD = 'password123';
+const MOCK_TRAIL_LIMIT = 500;
+const MOCK_CHECKIN_LIMIT = 100;
+const MOCK_EVENT_LIMIT = 200;
+
+// Session data that belongs to one backend and must not leak into the other
+const MOCK_SESSION_KEYS = ['solosafe_user', 'solosafe_token', 'solosafe_trips', 'solosafe_trips_synced_at'];
+
+/**
+ * Switch between the mock and the real backend
+ * Clears the session since tokens from one are useless on the other
+ */
+function setMockBackend(enabled) {
+    if (enabled === isMockBackend()) return;
+
+    MOCK_SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+
+    // The service worker would keep escalating with the old token,
+    // on the real clock, while the page talks to the other backend
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_TRIP' });
+    }
+
+    if (enabled) {
+        localStorage.setItem(MOCK_FLAG_KEY, 'true');
+    } else {
+        localStorage.removeItem(MOCK_FLAG_KEY);
+        localStorage.removeItem(MOCK_CLOCK_KEY);
+    }
+}
+
+// ========================
+// FAKE CLOCK
+// The offset is read by getNow() in clock.js
+// ========================
+
+/**
+ * Move the fake clock forward by `ms` and let the page react
+ */
+function advanceClock(ms) {
+    if (!isMockBackend()) return;
+
+    localStorage.setItem(MOCK_CLOCK_KEY, String(getClockOffset() + ms));
+    window.dispatchEvent(new CustomEvent('solosafe:clockchange', { detail: { now: getNow() } }));
+}
+
+function resetClock() {
+    localStorage.removeItem(MOCK_CLOCK_KEY);
+    window.dispatchEvent(new CustomEvent('solosafe:clockchange', { detail: { now: getNow() } }));
+}
+
+// ========================
+// FIXTURES
+// ========================
+
+function mockId(prefix) {
+    return `${prefix}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function minutesFromNow(minutes) {
+    return new Date(getNow() + minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * Fresh fixture data, dated relative to the fake clock:
+ * one active trip with a check-in due in 5 minutes and a 5 minute
+ * escalation ladder, one upcoming trip and one completed trip
+ */
+function createMockFixtures() {
+    const userId = 'user_demo';
+    const book = [
+        {
+            _id: 'contact_amara',
+            name: 'Amara Okafor',
+            email: 'amara@example.test',
+            phone: '+44 7700 900123',
+            relationship: 'sibling',
+            channels: ['push', 'sms', 'email'],
+            language: 'en',
+            status: 'accepted'
+        },
+        {
+            _id: 'contact_jon',
+            name: 'Jon Reyes',
+            email: 'jon@example.test',
+            phone: '',
+            relationship: 'friend',
+            channels: ['email'],
+            language: 'es',
+            status: 'pending'
+        }
+    ];
+    // Trips keep their own copy, linked back to the book
+    const contacts = book.map(contact => ({ ...contact, contactId: contact._id }));
+
+    return {
+        users: [{
+            _id: userId,
+            name: 'Demo Traveller',
+            username: 'demo',
+            email: MOCK_DEMO_EMAIL,
+            password: MOCK_DEMO_PASSWORD,
+            profilePicture: ''
+        }],
+        trips: [
+            {
+                _id: 'trip_lisbon',
+                userId,
+                destination: 'Lisbon → Porto → Madrid',
+                startDate: minutesFromNow(-24 * 60),
+                endDate: minutesFromNow(5 * 24 * 60),
+                accommodation: 'Casa do Largo, Alfama',
+                legs: [
+                    {
+                        city: 'Lisbon, Portugal',
+                        startDate: minutesFromNow(-24 * 60),
+                        endDate: minutesFromNow(24 * 60),
+                        transport: 'flight',
+                        bookingRef: 'TP1351',
+                        accommodation: 'Casa do Largo, Alfama',
+                        latitude: 38.7223,
+                        longitude: -9.1393
+                    },
+                    {
+                        city: 'Porto, Portugal',
+                        startDate: minutesFromNow(24 * 60),
+                        endDate: minutesFromNow(3 * 24 * 60),
+                        transport: 'train',
+                        bookingRef: 'Alfa Pendular 123',
+                        accommodation: 'Rua das Flores 45',
+                        latitude: 41.1579,
+                        longitude: -8.6291
+                    },
+                    {
+                        city: 'Madrid, Spain',
+                        startDate: minutesFromNow(3 * 24 * 60),
+                        endDate: minutesFromNow(5 * 24 * 60),
+                        transport: 'flight',
+                        bookingRef: 'IB3105',
+                        accommodation: 'Calle de las Huertas 12',
+                        latitude: 40.4168,
+                        longitude: -3.7038
+                    }
+                ],
+                checkInFrequency: 30,
+                gracePeriod: 5,
+                escalationPolicy: [
+                    { after: 0, action: 'remind' },
+                    { after: 2, action: 'notify_first' },
+                    { after: 4, action: 'notify_all' },
+                    { after: 5, action: 'sos' }
+                ],
+                status: 'Active',
+                lastCheckIn: minutesFromNow(-25),
+                nextCheckIn: minutesFromNow(5),
+                checkIns: [{ timestamp: minutesFromNow(-25), method: 'manual', latitude: 38.7075, longitude: -9.1364, accuracy: 20 }],
+                sosTriggered: false,
+                emergencyContacts: contacts,
+                // Walking from the Baixa up to the hostel
+                plannedRoute: {
+                    name: 'Baixa to Alfama',
+                    corridor: 150,
+                    points: [
+                        { latitude: 38.7075, longitude: -9.1364 },
+                        { latitude: 38.7092, longitude: -9.1339 },
+                        { latitude: 38.7104, longitude: -9.1318 },
+                        { latitude: 38.7114, longitude: -9.1297 }
+                    ]
+                },
+                geofences: [
+                    {
+                        id: 'zone_casa_do_largo',
+                        name: 'Casa do Largo',
+                        type: 'hostel',
+                        address: 'Casa do Largo, Alfama',
+                        latitude: 38.7114,
+                        longitude: -9.1297,
+                        radius: 80,
+                        autoCheckIn: true,
+                        awayFrom: '08:00',
+                        awayUntil: '23:00',
+                        alertContacts: true
+                    }
+                ],
+                lastKnownLocation: { latitude: 38.7118, longitude: -9.1300, accuracy: 12, timestamp: minutesFromNow(-2) },
+                // A walk from Baixa up to the Alfama
+                locationHistory: [
+                    { latitude: 38.7075, longitude: -9.1364, accuracy: 20, timestamp: minutesFromNow(-25) },
+                    { latitude: 38.7092, longitude: -9.1339, accuracy: 15, timestamp: minutesFromNow(-18) },
+                    { latitude: 38.7104, longitude: -9.1318, accuracy: 35, timestamp: minutesFromNow(-10) },
+                    { latitude: 38.7118, longitude: -9.1300, accuracy: 12, timestamp: minutesFromNow(-2) }
+                ]
+            },
+            {
+                _id: 'trip_kyoto',
+                userId,
+                destination: 'Kyoto, Japan',
+                startDate: minutesFromNow(14 * 24 * 60),
+                endDate: minutesFromNow(21 * 24 * 60),
+                accommodation: 'Not specified',
+                checkInFrequency: 60,
+                status: 'Active',
+                emergencyContacts: [contacts[0]]
+            },
+            {
+                _id: 'trip_oslo',
+                userId,
+                destination: 'Oslo, Norway',
+                startDate: minutesFromNow(-30 * 24 * 60),
+                endDate: minutesFromNow(-25 * 24 * 60),
+                accommodation: 'Not specified',
+                checkInFrequency: 120,
+                status: 'Completed',
+                emergencyContacts: contacts
+            }
+        ],
+        // Account contact books
+        contacts: book.map(contact => ({ ...contact, userId })),
+        // Invitations sent to contacts, one per user and email address
+        invitations: book.map(contact => ({
+            _id: `invite_${contact._id}`,
+            userId,
+            email: contact.email,
+            contactName: contact.name,
+            token: `invite-token-${contact._id}`,
+            status: contact.status,
+            sentAt: minutesFromNow(-3 * 24 * 60),
+            respondedAt: contact.status === 'accepted' ? minutesFromNow(-2 * 24 * 60) : null
+        })),
+        // Share links handed out to contacts
+        shares: [],
+        // Emails, texts and pushes the real backend would have sent, for inspection
+        outbox: []
+    };
+}
+
+function loadMockDb() {
+    try {
+        const db = JSON.parse(localStorage.getItem(MOCK_DB_KEY));
+        if (db && Array.isArray(db.users)) return { shares: [], contacts: [], invitations: [], ...db };
+    } catch (err) {
+        console.warn('Mock database unreadable, reseeding:', err);
+    }
+
+    const db = createMockFixtures();
+    saveMockDb(db);
+    return db;
+}
+
+function saveMockDb(db) {
+    localStorage.setItem(MOCK_DB_KEY, JSON.stringify(db));
+}
+
+/**
+ * Throw away all mock data and start again from the fixtures
+ */
+function resetMockBackend() {
+    localStorage.removeItem(MOCK_DB_KEY);
+    localStorage.removeItem(MOCK_CLOCK_KEY);
+    localStorage.removeItem('solosafe_trips');
+    localStorage.removeItem('solosafe_trips_synced_at');
+    loadMockDb();
+}
+
+// ========================
+// ROUTES
+// ========================
+
+class MockHttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function publicUser(user) {
+    const { password, ...rest } = user;
+    return rest;
+}
+
+function findOwnTrip(req) {
+    const trip = req.db.trips.find(t => t._id === req.params[0]);
+    if (!trip) throw new MockHttpError(404, 'Trip not found');
+    if (trip.userId !== req.user._id) throw new MockHttpError(403, 'Not your trip');
+    return trip;
+}
+
+function sendMockMessage(db, channel, to, subject, body) {
+    db.outbox.push({ channel, to, subject, body, sentAt: new Date(getNow()).toISOString() });
+    console.info(`[mock] ${channel} to ${to}: ${subject}`);
+}
+
+function sendMockEmail(db, to, subject, body) {
+    sendMockMessage(db, 'email', to, subject, body);
+}
+
+// ========================
+// NOTIFICATION TRANSPORT
+// Stub gateways for every alert channel. Nothing leaves the browser:
+// each send lands in db.outbox, and a gateway that can't deliver
+// throws so the next channel is tried.
+// ========================
+
+// Numbers ending in 0000 don't deliver, like a disconnected line
+const MOCK_UNREACHABLE_PHONE = /0000$/;
+
+function mockPhoneGateway(contact) {
+    const phone = String(contact.phone || '').trim();
+    if (!phone) throw new Error('No phone number');
+    if (MOCK_UNREACHABLE_PHONE.test(phone.replace(/\D/g, ''))) throw new Error('Number unreachable');
+    return phone;
+}
+
+const MOCK_TRANSPORTS = {
+    // Only contacts with a SoloSafe account have the app to push to
+    push: (db, contact) => {
+        const email = String(contact.email || '').toLowerCase();
+        const account = db.users.find(user => user.email.toLowerCase() === email);
+        if (!account) throw new Error('Not using the SoloSafe app');
+        return account._id;
+    },
+    email: (db, contact) => {
+        if (!contact.email || MOCK_BOUNCE_PATTERN.test(contact.email)) throw new Error('Address bounced');
+        return contact.email;
+    },
+    sms: (db, contact) => mockPhoneGateway(contact),
+    whatsapp: (db, contact) => mockPhoneGateway(contact),
+    call: (db, contact) => mockPhoneGateway(contact)
+};
+
+function getMockChannels(contact) {
+    if (Array.isArray(contact.channels)) return contact.channels.filter(channel => MOCK_TRANSPORTS[channel]);
+    return [MOCK_TRANSPORTS[contact.preferredChannel] ? contact.preferredChannel : 'email'];
+}
+
+/**
+ * Send an alert down a contact's channels in order until one gets through
+ * @returns {ContactDelivery}
+ */
+function deliverMockAlert(db, contact, subject, body) {
+    let delivered = false;
+
+    const attempts = getMockChannels(contact).map(channel => {
+        if (delivered) return { channel, status: 'skipped' };
+        try {
+            sendMockMessage(db, channel, MOCK_TRANSPORTS[channel](db, contact), subject, body);
+            delivered = true;
+            return { channel, status: 'delivered' };
+        } catch (err) {
+            return { channel, status: 'failed', error: err.message };
+        }
+    });
+
+    return { contactId: contact._id, name: contact.name, delivered, attempts };
+}
+
+/**
+ * Contacts alerts still go to: everyone who hasn't declined or bounced
+ */
+function reachableContacts(trip) {
+    return (trip.emergencyContacts || []).filter(contact => !['declined', 'bounced'].includes(contact.status));
+}
+
+/**
+ * @returns {ContactDelivery[]}
+ */
+function notifyContacts(db, trip, subject, body, contacts = reachableContacts(trip)) {
+    return contacts.map(contact => deliverMockAlert(db, contact, subject, body));
+}
+
+function countDelivered(deliveries) {
+    return deliveries.filter(delivery => delivery.delivered).length;
+}
+
+/**
+ * Store a reported position as the latest location and on the trail
+ */
+function recordMockLocation(trip, body) {
+    if (body.latitude == null || body.longitude == null) return;
+
+    const point = {
+        latitude: body.latitude,
+        longitude: body.longitude,
+        accuracy: body.accuracy ?? null,
+        timestamp: new Date(getNow()).toISOString()
+    };
+    trip.lastKnownLocation = point;
+    trip.locationHistory = [...(trip.locationHistory || []), point].slice(-MOCK_TRAIL_LIMIT);
+}
+
+/**
+ * Keep a record of how a check-in was made
+ */
+function recordMockCheckIn(trip, body) {
+    const record = {
+        timestamp: trip.lastCheckIn,
+        method: body.method === 'geofence' ? 'geofence' : 'manual'
+    };
+    if (body.latitude != null && body.longitude != null) {
+        record.latitude = body.latitude;
+        record.longitude = body.longitude;
+        record.accuracy = body.accuracy ?? null;
+    }
+    if (record.method === 'geofence') {
+        record.geofenceId = body.geofenceId || null;
+        record.geofenceName = body.geofenceName || null;
+    }
+    if (body.offline) record.offline = true;
+
+    trip.checkIns = [...(trip.checkIns || []), record].slice(-MOCK_CHECKIN_LIMIT);
+    recordMockEvent(trip, 'checkin', { ...body, timestamp: record.timestamp, source: record.method }, {
+        ...(record.geofenceName ? { geofenceName: record.geofenceName } : {}),
+        ...(record.offline ? { offline: true } : {})
+    });
+}
+
+// Trip events only the app can see happen, see trip-events.js
+const MOCK_CLIENT_EVENT_TYPES = ['grace_started', 'missed_checkin'];
+
+/**
+ * Add an entry to the trip's event log, with the position in `body` if any
+ * Returns null when the same event is already logged
+ */
+function recordMockEvent(trip, type, body = {}, fields = {}) {
+    const event = {
+        type,
+        timestamp: body.timestamp || new Date(getNow()).toISOString(),
+        source: body.source || 'manual',
+        ...fields
+    };
+    if (body.latitude != null && body.longitude != null) {
+        event.latitude = body.latitude;
+        event.longitude = body.longitude;
+        event.accuracy = body.accuracy ?? null;
+    }
+
+    const events = trip.events || [];
+    const time = new Date(event.timestamp).getTime();
+    if (events.some(e => e.type === type && new Date(e.timestamp).getTime() === time)) return null;
+
+    trip.events = [...events, event].slice(-MOCK_EVENT_LIMIT);
+    return event;
+}
+
+function formatMockDate(date, timeZone) {
+    const options = { month: 'short', day: 'numeric', year: 'numeric' };
+    try {
+        return new Date(date).toLocaleDateString('en-US', { ...options, timeZone: timeZone || undefined });
+    } catch (err) {
+        return new Date(date).toLocaleDateString('en-US', options);
+    }
+}
+
+/**
+ * What an edit changed, in words for the trip log. Contacts are told
+ * about the `material` ones: a new destination or longer dates.
+ * @returns {{text: string, material: boolean}[]}
+ */
+function describeMockTripChanges(before, after) {
+    const changes = [];
+    const date = value => formatMockDate(value, after.timeZone);
+
+    if (after.destination !== before.destination) {
+        changes.push({ text: `Destination changed from ${before.destination} to ${after.destination}`, material: true });
+    }
+    if (after.startDate !== before.startDate || after.endDate !== before.endDate) {
+        const extended = new Date(after.endDate) > new Date(before.endDate)
+            || new Date(after.startDate) < new Date(before.startDate);
+        changes.push({
+            text: `${extended ? 'Trip extended' : 'Dates changed'}: now ${date(after.startDate)} - ${date(after.endDate)}`,
+            material: extended
+        });
+    }
+    if (after.accommodation !== before.accommodation) {
+        changes.push({ text: `Accommodation changed to ${after.accommodation}`, material: false });
+    }
+    if (after.timeZone !== before.timeZone) {
+        changes.push({ text: `Time zone changed to ${after.timeZone}`, material: false });
+    }
+    if (after.checkInFrequency !== before.checkInFrequency
+        || JSON.stringify(after.checkInSchedule) !== JSON.stringify(before.checkInSchedule)) {
+        changes.push({ text: 'Check-in schedule changed', material: false });
+    }
+    if (after.gracePeriod !== before.gracePeriod
+        || JSON.stringify(after.escalationPolicy) !== JSON.stringify(before.escalationPolicy)) {
+        changes.push({ text: `Missed check-in steps changed, SOS after ${after.gracePeriod} minutes`, material: false });
+    }
+
+    return changes;
+}
+
+/**
+ * Queue a live update for viewers of the trip's shared page
+ * Sent once the request's changes are saved
+ */
+function publishTripEvent(req, trip, type, data = { trip: { ...trip } }) {
+    req.events.push({ tripId: trip._id, type, data });
+}
+
+// ========================
+// SHARE LINKS
+// The real backend signs share tokens; the mock issues the same
+// shape of token but simply looks it up to verify it
+// ========================
+
+const MOCK_SHARE_MAX_HOURS = 30 * 24;
+// Fields a 'status' share link does not reveal
+const MOCK_LOCATION_FIELDS = ['lastKnownLocation', 'locationHistory', 'sosLocation', 'accommodation', 'geofences', 'plannedRoute'];
+
+function createMockShareToken(share) {
+    const payload = btoa(JSON.stringify({ sid: share._id, exp: share.expiresAt }))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `${payload}.${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Issue a share link for `trip`, valid for `expiresInHours`
+ */
+function createMockShare(db, trip, { scope, label, expiresInHours }) {
+    const share = {
+        _id: mockId('share'),
+        tripId: trip._id,
+        scope,
+        label,
+        createdAt: new Date(getNow()).toISOString(),
+        expiresAt: new Date(getNow() + expiresInHours * 60 * 60 * 1000).toISOString(),
+        revokedAt: null
+    };
+    share.token = createMockShareToken(share);
+    db.shares.push(share);
+    return share;
+}
+
+// SOS alerts link contacts to a location share of the trip, reused
+// for later alerts while it lasts. A duress SOS gets its own link,
+// kept off the traveller's list of links.
+const MOCK_SOS_SHARE_HOURS = 72;
+
+function findOrCreateSosShare(db, trip, purpose = 'sos') {
+    const active = db.shares.find(s => s.tripId === trip._id && s.purpose === purpose && isShareActive(s));
+    if (active) return active;
+
+    const share = createMockShare(db, trip, { scope: 'location', label: '', expiresInHours: MOCK_SOS_SHARE_HOURS });
+    share.purpose = purpose;
+    return share;
+}
+
+function isShareActive(share) {
+    return !share.revokedAt && new Date(share.expiresAt).getTime() > getNow();
+}
+
+/**
+ * Share for a token, throwing what the backend would for bad links
+ */
+function findActiveShare(db, token) {
+    const share = db.shares.find(s => s.token === token);
+    if (!share) throw new MockHttpError(404, 'Share link not found');
+    if (share.revokedAt) throw new MockHttpError(410, 'This link was revoked');
+    if (!isShareActive(share)) throw new MockHttpError(410, 'This link has expired');
+    return share;
+}
+
+/**
+ * The trip as contacts see it: after a duress check-in it reads as an
+ * SOS to them, while the trip the traveller's app gets never changes
+ */
+function showDuressToContacts(trip) {
+    const { duressEvents = [], duressLocation, duressAcknowledgements = [], ...shown } = trip;
+    if (!trip.duressActive) return shown;
+
+    shown.events = [...(trip.events || []), ...duressEvents]
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (!trip.sosTriggered && !MOCK_FINISHED_STATUSES.includes(trip.status)) {
+        shown.status = 'EMERGENCY';
+        shown.sosTriggered = true;
+        shown.sosTimestamp = trip.duressTimestamp;
+        shown.sosLocation = duressLocation;
+        shown.sosAcknowledgements = duressAcknowledgements;
+    }
+    return shown;
+}
+
+/**
+ * Copy of a trip with only what the share scope allows
+ */
+function scopeTrip(trip, scope) {
+    const scoped = showDuressToContacts(trip);
+    if (scoped.emergencyContacts) {
+        // Fellow contacts' details only help someone who can see where to go
+        scoped.emergencyContacts = scoped.emergencyContacts.map(({ name, relationship, email, phone }) => (
+            scope === 'location' ? { name, relationship, email, phone } : { name, relationship }
+        ));
+    }
+    if (scope === 'location') return scoped;
+
+    MOCK_LOCATION_FIELDS.forEach(field => delete scoped[field]);
+    if (scoped.events) {
+        scoped.events = scoped.events.map(({ latitude, longitude, accuracy, ...event }) => event);
+    }
+    if (scoped.checkIns) {
+        scoped.checkIns = scoped.checkIns.map(({ latitude, longitude, accuracy, ...checkIn }) => checkIn);
+    }
+    if (scoped.legs) {
+        scoped.legs = scoped.legs.map(({ accommodation, bookingRef, ...leg }) => leg);
+    }
+    return scoped;
+}
+
+// Ended or cancelled trips take no more check-ins or alerts
+const MOCK_FINISHED_STATUSES = ['Completed', 'Cancelled'];
+
+function findOpenTrip(req) {
+    const trip = findOwnTrip(req);
+    if (MOCK_FINISHED_STATUSES.includes(trip.status)) throw new MockHttpError(409, 'This trip has already ended');
+    return trip;
+}
+
+// The app works out set-time and quiet-hours schedules and sends its
+// next slot; anything else falls back to the plain interval
+function nextCheckInFor(trip, requested) {
+    const time = requested ? new Date(requested).getTime() : NaN;
+    if (time > getNow()) return new Date(time).toISOString();
+    return minutesFromNow(trip.checkInFrequency || 60);
+}
+
+// Fields of a book contact, copied onto trips picked with it
+const MOCK_CONTACT_FIELDS = ['name', 'email', 'phone', 'relationship', 'channels', 'language'];
+
+function findOwnContact(req) {
+    const contact = req.db.contacts.find(c => c._id === req.params[0] && c.userId === req.user._id);
+    if (!contact) throw new MockHttpError(404, 'Contact not found');
+    return contact;
+}
+
+function pickContactFields(body) {
+    const fields = {};
+    MOCK_CONTACT_FIELDS.forEach(field => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+}
+
+// Addresses on the reserved .invalid domain bounce, like a mistyped one would
+const MOCK_BOUNCE_PATTERN = /\.invalid$/i;
+
+/**
+ * Show an invitation's status on the book and every trip of the user
+ */
+function setMockContactStatus(db, userId, email, status) {
+    const matches = contact => String(contact.email || '').toLowerCase() === email;
+
+    db.contacts
+        .filter(contact => contact.userId === userId && matches(contact))
+        .forEach(contact => { contact.status = status; });
+    db.trips
+        .filter(trip => trip.userId === userId)
+        .forEach(trip => (trip.emergencyContacts || []).filter(matches).forEach(contact => { contact.status = status; }));
+}
+
+/**
+ * Invite a contact to be the user's emergency contact
+ * Someone already invited keeps their status unless `resend` is set;
+ * once accepted they are never asked again
+ * @returns {string} the invitation status
+ */
+function inviteMockContact(req, contact, resend = false) {
+    const email = String(contact.email || '').toLowerCase();
+    let invitation = req.db.invitations.find(i => i.userId === req.user._id && i.email === email);
+
+    if (!invitation || (resend && invitation.status !== 'accepted')) {
+        if (!invitation) {
+            invitation = { _id: mockId('invite'), userId: req.user._id, email };
+            req.db.invitations.push(invitation);
+        }
+        Object.assign(invitation, {
+            contactName: contact.name,
+            token: mockId('invite-token'),
+            status: MOCK_BOUNCE_PATTERN.test(email) ? 'bounced' : 'pending',
+            sentAt: new Date(getNow()).toISOString(),
+            respondedAt: null
+        });
+        sendMockEmail(
+            req.db,
+            contact.email,
+            `${req.user.name} asked you to be their emergency contact`,
+            `Accept or decline: contact-invite.html?token=${invitation.token}`
+        );
+    }
+
+    setMockContactStatus(req.db, req.user._id, email, invitation.status);
+    return invitation.status;
+}
+
+function findInvitation(req) {
+    const invitation = req.db.invitations.find(i => i.token === decodeURIComponent(req.params[0]));
+    if (!invitation) throw new MockHttpError(404, 'Invitation not found');
+    return invitation;
+}
+
+function publicInvitation(db, invitation) {
+    const traveller = db.users.find(u => u._id === invitation.userId);
+    return {
+        travellerName: traveller ? traveller.name : 'A SoloSafe traveller',
+        contactName: invitation.contactName,
+        status: invitation.status
+    };
+}
+
+const MOCK_ACK_ACTIONS = ['on_it', 'calling', 'police'];
+
+/**
+ * A silent SOS from a duress check-in
+ * Logged and streamed for contacts only, see showDuressToContacts;
+ * replays of the same alert (same timestamp) are ignored
+ */
+function raiseMockDuress(req, trip) {
+    const log = { events: trip.duressEvents || [] };
+    const event = recordMockEvent(log, 'sos', { ...req.body, source: 'duress' });
+    if (!event) return { message: 'SOS already sent' };
+
+    trip.duressEvents = log.events;
+    if (!trip.duressActive) {
+        trip.duressActive = true;
+        trip.duressTimestamp = event.timestamp;
+        trip.duressAcknowledgements = [];
+    }
+    if (req.body.latitude != null && req.body.longitude != null) trip.duressLocation = trip.lastKnownLocation;
+    publishTripEvent(req, trip, 'sos');
+
+    const share = findOrCreateSosShare(req.db, trip, 'duress');
+    notifyContacts(
+        req.db,
+        trip,
+        `SILENT SOS from ${req.user.name}`,
+        `Checked in under duress during ${trip.destination}. Do not call them. Follow: shared-trip.html?token=${encodeURIComponent(share.token)}`
+    );
+    return { message: 'SOS sent' };
+}
+
+/**
+ * Record a contact responding to the trip's SOS and tell the traveller
+ * Responses to a duress SOS are only shown to the other contacts
+ */
+function acknowledgeMockSos(req, trip) {
+    if (!trip) throw new MockHttpError(404, 'Trip not found');
+    const duress = !trip.sosTriggered && trip.duressActive;
+    if (!trip.sosTriggered && !duress) throw new MockHttpError(409, 'There is no active SOS to respond to');
+    if (!MOCK_ACK_ACTIONS.includes(req.body.action)) throw new MockHttpError(400, 'Unknown response');
+
+    const name = String(req.body.name || '').trim().slice(0, 60);
+    if (!name) throw new MockHttpError(400, 'Enter your name so the traveller knows who is responding');
+
+    const acknowledgement = {
+        _id: mockId('ack'),
+        name,
+        action: req.body.action,
+        timestamp: new Date(getNow()).toISOString()
+    };
+    const field = duress ? 'duressAcknowledgements' : 'sosAcknowledgements';
+    trip[field] = [...(trip[field] || []), acknowledgement];
+
+    publishTripEvent(req, trip, 'sos_ack', { trip: { ...trip }, acknowledgement });
+    if (duress) {
+        return { message: 'Other contacts can see you are responding', acknowledgement, acknowledgements: trip[field] };
+    }
+    sendMockMessage(req.db, 'push', trip.userId, `${name} is responding to your SOS`, 'Open your trip to see who is doing what');
+
+    return { message: 'The traveller can see you are responding', acknowledgement, acknowledgements: trip[field] };
+}
+
+// Profile fields an account import may set; never email or password
+const MOCK_IMPORT_PROFILE_FIELDS = ['name', 'username', 'phone', 'nationality', 'profilePicture'];
+
+/**
+ * An imported trip as history: nothing fires for it on this account
+ * Open trips that have started are completed, upcoming ones have no
+ * check-in due, and a live SOS or duress alert becomes a past event
+ */
+function importMockTrip(trip) {
+    const {
+        nextCheckIn, escalationProgress, sosAcknowledgements,
+        duressActive, duressTimestamp, duressLocation, duressAcknowledgements, duressEvents = [],
+        ...imported
+    } = trip;
+
+    if (!MOCK_FINISHED_STATUSES.includes(trip.status)) {
+        imported.status = new Date(trip.startDate).getTime() > getNow() ? 'Active' : 'Completed';
+    }
+    imported.sosTriggered = false;
+    if (duressEvents.length) {
+        imported.events = [...(trip.events || []), ...duressEvents]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+    return imported;
+}
+
+/**
+ * [method, path pattern, handler, requiresAuth]
+ * Handlers get { params, body, user, db, events } and return the JSON body
+ */
+const MOCK_ROUTES = [
+    ['POST', /^\/auth\/login$/, req => {
+        const user = req.db.users.find(u => u.email === req.body.email && u.password === req.body.password);
+        if (!user) throw new MockHttpError(401, 'Invalid credentials');
+        return { token: `mock-token-${user._id}`, user: publicUser(user) };
+    }, false],
+
+    ['POST', /^\/auth\/register$/, req => {
+        const { name, email, password } = req.body;
+        if (!name || !email || !password) throw new MockHttpError(400, 'All fields are required');
+        if (req.db.users.some(u => u.email === email)) throw new MockHttpError(400, 'Email already registered');
+
+        const user = { _id: mockId('user'), name, email, password, username: email.split('@')[0] };
+        req.db.users.push(user);
+        sendMockEmail(req.db, email, 'Verify your SoloSafe account', 'Mock verification link');
+        return { message: 'Verification email sent', user: publicUser(user) };
+    }, false],
+
+    ['GET', /^\/auth\/profile$/, req => publicUser(req.user)],
+
+    ['POST', /^\/auth\/logout$/, () => ({ message: 'Logged out' })],
+
+    ['POST', /^\/auth\/forgot-password$/, req => {
+        sendMockEmail(req.db, req.body.email, 'Reset your SoloSafe password', 'Mock reset link');
+        return { message: 'Password reset email sent' };
+    }, false],
+
+    ['PUT', /^\/auth\/change-password$/, req => {
+        if (req.user.password !== req.body.oldPassword) throw new MockHttpError(400, 'Current password is incorrect');
+        req.user.password = req.body.newPassword;
+        return { message: 'Password updated' };
+    }],
+
+    ['POST', /^\/account\/import$/, req => {
+        const { mode = 'merge', profile = {}, contacts = [], trips = [] } = req.body;
+        if (!['merge', 'replace'].includes(mode)) throw new MockHttpError(400, 'Unknown import mode');
+        if (!Array.isArray(trips)) throw new MockHttpError(400, 'Trips must be a list');
+
+        if (mode === 'replace') {
+            const removed = new Set(req.db.trips.filter(t => t.userId === req.user._id).map(t => t._id));
+            req.db.trips = req.db.trips.filter(t => !removed.has(t._id));
+            req.db.shares = req.db.shares.filter(s => !removed.has(s.tripId));
+            req.db.contacts = req.db.contacts.filter(c => c.userId !== req.user._id);
+        }
+
+        const book = req.db.contacts.filter(c => c.userId === req.user._id);
+        (Array.isArray(contacts) ? contacts : []).forEach(contact => {
+            if (!contact.email || book.some(c => c.email.toLowerCase() === contact.email.toLowerCase())) return;
+            const saved = { ...pickContactFields(contact), _id: mockId('contact'), userId: req.user._id };
+            book.push(saved);
+            req.db.contacts.push(saved);
+        });
+        const bookIdFor = email => {
+            const match = book.find(c => c.email.toLowerCase() === String(email).toLowerCase());
+            return match ? match._id : null;
+        };
+
+        // The same trip exported and imported twice gets a new id each time
+        const own = req.db.trips.filter(t => t.userId === req.user._id);
+        const isKnown = trip => own.some(t => t.destination === trip.destination && t.startDate === trip.startDate);
+        const imported = trips.filter(trip => !isKnown(trip)).map(trip => ({
+            ...importMockTrip(trip),
+            _id: mockId('trip'),
+            userId: req.user._id,
+            emergencyContacts: (trip.emergencyContacts || [])
+                .map(({ status, ...c }) => ({ ...c, _id: mockId('contact'), contactId: bookIdFor(c.email) }))
+        }));
+        req.db.trips.push(...imported);
+
+        // A new account means new invitations, even for people who accepted before
+        [...book, ...imported.flatMap(trip => trip.emergencyContacts)].forEach(contact => inviteMockContact(req, contact));
+
+        MOCK_IMPORT_PROFILE_FIELDS.forEach(field => {
+            if (profile[field] && (mode === 'replace' || !req.user[field])) req.user[field] = profile[field];
+        });
+
+        return {
+            message: 'Account data imported',
+            imported: imported.length,
+            skipped: trips.length - imported.length,
+            user: publicUser(req.user)
+        };
+    }],
+
+    ['GET', /^\/contacts$/, req => ({ contacts: req.db.contacts.filter(c => c.userId === req.user._id) })],
+
+    ['POST', /^\/contacts$/, req => {
+        const fields = pickContactFields(req.body);
+        if (!fields.name || !fields.email) throw new MockHttpError(400, 'Name and email are required');
+        if (req.db.contacts.some(c => c.userId === req.user._id && c.email.toLowerCase() === fields.email.toLowerCase())) {
+            throw new MockHttpError(400, 'That email is already in your contacts');
+        }
+
+        const contact = { ...fields, _id: mockId('contact'), userId: req.user._id };
+        req.db.contacts.push(contact);
+        inviteMockContact(req, contact);
+        return { message: 'Contact saved', contact };
+    }],
+
+    ['PUT', /^\/contacts\/([^/]+)$/, req => {
+        const contact = findOwnContact(req);
+        const previousEmail = contact.email;
+        Object.assign(contact, pickContactFields(req.body));
+
+        // Completed and past trips keep the contact as it was at the time
+        const now = getNow();
+        const trips = req.db.trips.filter(t => t.userId === req.user._id
+            && t.status !== 'Completed'
+            && new Date(t.endDate).getTime() > now
+            && (t.emergencyContacts || []).some(c => c.contactId === contact._id));
+        trips.forEach(trip => {
+            trip.emergencyContacts = trip.emergencyContacts.map(c => (
+                c.contactId === contact._id ? { ...c, ...pickContactFields(contact) } : c
+            ));
+        });
+
+        // A new address has to be confirmed again
+        if (contact.email.toLowerCase() !== previousEmail.toLowerCase()) inviteMockContact(req, contact);
+
+        return { message: 'Contact updated', contact, updatedTrips: trips.length };
+    }],
+
+    ['POST', /^\/contacts\/([^/]+)\/invite$/, req => {
+        const contact = findOwnContact(req);
+        if (contact.status === 'accepted') throw new MockHttpError(400, 'They have already accepted');
+        return { message: 'Invitation sent', status: inviteMockContact(req, contact, true) };
+    }],
+
+    ['GET', /^\/invitations\/([^/]+)$/, req => ({ invitation: publicInvitation(req.db, findInvitation(req)) }), false],
+
+    ['POST', /^\/invitations\/([^/]+)$/, req => {
+        const invitation = findInvitation(req);
+        invitation.status = req.body.accept ? 'accepted' : 'declined';
+        invitation.respondedAt = new Date(getNow()).toISOString();
+        setMockContactStatus(req.db, invitation.userId, invitation.email, invitation.status);
+
+        const traveller = req.db.users.find(u => u._id === invitation.userId);
+        if (traveller) {
+            sendMockEmail(req.db, traveller.email, `${invitation.contactName} ${invitation.status} your invitation`,
+                `${invitation.contactName} ${invitation.status} being your emergency contact`);
+        }
+        return { message: 'Thanks for letting us know', invitation: publicInvitation(req.db, invitation) };
+    }, false],
+
+    ['DELETE', /^\/contacts\/([^/]+)$/, req => {
+        const contact = findOwnContact(req);
+        req.db.contacts = req.db.contacts.filter(c => c !== contact);
+        return { message: 'Contact removed' };
+    }],
+
+    ['GET', /^\/trips$/, req => req.db.trips.filter(t => t.userId === req.user._id)],
+
+    ['GET', /^\/trips\/([^/]+)$/, req => findOwnTrip(req)],
+
+    ['POST', /^\/trips$/, req => {
+        const { emergencyContact, ...fields } = req.body;
+        const trip = {
+            status: 'Active',
+            ...fields,
+            _id: mockId('trip'),
+            userId: req.user._id,
+            emergencyContacts: (emergencyContact || fields.emergencyContacts || [])
+                .map(({ status, ...contact }) => ({ _id: mockId('contact'), ...contact })),
+            sosTriggered: false
+        };
+        trip.nextCheckIn = nextCheckInFor(trip, fields.nextCheckIn);
+        req.db.trips.push(trip);
+        trip.emergencyContacts.forEach(contact => inviteMockContact(req, contact));
+        return { message: 'Trip created', trip };
+    }],
+
+    ['PUT', /^\/trips\/([^/]+)\/safe$/, req => {
+        const trip = findOpenTrip(req);
+        trip.lastCheckIn = req.body.timestamp || new Date(getNow()).toISOString();
+        trip.nextCheckIn = nextCheckInFor(trip, req.body.nextCheckIn);
+        recordMockCheckIn(trip, req.body);
+        recordMockLocation(trip, req.body);
+        publishTripEvent(req, trip, 'checkin');
+        return { message: 'Check-in recorded', nextCheckIn: trip.nextCheckIn, trip };
+    }],
+
+    ['PUT', /^\/trips\/([^/]+)\/end$/, req => {
+        const trip = findOpenTrip(req);
+        trip.status = 'Completed';
+        trip.nextCheckIn = null;
+        recordMockEvent(trip, 'trip_ended');
+        publishTripEvent(req, trip, 'status');
+        return { message: 'Trip ended', trip };
+    }],
+
+    ['PUT', /^\/trips\/([^/]+)\/cancel$/, req => {
+        const trip = findOpenTrip(req);
+        trip.status = 'Cancelled';
+        trip.sosTriggered = false;
+        trip.nextCheckIn = null;
+        publishTripEvent(req, trip, 'status');
+        return { message: 'Trip cancelled', trip };
+    }],
+
+    ['POST', /^\/trips\/([^/]+)\/events$/, req => {
+        const trip = findOwnTrip(req);
+        if (!MOCK_CLIENT_EVENT_TYPES.includes(req.body.type)) {
+            throw new MockHttpError(400, 'Unknown event type');
+        }
+        const event = recordMockEvent(trip, req.body.type, { ...req.body, source: 'auto' });
+        return { message: event ? 'Event recorded' : 'Event already recorded', events: trip.events };
+    }],
+
+    ['GET', /^\/trips\/([^/]+)\/contacts$/, req => ({ emergencyContacts: findOwnTrip(req).emergencyContacts || [] })],
+
+    ['PUT', /^\/trips\/([^/]+)\/contacts$/, req => {
+        const trip = findOwnTrip(req);
+        const { status, ...fields } = req.body;
+        const contact = { _id: mockId('contact'), ...fields };
+        trip.emergencyContacts = [...(trip.emergencyContacts || []), contact];
+        inviteMockContact(req, contact);
+        return { message: 'Contact added', trip };
+    }],
+
+    ['POST', /^\/trips\/([^/]+)\/contacts\/([^/]+)\/invite$/, req => {
+        const trip = findOwnTrip(req);
+        const contact = (trip.emergencyContacts || []).find(c => c._id === req.params[1]);
+        if (!contact) throw new MockHttpError(404, 'Contact not found');
+        if (contact.status === 'accepted') throw new MockHttpError(400, 'They have already accepted');
+        return { message: 'Invitation sent', status: inviteMockContact(req, contact, true) };
+    }],
+
+    ['DELETE', /^\/trips\/([^/]+)\/contacts\/([^/]+)$/, req => {
+        const trip = findOwnTrip(req);
+        trip.emergencyContacts = (trip.emergencyContacts || []).filter(c => c._id !== req.params[1]);
+        return { message: 'Contact removed' };
+    }],
+
+    ['PUT', /^\/trips\/([^/]+)$/, req => {
+        const trip = findOpenTrip(req);
+        const before = { ...trip };
+        const startDate = req.body.startDate || trip.startDate;
+        const endDate = req.body.endDate || trip.endDate;
+        if (new Date(endDate) < new Date(startDate)) throw new MockHttpError(400, 'A trip must end after it starts');
+
+        Object.assign(trip, req.body, { _id: trip._id, userId: trip.userId });
+
+        const changes = describeMockTripChanges(before, trip);
+        const material = changes.filter(change => change.material).map(change => change.text);
+        if (changes.length) recordMockEvent(trip, 'trip_updated', {}, { changes: changes.map(change => change.text) });
+
+        const deliveries = material.length
+            ? notifyContacts(req.db, trip, `${req.user.name} changed their trip`, material.join('. '))
+            : [];
+        publishTripEvent(req, trip, 'status');
+        return { message: 'Trip updated', trip, notified: countDelivered(deliveries) };
+    }],
+
+    ['GET', /^\/trips\/([^/]+)\/shares$/, req => {
+        const trip = findOwnTrip(req);
+        return { shares: req.db.shares.filter(s => s.tripId === trip._id && s.purpose !== 'duress' && isShareActive(s)) };
+    }],
+
+    ['POST', /^\/trips\/([^/]+)\/shares$/, req => {
+        const trip = findOwnTrip(req);
+        const { scope = 'location', expiresInHours = 24, label = '' } = req.body;
+        if (!['status', 'location'].includes(scope)) throw new MockHttpError(400, 'Unknown share scope');
+        if (!(expiresInHours > 0 && expiresInHours <= MOCK_SHARE_MAX_HOURS)) {
+            throw new MockHttpError(400, 'Share links can last up to 30 days');
+        }
+
+        const share = createMockShare(req.db, trip, { scope, label, expiresInHours });
+        return { message: 'Share link created', share };
+    }],
+
+    ['DELETE', /^\/trips\/([^/]+)\/shares\/([^/]+)$/, req => {
+        const trip = findOwnTrip(req);
+        const share = req.db.shares.find(s => s._id === req.params[1] && s.tripId === trip._id);
+        if (!share) throw new MockHttpError(404, 'Share link not found');
+        share.revokedAt = new Date(getNow()).toISOString();
+        publishTripEvent(req, trip, 'share_revoked', { shareId: share._id });
+        return { message: 'Share link revoked' };
+    }],
+
+    ['GET', /^\/shared\/([^/]+)$/, req => {
+        const share = findActiveShare(req.db, decodeURIComponent(req.params[0]));
+        const trip = req.db.trips.find(t => t._id === share.tripId);
+        if (!trip) throw new MockHttpError(404, 'Trip not found');
+        return {
+            trip: scopeTrip(trip, share.scope),
+            share: { scope: share.scope, label: share.label, expiresAt: share.expiresAt }
+        };
+    }, false],
+
+    ['POST', /^\/shared\/([^/]+)\/acknowledgements$/, req => {
+        const share = findActiveShare(req.db, decodeURIComponent(req.params[0]));
+        return acknowledgeMockSos(req, req.db.trips.find(t => t._id === share.tripId));
+    }, false],
+
+    ['POST', /^\/alerts\/sos$/, req => {
+        req.params = [req.body.tripId];
+        const trip = findOpenTrip(req);
+        recordMockLocation(trip, req.body);
+
+        // Duress: contacts are alerted but the trip must look normal to the traveller's app
+        if (req.body.duress) return raiseMockDuress(req, trip);
+
+        trip.status = 'EMERGENCY';
+        trip.sosTriggered = true;
+        trip.sosTimestamp = new Date(getNow()).toISOString();
+        if (req.body.latitude != null && req.body.longitude != null) trip.sosLocation = trip.lastKnownLocation;
+        trip.sosAcknowledgements = [];
+        recordMockEvent(trip, 'sos', { ...req.body, timestamp: trip.sosTimestamp, source: req.body.auto ? 'auto' : 'manual' });
+        publishTripEvent(req, trip, 'sos');
+        const share = findOrCreateSosShare(req.db, trip);
+        trip.sosDeliveries = notifyContacts(
+            req.db,
+            trip,
+            `SOS from ${req.user.name}`,
+            `${req.body.auto ? 'Automatic' : 'Manual'} SOS during ${trip.destination}. Respond: shared-trip.html?token=${encodeURIComponent(share.token)}`
+        );
+        return { message: 'SOS sent', trip, deliveries: trip.sosDeliveries, share };
+    }],
+
+    ['POST', /^\/alerts\/escalate$/, req => {
+        req.params = [req.body.tripId];
+        const trip = findOwnTrip(req);
+        const contacts = reachableContacts(trip);
+        const recipients = req.body.action === 'notify_first' ? contacts.slice(0, 1) : contacts;
+        const deliveries = notifyContacts(
+            req.db,
+            trip,
+            `${req.user.name} missed a check-in`,
+            `No check-in since ${req.body.missedCheckIn} during ${trip.destination}`,
+            recipients
+        );
+        return { message: 'Contacts alerted', notified: countDelivered(deliveries), deliveries };
+    }],
+
+    ['POST', /^\/alerts\/geofence-exit$/, req => {
+        req.params = [req.body.tripId];
+        const trip = findOwnTrip(req);
+        const time = new Date(req.body.timestamp || getNow()).toLocaleTimeString();
+        recordMockLocation(trip, req.body);
+        const deliveries = notifyContacts(
+            req.db,
+            trip,
+            `${req.user.name} left ${req.body.geofenceName}`,
+            `Left ${req.body.geofenceName} at ${time} during ${trip.destination}, which they did not expect to`
+        );
+        return { message: 'Contacts alerted', notified: countDelivered(deliveries), deliveries };
+    }],
+
+    ['POST', /^\/alerts\/cancel-sos$/, req => {
+        req.params = [req.body.tripId];
+        const trip = findOwnTrip(req);
+        trip.status = 'Active';
+        trip.sosTriggered = false;
+        // The traveller is free to cancel, so any silent SOS is over too
+        trip.duressActive = false;
+        trip.nextCheckIn = nextCheckInFor(trip);
+        recordMockEvent(trip, 'sos_cancelled');
+        publishTripEvent(req, trip, 'sos_cancelled');
+        notifyContacts(req.db, trip, `${req.user.name} is safe`, 'The SOS alert was cancelled');
+        return { message: 'SOS cancelled', trip };
+    }],
+
+    ['PUT', /^\/alerts\/last-known-location\/([^/]+)$/, req => {
+        const trip = findOwnTrip(req);
+        recordMockLocation(trip, req.body);
+        publishTripEvent(req, trip, 'location', { point: trip.lastKnownLocation });
+        return { message: 'Location updated' };
+    }]
+];
+
+function getRequestHeader(headers, name) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') return headers.get(name);
+
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : null;
+}
+
+/**
+ * Answer one API request from the mock database
+ * Returns a Response just like fetch would
+ */
+async function handleMockRequest(path, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const route = MOCK_ROUTES.find(([m, pattern]) => m === method && pattern.test(path));
+
+    await new Promise(resolve => setTimeout(resolve, MOCK_LATENCY));
+
+    const respond = (status, body) => new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (!route) return respond(404, { message: `No mock route for ${method} ${path}` });
+
+    const [, pattern, handler, requiresAuth = true] = route;
+    const db = loadMockDb();
+    const authHeader = getRequestHeader(init.headers, 'Authorization') || '';
+    const token = authHeader.replace(/^Bearer\s+/i, '');
+    const user = db.users.find(u => token === `mock-token-${u._id}`) || null;
+
+    if (requiresAuth && !user) return respond(401, { message: 'Not authenticated' });
+
+    let body = {};
+    try {
+        body = init.body ? JSON.parse(init.body) : {};
+    } catch (err) {
+        return respond(400, { message: 'Invalid JSON body' });
+    }
+
+    try {
+        const events = [];
+        const result = handler({ params: path.match(pattern).slice(1), body, user, db, events });
+        saveMockDb(db);
+        events.forEach(dispatchMockEvent);
+        return respond(200, result);
+    } catch (err) {
+        if (err instanceof MockHttpError) return respond(err.status, { message: err.message });
+        console.error('Mock backend error:', err);
+        return respond(500, { message: err.message });
+    }
+}
+
+// ========================
+// LIVE EVENTS
+// Stand-in for the backend's Server-Sent Events stream: events reach
+// viewers in this tab directly and in other tabs via localStorage
+// ========================
+
+function dispatchMockEvent(event) {
+    window.dispatchEvent(new CustomEvent('solosafe:mockevent', { detail: event }));
+    localStorage.setItem(MOCK_EVENT_KEY, JSON.stringify({ ...event, id: mockId('event') }));
+}
+
+/**
+ * EventSource for the mock backend's /shared/:token/stream URLs
+ * Streams are trimmed to the link's scope and close once the link is
+ * revoked or expires.
+ */
+class MockEventSource extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        this.onopen = null;
+        this.onerror = null;
+        this.onmessage = null;
+
+        const path = url.slice(getApiBaseUrl().length);
+        const shareMatch = path.match(/^\/shared\/([^/?]+)\/stream/);
+        this.tripId = null;
+        this.shareToken = shareMatch && decodeURIComponent(shareMatch[1]);
+        this.share = null;
+
+        this.onLocalEvent = event => this.receive(event.detail);
+        this.onStorage = event => {
+            if (event.key === MOCK_EVENT_KEY && event.newValue) this.receive(JSON.parse(event.newValue));
+        };
+
+        setTimeout(() => this.open(), MOCK_LATENCY);
+    }
+
+    open() {
+        if (this.readyState === 2) return;
+
+        const db = loadMockDb();
+        try {
+            this.share = this.shareToken ? findActiveShare(db, this.shareToken) : null;
+        } catch (err) {
+            this.share = null;
+        }
+        this.tripId = this.share && this.share.tripId;
+
+        if (!this.tripId || !db.trips.some(t => t._id === this.tripId)) {
+            this.fail();
+            return;
+        }
+
+        this.readyState = 1;
+        window.addEventListener('solosafe:mockevent', this.onLocalEvent);
+        window.addEventListener('storage', this.onStorage);
+        this.emit(new Event('open'));
+    }
+
+    receive(event) {
+        if (this.readyState !== 1 || event.tripId !== this.tripId) return;
+
+        const revoked = event.type === 'share_revoked' && event.data.shareId === this.share._id;
+        if (revoked || !isShareActive(this.share)) {
+            this.fail();
+            return;
+        }
+        if (event.type === 'share_revoked') return;
+        if (this.share.scope !== 'location' && event.type === 'location') return;
+
+        const data = event.data.trip
+            ? { ...event.data, trip: scopeTrip(event.data.trip, this.share.scope) }
+            : event.data;
+        this.emit(new MessageEvent(event.type, { data: JSON.stringify(data) }));
+    }
+
+    // Server refused or ended the stream for good
+    fail() {
+        this.close();
+        this.emit(new Event('error'));
+    }
+
+    emit(event) {
+        this.dispatchEvent(event);
+        const handler = this[`on${event.type}`];
+        if (typeof handler === 'function') handler.call(this, event);
+    }
+
+    close() {
+        this.readyState = 2;
+        window.removeEventListener('solosafe:mockevent', this.onLocalEvent);
+        window.removeEventListener('storage', this.onStorage);
+    }
+}
+
+/**
+ * Route fetch calls (and EventSource streams) for the API base URL
+ * to the mock backend
+ */
+function installMockBackend() {
+    const realFetch = window.fetch.bind(window);
+    const RealEventSource = window.EventSource;
+
+    window.fetch = (input, init) => {
+        const url = typeof input === 'string' ? input : input.url;
+        const base = getApiBaseUrl();
+
+        if (!url.startsWith(base)) return realFetch(input, init);
+
+        return handleMockRequest(url.slice(base.length).split('?')[0], init);
+    };
+
+    window.EventSource = function (url, options) {
+        if (String(url).startsWith(getApiBaseUrl())) return new MockEventSource(String(url));
+        return new RealEventSource(url, options);
+    };
+
+    console.info(`[mock] Mock backend active - log in as ${MOCK_DEMO_EMAIL} / ${MOCK_DEMO_PASSWORD}`);
+}
+
+// ========================
+// DEV PANEL
+// ========================
+
+function renderMockPanel() {
+    const panel = document.createElement('div');
+    panel.id = 'mockPanel';
+    panel.className = 'mock-panel';
+    panel.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center mb-1">
+            <strong><i class="fas fa-flask me-1"></i>Mock backend</strong>
+            <small id="mockClock"></small>
+        </div>
+        <div class="d-flex flex-wrap gap-1">
+            <button type="button" class="btn btn-sm btn-light" onclick="advanceClock(60 * 1000)">+1m</button>
+            <button type="button" class="btn btn-sm btn-light" onclick="advanceClock(10 * 60 * 1000)">+10m</button>
+            <button type="button" class="btn btn-sm btn-light" onclick="advanceClock(60 * 60 * 1000)">+1h</button>
+            <button type="button" class="btn btn-sm btn-light" onclick="resetClock()">Now</button>
+            <button type="button" class="btn btn-sm btn-warning" onclick="resetMockBackend(); location.reload()">Reset data</button>
+            <button type="button" class="btn btn-sm btn-danger" onclick="setMockBackend(false); location.href = 'login.html'">Exit</button>
+        </div>
+    `;
+    document.body.appendChild(panel);
+
+    const tick = () => {
+        const offset = getClockOffset();
+        const label = new Date(getNow()).toLocaleTimeString();
+        document.getElementById('mockClock').textContent = offset
+            ? `${label} (+${Math.round(offset / 60000)}m)`
+            : label;
+    };
+    tick();
+    setInterval(tick, 1000);
+}
+
+// ?mock=1 / ?mock=0 toggles the mode for this browser
+const mockParam = new URLSearchParams(window.location.search).get('mock');
+if (mockParam !== null) {
+    setMockBackend(mockParam === '1' || mockParam === 'true');
+}
+
+if (isMockBackend()) {
+    installMockBackend();
+    document.addEventListener('DOMContentLoaded', renderMockPanel);
+}
+
+window.setMockBackend = setMockBackend;
+window.advanceClock = advanceClock;
+window.resetClock = resetClock;
+window.resetMockBackend = resetMockBackend;
@@ -0,0 +1,163 @@
+// ========================
+// SOLOSAFE - PLANNED ROUTE
+// The path a traveller means to walk or drive, drawn in create-trip.html
+// or imported from GPX. active-trip.html compares tracked positions
+// against it to notice when they stray off it and don't come back.
+// Needs trip-map.js (getDistanceMeters)
+// ========================
+
+// Metres either side of the route that still count as on it
+const ROUTE_DEFAULT_CORRIDOR = 200;
+const ROUTE_MIN_CORRIDOR = 50;
+const ROUTE_MAX_CORRIDOR = 5000;
+// How long someone must stay off the route before we ask
+const ROUTE_DEVIATION_MINUTES = 3;
+// How long they have to answer "Are you OK?" before it counts as a missed check-in
+const ROUTE_PROMPT_MINUTES = 5;
+// GPX tracks log a point every second or so; more than this is thinned out
+const ROUTE_MAX_POINTS = 1000;
+
+/**
+ * @typedef {Object} PlannedRoute
+ * @property {{latitude: number, longitude: number}[]} points - in travel order
+ * @property {number} corridor - metres
+ * @property {string} [name]
+ */
+
+/**
+ * Keep every nth point so long tracks stay small, always keeping the ends
+ */
+function thinRoutePoints(points, max = ROUTE_MAX_POINTS) {
+    if (points.length <= max) return points;
+
+    const step = (points.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => points[Math.round(i * step)]);
+}
+
+/**
+ * Clean up a planned route from user input or the backend
+ * @returns {?PlannedRoute} null when there is no usable path
+ */
+function normalizePlannedRoute(route) {
+    if (!route || !Array.isArray(route.points)) return null;
+
+    const points = route.points
+        .map(point => ({ latitude: Number(point.latitude), longitude: Number(point.longitude) }))
+        .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude));
+    if (points.length < 2) return null;
+
+    const corridor = Number(route.corridor);
+
+    return {
+        points: thinRoutePoints(points),
+        corridor: Number.isFinite(corridor) && corridor > 0 ? corridor : ROUTE_DEFAULT_CORRIDOR,
+        name: String(route.name || '').trim()
+    };
+}
+
+/**
+ * Read the track (or route) out of a GPX file
+ * Throws with a message for the user when there is nothing to use
+ * @returns {{name: string, points: {latitude: number, longitude: number}[]}}
+ */
+function parseGpx(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length || doc.documentElement.localName !== 'gpx') {
+        throw new Error('That file is not a GPX file');
+    }
+
+    // Prefer the recorded track, then a planned route, then loose waypoints
+    const points = ['trkpt', 'rtept', 'wpt']
+        .map(tag => [...doc.getElementsByTagName(tag)])
+        .find(found => found.length > 1) || [];
+    if (!points.length) throw new Error('No track or route found in the GPX file');
+
+    const name = doc.getElementsByTagName('name')[0];
+
+    return {
+        name: name ? name.textContent.trim() : '',
+        points: points.map(point => ({
+            latitude: Number(point.getAttribute('lat')),
+            longitude: Number(point.getAttribute('lon'))
+        }))
+    };
+}
+
+/**
+ * Distance in metres from a point to the segment a-b
+ * Flat-earth approximation around the point, fine at corridor scale
+ */
+function getDistanceToSegment(point, a, b) {
+    const metresPerDegree = 111320;
+    const scale = Math.cos(point.latitude * Math.PI / 180);
+    const toXY = p => ({
+        x: (p.longitude - point.longitude) * metresPerDegree * scale,
+        y: (p.latitude - point.latitude) * metresPerDegree
+    });
+
+    const start = toXY(a);
+    const end = toXY(b);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point on the segment to the origin (our point)
+    const t = lengthSquared ? Math.min(1, Math.max(0, -(start.x * dx + start.y * dy) / lengthSquared)) : 0;
+    return Math.hypot(start.x + t * dx, start.y + t * dy);
+}
+
+/**
+ * Distance in metres from a point to the nearest part of the route
+ */
+function getDistanceToRoute(point, route) {
+    if (route.points.length === 1) return getDistanceMeters(point, route.points[0]);
+
+    let nearest = Infinity;
+    for (let i = 1; i < route.points.length; i++) {
+        nearest = Math.min(nearest, getDistanceToSegment(point, route.points[i - 1], route.points[i]));
+    }
+    return nearest;
+}
+
+/**
+ * Feed a tracked position through the route
+ * `state` is { offSince, distance, prompted } from the previous call
+ * ({} to start). Fixes less accurate than the corridor is wide are
+ * ignored. Returns { state, promptDue }: promptDue is true once per
+ * excursion, when the traveller has been off the route long enough.
+ */
+function updateRouteDeviation(route, state, point, now = Date.now()) {
+    if (point.accuracy && point.accuracy > route.corridor) {
+        return { state, promptDue: false };
+    }
+
+    const distance = getDistanceToRoute(point, route);
+    if (distance <= route.corridor) {
+        return { state: { offSince: null, distance, prompted: false }, promptDue: false };
+    }
+
+    const offSince = state.offSince || now;
+    const promptDue = !state.prompted && now - offSince >= ROUTE_DEVIATION_MINUTES * 60 * 1000;
+
+    return {
+        state: { offSince, distance, prompted: !!state.prompted || promptDue },
+        promptDue
+    };
+}
+
+/**
+ * Length of the route in metres
+ */
+function getRouteLength(route) {
+    let length = 0;
+    for (let i = 1; i < route.points.length; i++) {
+        length += getDistanceMeters(route.points[i - 1], route.points[i]);
+    }
+    return length;
+}
+
+window.normalizePlannedRoute = normalizePlannedRoute;
+window.parseGpx = parseGpx;
+window.getDistanceToRoute = getDistanceToRoute;
+window.updateRouteDeviation = updateRouteDeviation;
+window.getRouteLength = getRouteLength;
@@ -1,10 +1,9 @@
 // ========================
 // SOLOSAFE - MAIN SCRIPT
 // Complete rewrite with unified authentication
+// Backend calls go through SoloSafeAPI (api.js)
 // ========================
 
-const API_BASE_URL = 'https://solosafe-backend.onrender.com/api';
-
 // ========================
 // TOAST NOTIFICATION SYSTEM
 // ========================
@@ -30,6 +29,15 @@ function showToast(message, type = 'info') {
     }).showToast();
 }
 
+/**
+ * Escape user-entered text before putting it in innerHTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
 // ========================
 // DARK MODE
 // ========================
@@ -121,19 +129,7 @@ async function fetchUserProfile() {
             throw new Error('No authentication token found');
         }
         
-        const response = await fetch(`${API_BASE_URL}/auth/profile`, {
-            method: 'GET',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch user profile');
-        }
-
-        const userData = await response.json();
+        const userData = await SoloSafeAPI.auth.profile();
         
         // Store in unified format
         const userToStore = {
@@ -231,12 +227,7 @@ function logout() {
     
     // Call backend logout endpoint
     if (token) {
-        fetch(`${API_BASE_URL}/auth/logout`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            }
-        }).catch(err => console.error('Logout error:', err));
+        SoloSafeAPI.auth.logout().catch(err => console.error('Logout error:', err));
     }
     
     // Clear all auth data
@@ -244,6 +235,7 @@ function logout() {
     localStorage.removeItem('solosafe_token');
     localStorage.removeItem('solosafe_trips');
     localStorage.removeItem('solosafe_temp_signup');
+    clearTripFromServiceWorker();
     
     showToast('Logged out successfully', 'success');
     setTimeout(() => {
@@ -255,6 +247,20 @@ function logout() {
 // AUTHENTICATED FETCH
 // ========================
 
+/**
+ * Clear the stored session and send the user back to login
+ * Called for any 401 from the backend
+ */
+function handleSessionExpired() {
+    showToast('Session expired. Please login again.', 'warning');
+    localStorage.removeItem('solosafe_user');
+    localStorage.removeItem('solosafe_token');
+    clearTripFromServiceWorker();
+    setTimeout(() => {
+        window.location.href = 'login.html';
+    }, 1500);
+}
+
 /**
  * Make authenticated API requests
  * Automatically includes Bearer token and handles 401 errors
@@ -278,30 +284,120 @@ async function authenticatedFetch(url, options = {}) {
         }
     };
     
-    const mergedOptions = { ...defaultOptions, ...options };
+    // Headers were merged above; spreading options last would drop the token
+    const mergedOptions = { ...options, headers: defaultOptions.headers };
     
     try {
         const response = await fetch(url, mergedOptions);
         
         // Handle session expiration (401 Unauthorized)
         if (response.status === 401) {
-            showToast('Session expired. Please login again.', 'warning');
-            localStorage.removeItem('solosafe_user');
-            localStorage.removeItem('solosafe_token');
-            setTimeout(() => {
-                window.location.href = 'login.html';
-            }, 1500);
+            handleSessionExpired();
             return null;
         }
         
         return response;
     } catch (error) {
         console.error('Fetch error:', error);
-        showToast('Network error. Please try again.', 'error');
+        // Offline is reported by the offline banner instead
+        if (navigator.onLine) {
+            showToast('Network error. Please try again.', 'error');
+        }
         throw error;
     }
 }
 
+// ========================
+// OFFLINE MODE
+// ========================
+
+/**
+ * Save trips fetched from the backend for offline use
+ */
+function cacheTrips(trips) {
+    localStorage.setItem('solosafe_trips', JSON.stringify(trips));
+    localStorage.setItem('solosafe_trips_synced_at', new Date().toISOString());
+}
+
+/**
+ * Trips from the last successful sync
+ */
+function getCachedTrips() {
+    try {
+        return JSON.parse(localStorage.getItem('solosafe_trips') || '[]');
+    } catch (err) {
+        console.error('Error parsing cached trips:', err);
+        return [];
+    }
+}
+
+/**
+ * Show or hide the "offline, last synced at" banner
+ */
+function updateOfflineBanner() {
+    let banner = document.getElementById('offlineBanner');
+
+    if (navigator.onLine) {
+        if (banner) banner.remove();
+        return;
+    }
+
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'offlineBanner';
+        banner.className = 'alert alert-warning offline-banner';
+        const container = document.querySelector('.main-content') || document.body;
+        container.prepend(banner);
+    }
+
+    const syncedAt = localStorage.getItem('solosafe_trips_synced_at');
+    banner.innerHTML = `
+        <i class="fas fa-wifi me-2"></i><strong>You're offline.</strong>
+        ${syncedAt
+            ? `Showing data last synced at ${new Date(syncedAt).toLocaleString()}.`
+            : 'No trip data has been synced to this device yet.'}
+    `;
+}
+
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
+
+// ========================
+// INSTALL PROMPT
+// ========================
+
+let deferredInstallPrompt = null;
+
+window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredInstallPrompt = e;
+    document.querySelectorAll('.install-app-btn').forEach(btn => {
+        btn.style.display = '';
+    });
+});
+
+/**
+ * Show the browser's "add to home screen" dialog
+ */
+async function installApp() {
+    if (!deferredInstallPrompt) {
+        showToast('Use your browser menu to add SoloSafe to your home screen', 'info');
+        return;
+    }
+
+    deferredInstallPrompt.prompt();
+    const { outcome } = await deferredInstallPrompt.userChoice;
+    deferredInstallPrompt = null;
+
+    document.querySelectorAll('.install-app-btn').forEach(btn => {
+        btn.style.display = 'none';
+    });
+
+    if (outcome === 'accepted') {
+        showToast('SoloSafe installed! 📲', 'success');
+    }
+}
+
 // ========================
 // TRIP MANAGEMENT
 // ========================
@@ -311,20 +407,13 @@ async function authenticatedFetch(url, options = {}) {
  */
 async function createTrip(tripData) {
     try {
-        const response = await authenticatedFetch(`${API_BASE_URL}/trips`, {
-            method: 'POST',
-            body: JSON.stringify(tripData)
-        });
-        
-        if (!response) return null;
-        
-        const data = await response.json();
+        const data = await SoloSafeAPI.trips.create(tripData);
         
-        if (response.ok && data.trip) {
+        if (data && data.trip) {
             showToast('Trip created successfully!', 'success');
             return data.trip;
         } else {
-            throw new Error(data.message || 'Failed to create trip');
+            throw new Error((data && data.message) || 'Failed to create trip');
         }
     } catch (err) {
         console.error('Create trip error:', err);
@@ -338,22 +427,18 @@ async function createTrip(tripData) {
  */
 async function getAllTrips() {
     try {
-        const response = await authenticatedFetch(`${API_BASE_URL}/trips`);
+        const trips = await SoloSafeAPI.trips.list();
         
-        if (!response) return [];
-        
-        const trips = await response.json();
-        
-        if (response.ok && Array.isArray(trips)) {
+        if (Array.isArray(trips)) {
             // Cache trips in localStorage
-            localStorage.setItem('solosafe_trips', JSON.stringify(trips));
+            cacheTrips(trips);
             return trips;
         }
         
         return [];
     } catch (err) {
         console.error('Get trips error:', err);
-        return [];
+        return getCachedTrips();
     }
 }
 
@@ -363,7 +448,7 @@ async function getAllTrips() {
 async function getCurrentTrip() {
     try {
         const trips = await getAllTrips();
-        const now = new Date();
+        const now = new Date(getNow());
         
         // Find active trip (started, not ended, not completed)
         return trips.find(t => {
@@ -382,25 +467,11 @@ async function getCurrentTrip() {
  */
 async function updateTrip(tripId, updates) {
     try {
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/trips/${tripId}`,
-            {
-                method: 'PUT',
-                body: JSON.stringify(updates)
-            }
-        );
-        
-        if (!response) return null;
-        
-        const data = await response.json();
-        
-        if (response.ok && data.trip) {
-            return data.trip;
-        }
-        
-        return null;
+        const data = await SoloSafeAPI.trips.update(tripId, updates);
+        return (data && data.trip) || null;
     } catch (err) {
         console.error('Update trip error:', err);
+        showToast(err.message || 'Failed to update trip', 'error');
         return null;
     }
 }
@@ -410,18 +481,9 @@ async function updateTrip(tripId, updates) {
  */
 async function endTrip(tripId) {
     try {
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/trips/${tripId}/end`,
-            {
-                method: 'PUT'
-            }
-        );
-        
-        if (!response) return null;
+        const data = await SoloSafeAPI.trips.end(tripId);
         
-        const data = await response.json();
-        
-        if (response.ok && data.trip) {
+        if (data && data.trip) {
             showToast('Trip completed successfully', 'success');
             sendNotification('Trip Completed', 'Your trip has ended safely');
             return data.trip;
@@ -442,30 +504,14 @@ async function checkIn(tripId) {
     try {
         const location = await getCurrentLocation().catch(() => null);
         
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/trips/${tripId}/safe`,
-            {
-                method: 'PUT',
-                body: JSON.stringify({
-                    location: location ? {
-                        lat: location.lat,
-                        lng: location.lng
-                    } : null,
-                    timestamp: new Date().toISOString()
-                })
-            }
-        );
-        
-        if (!response) return;
-        
-        const data = await response.json();
+        await SoloSafeAPI.trips.checkIn(tripId, {
+            latitude: location ? location.lat : null,
+            longitude: location ? location.lng : null,
+            timestamp: new Date().toISOString()
+        });
         
-        if (response.ok) {
-            showToast('Check-in successful! ✅', 'success');
-            sendNotification('Check-in Confirmed', 'You have successfully checked in');
-        } else {
-            throw new Error(data.message || 'Check-in failed');
-        }
+        showToast('Check-in successful! ✅', 'success');
+        sendNotification('Check-in Confirmed', 'You have successfully checked in');
     } catch (err) {
         console.error('Check-in error:', err);
         showToast('Check-in failed. Please try again.', 'error');
@@ -479,27 +525,14 @@ async function triggerSOS(tripId) {
     try {
         const location = await getCurrentLocation().catch(() => null);
         
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/alerts/sos`,
-            {
-                method: 'POST',
-                body: JSON.stringify({
-                    tripId,
-                    location: location ? {
-                        lat: location.lat,
-                        lng: location.lng
-                    } : null,
-                    timestamp: new Date().toISOString()
-                })
-            }
-        );
-        
-        if (!response) return;
+        await SoloSafeAPI.alerts.sos({
+            tripId,
+            latitude: location ? location.lat : null,
+            longitude: location ? location.lng : null
+        });
         
-        if (response.ok) {
-            showToast('🚨 SOS alert sent to all emergency contacts', 'warning');
-            sendNotification('SOS Alert Triggered', 'Emergency contacts have been notified');
-        }
+        showToast('🚨 SOS alert sent to all emergency contacts', 'warning');
+        sendNotification('SOS Alert Triggered', 'Emergency contacts have been notified');
     } catch (err) {
         console.error('SOS error:', err);
         showToast('Failed to send SOS alert', 'error');
@@ -515,25 +548,11 @@ async function triggerSOS(tripId) {
  */
 async function addContact(tripId, contact) {
     try {
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/trips/${tripId}/contacts`,
-            {
-                method: 'PUT',
-                body: JSON.stringify(contact)
-            }
-        );
-        
-        if (!response) return null;
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            showToast('Emergency contact added', 'success');
-            sendNotification('Contact Added', `${contact.name} added as emergency contact`);
-            return data.trip;
-        }
+        const data = await SoloSafeAPI.trips.addContact(tripId, contact);
         
-        return null;
+        showToast('Emergency contact added', 'success');
+        sendNotification('Contact Added', `${contact.name} added as emergency contact`);
+        return data && data.trip;
     } catch (err) {
         console.error('Add contact error:', err);
         showToast('Failed to add contact', 'error');
@@ -546,18 +565,8 @@ async function addContact(tripId, contact) {
  */
 async function removeContact(tripId, contactId) {
     try {
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/trips/${tripId}/contacts/${contactId}`,
-            {
-                method: 'DELETE'
-            }
-        );
-        
-        if (!response) return;
-        
-        if (response.ok) {
-            showToast('Emergency contact removed', 'info');
-        }
+        await SoloSafeAPI.trips.removeContact(tripId, contactId);
+        showToast('Emergency contact removed', 'info');
     } catch (err) {
         console.error('Remove contact error:', err);
         showToast('Failed to remove contact', 'error');
@@ -586,6 +595,7 @@ function getCurrentLocation() {
                 currentLocation = {
                     lat: position.coords.latitude,
                     lng: position.coords.longitude,
+                    accuracy: position.coords.accuracy,
                     timestamp: Date.now()
                 };
                 resolve(currentLocation);
@@ -621,6 +631,8 @@ function startLocationTracking() {
             };
             
             console.log('Location updated:', currentLocation);
+            // Pages follow the position here, e.g. for geofences
+            window.dispatchEvent(new CustomEvent('solosafe:location', { detail: currentLocation }));
         },
         error => {
             console.error('Location error:', error);
@@ -733,25 +745,164 @@ function dismissNotificationPrompt() {
     if (prompt) prompt.remove();
 }
 
+// ========================
+// SERVICE WORKER
+// ========================
+
+let serviceWorkerReady = null;
+
+/**
+ * Register sw.js once per page and resolve with the active registration
+ * Resolves with null when service workers are unavailable
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return Promise.resolve(null);
+    }
+
+    if (!serviceWorkerReady) {
+        serviceWorkerReady = navigator.serviceWorker.register('sw.js')
+            .then(() => navigator.serviceWorker.ready)
+            .catch(err => {
+                console.error('Service worker registration failed:', err);
+                return null;
+            });
+    }
+
+    return serviceWorkerReady;
+}
+
+async function postToServiceWorker(message) {
+    const registration = await registerServiceWorker();
+    if (registration && registration.active) {
+        registration.active.postMessage(message);
+    }
+}
+
+/**
+ * Hand the active trip's check-in schedule to the service worker
+ * so reminders and automatic SOS keep running with the page closed.
+ * reason: 'sync' on page load, 'update' after the page changed the trip
+ */
+function syncTripWithServiceWorker(trip, reason = 'update') {
+    if (!trip) return Promise.resolve();
+
+    // The worker talks to the real backend on the real clock, so the
+    // mock runs its ladder from the open page only
+    if (isMockBackend()) return clearTripFromServiceWorker();
+
+    return postToServiceWorker({
+        type: 'SCHEDULE_TRIP',
+        reason,
+        apiBase: getApiBaseUrl(),
+        token: getAuthToken(),
+        trip: {
+            _id: trip._id,
+            destination: trip.destination,
+            checkInFrequency: trip.checkInFrequency,
+            checkInSchedule: trip.checkInSchedule,
+            timeZone: trip.timeZone,
+            legs: trip.legs,
+            gracePeriod: trip.gracePeriod,
+            escalationPolicy: trip.escalationPolicy,
+            escalationProgress: trip.escalationProgress,
+            lastCheckIn: trip.lastCheckIn,
+            nextCheckIn: trip.nextCheckIn,
+            sosTriggered: trip.sosTriggered,
+            sosTimestamp: trip.sosTimestamp
+        }
+    });
+}
+
+/**
+ * Stop background reminders and drop the stored token
+ * (trip ended, logout). Pass tripId to only clear that trip.
+ */
+function clearTripFromServiceWorker(tripId = null) {
+    return postToServiceWorker({ type: 'CLEAR_TRIP', tripId });
+}
+
+/**
+ * Ask the browser to wake the service worker periodically
+ * Only supported for installed apps in some browsers
+ */
+async function registerPeriodicCheckInSync() {
+    if (isMockBackend()) return;
+
+    const registration = await registerServiceWorker();
+    if (!registration || !registration.periodicSync) return;
+
+    try {
+        await registration.periodicSync.register('solosafe-checkin-schedule', {
+            minInterval: 15 * 60 * 1000
+        });
+    } catch (err) {
+        console.warn('Periodic sync unavailable:', err);
+    }
+}
+
+/**
+ * Ask the browser to wake the service worker once back online so it
+ * sends the offline queue, even if this page has been closed by then
+ */
+async function registerCheckInQueueSync() {
+    if (isMockBackend()) return;
+
+    const registration = await registerServiceWorker();
+    if (!registration || !registration.sync) return;
+
+    try {
+        await registration.sync.register('solosafe-checkin-queue');
+    } catch (err) {
+        console.warn('Background sync unavailable:', err);
+    }
+}
+
 // ========================
 // ITINERARY SHARING
 // ========================
 
+// What a share link reveals; the backend trims the trip accordingly
+const SHARE_SCOPES = {
+    status: 'Status only',
+    location: 'Status + location'
+};
+
 /**
- * Generate and copy shareable trip link
+ * Public page URL for a share token
  */
-function generateShareLink(tripId) {
-    const shareLink = `${window.location.origin}/shared-trip.html?id=${tripId}`;
-    
-    navigator.clipboard.writeText(shareLink).then(() => {
+function getShareUrl(token) {
+    return `${window.location.origin}/shared-trip.html?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Copy a share link, showing it in a toast when the clipboard is unavailable
+ */
+function copyShareLink(shareLink) {
+    // Promise.resolve so a missing clipboard API also ends up in catch
+    return Promise.resolve().then(() => navigator.clipboard.writeText(shareLink)).then(() => {
         showToast('Share link copied to clipboard! 📋', 'success');
         sendNotification('Link Shared', 'Trip itinerary link has been copied');
     }).catch(() => {
         // Fallback if clipboard API fails
         showToast('Link: ' + shareLink, 'info');
     });
-    
-    return shareLink;
+}
+
+/**
+ * Create an expiring share link for a trip and copy it
+ * options: { scope = 'location', expiresInHours = 24, label }
+ * Resolves with the new TripShare
+ */
+async function generateShareLink(tripId, options = {}) {
+    const { share } = await SoloSafeAPI.shares.create(tripId, {
+        scope: 'location',
+        expiresInHours: 24,
+        ...options
+    });
+
+    await copyShareLink(getShareUrl(share.token));
+    return share;
 }
 
 // ========================
@@ -795,60 +946,71 @@ function uploadProfilePicture(file) {
  */
 async function changePassword(oldPassword, newPassword) {
     try {
-        const response = await authenticatedFetch(
-            `${API_BASE_URL}/auth/change-password`,
-            {
-                method: 'PUT',
-                body: JSON.stringify({ oldPassword, newPassword })
-            }
-        );
-        
-        if (!response) return false;
-        
-        const data = await response.json();
-        
-        if (response.ok) {
-            showToast('Password changed successfully!', 'success');
-            return true;
-        } else {
-            showToast(data.message || 'Failed to change password', 'error');
-            return false;
-        }
+        await SoloSafeAPI.auth.changePassword(oldPassword, newPassword);
+        showToast('Password changed successfully!', 'success');
+        return true;
     } catch (err) {
         console.error('Change password error:', err);
-        showToast('Failed to change password', 'error');
+        showToast(err.message || 'Failed to change password', 'error');
         return false;
     }
 }
 
+// ========================
+// DURESS PIN
+// ========================
+// A PIN that, entered at check-in, looks like a normal check-in while
+// a covert SOS goes out. Only a salted SHA-256 hash is kept, on this device.
+
+const DURESS_PIN_KEY = 'solosafe_duress_pin';
+const DURESS_PIN_PATTERN = /^\d{4,8}$/;
+
+async function hashPin(pin, salt) {
+    const data = new TextEncoder().encode(`${salt}:${pin}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function getStoredDuressPin() {
+    try {
+        return JSON.parse(localStorage.getItem(DURESS_PIN_KEY));
+    } catch (err) {
+        return null;
+    }
+}
+
 /**
- * Download user data as JSON
+ * Whether a duress PIN is set up (check-ins then ask for a PIN)
  */
-function downloadUserData() {
-    const user = getCurrentUser();
-    const trips = JSON.parse(localStorage.getItem('solosafe_trips') || '[]');
-    
-    const userData = {
-        user: {
-            name: user.name,
-            email: user.email,
-            username: user.username
-        },
-        trips,
-        exportDate: new Date().toISOString()
-    };
-    
-    const dataStr = JSON.stringify(userData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `SoloSafe_UserData_${Date.now()}.json`;
-    link.click();
-    
-    URL.revokeObjectURL(url);
-    showToast('User data downloaded!', 'success');
+function hasDuressPin() {
+    const stored = getStoredDuressPin();
+    return !!(stored && stored.hash && stored.salt);
+}
+
+/**
+ * Save a new duress PIN (4-8 digits)
+ */
+async function setDuressPin(pin) {
+    if (!DURESS_PIN_PATTERN.test(pin)) {
+        throw new Error('Duress PIN must be 4-8 digits');
+    }
+
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    const hash = await hashPin(pin, salt);
+    localStorage.setItem(DURESS_PIN_KEY, JSON.stringify({ salt, hash }));
+}
+
+function clearDuressPin() {
+    localStorage.removeItem(DURESS_PIN_KEY);
+}
+
+/**
+ * Whether `pin` is the duress PIN
+ */
+async function isDuressPin(pin) {
+    const stored = getStoredDuressPin();
+    if (!stored || !pin) return false;
+    return (await hashPin(pin, stored.salt)) === stored.hash;
 }
 
 // ========================
@@ -906,6 +1068,8 @@ document.addEventListener('click', (e) => {
 
 document.addEventListener('DOMContentLoaded', async () => { // Added async
     initializeDarkMode();
+    updateOfflineBanner();
+    registerServiceWorker();
     
     // 1. Process Google Login FIRST
     const isGoogleLogin = await handleGoogleCallback();
@@ -959,6 +1123,13 @@ window.logout = logout;
 
 // API
 window.authenticatedFetch = authenticatedFetch;
+window.handleSessionExpired = handleSessionExpired;
+
+// Offline
+window.cacheTrips = cacheTrips;
+window.getCachedTrips = getCachedTrips;
+window.updateOfflineBanner = updateOfflineBanner;
+window.installApp = installApp;
 
 // Trips
 window.createTrip = createTrip;
@@ -985,13 +1156,27 @@ window.showNotificationPrompt = showNotificationPrompt;
 window.acceptNotifications = acceptNotifications;
 window.dismissNotificationPrompt = dismissNotificationPrompt;
 
+// Service worker
+window.registerServiceWorker = registerServiceWorker;
+window.syncTripWithServiceWorker = syncTripWithServiceWorker;
+window.clearTripFromServiceWorker = clearTripFromServiceWorker;
+window.registerPeriodicCheckInSync = registerPeriodicCheckInSync;
+window.registerCheckInQueueSync = registerCheckInQueueSync;
+
 // Sharing
 window.generateShareLink = generateShareLink;
+window.getShareUrl = getShareUrl;
+window.copyShareLink = copyShareLink;
 
 // Profile
 window.uploadProfilePicture = uploadProfilePicture;
 window.changePassword = changePassword;
-window.downloadUserData = downloadUserData;
+
+// Duress PIN
+window.hasDuressPin = hasDuressPin;
+window.setDuressPin = setDuressPin;
+window.clearDuressPin = clearDuressPin;
+window.isDuressPin = isDuressPin;
 
 // UI
 window.toggleDarkMode = toggleDarkMode;
@@ -999,4 +1184,5 @@ window.toggleSidebar = toggleSidebar;
 window.showSidebar = showSidebar;
 window.closeSidebar = closeSidebar;
 window.toggleProfileDropdown = toggleProfileDropdown;
-window.showToast = showToast;
\ No newline at end of file
+window.showToast = showToast;
+window.escapeHtml = escapeHtml;
\ No newline at end of file
@@ -0,0 +1,92 @@
+// ========================
+// SOLOSAFE - SOS RESPONSE
+// Emergency contacts acknowledge an SOS from the shared trip page.
+// The traveller sees that someone is responding, and the other
+// contacts see who is already doing what instead of all doing the same.
+// The backend starts a fresh list with every new SOS.
+// ========================
+
+const SOS_ACK_ACTIONS = {
+    on_it: { label: "I'm on it", icon: 'fas fa-person-running', badge: 'bg-primary' },
+    calling: { label: 'Calling now', icon: 'fas fa-phone', badge: 'bg-success' },
+    police: { label: 'Contacted local police', icon: 'fas fa-building-shield', badge: 'bg-danger' }
+};
+
+// Name a contact responded with last, to fill in next time
+const SOS_RESPONDER_NAME_KEY = 'solosafe_responder_name';
+
+/**
+ * @typedef {Object} SosAcknowledgement
+ * @property {string} _id
+ * @property {string} name - who responded, as they typed it
+ * @property {string} action - key of SOS_ACK_ACTIONS
+ * @property {string} timestamp - ISO date
+ */
+
+/**
+ * Acknowledgements of the current SOS, oldest first
+ * @returns {SosAcknowledgement[]}
+ */
+function getSosAcknowledgements(trip) {
+    return [...((trip && trip.sosAcknowledgements) || [])]
+        .filter(ack => SOS_ACK_ACTIONS[ack.action])
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * What each responder is doing now: their latest acknowledgement,
+ * most recent responder first
+ * @returns {SosAcknowledgement[]}
+ */
+function getLatestResponses(acknowledgements) {
+    const byName = new Map();
+    acknowledgements.forEach(ack => {
+        const key = ack.name.trim().toLowerCase();
+        byName.delete(key);
+        byName.set(key, ack);
+    });
+    return [...byName.values()].reverse();
+}
+
+/**
+ * Acknowledgements in `next` that `previous` did not have yet
+ */
+function getNewAcknowledgements(previous, next) {
+    const seen = new Set(previous.map(ack => ack._id));
+    return next.filter(ack => !seen.has(ack._id));
+}
+
+/**
+ * e.g. "Amara: Calling now"
+ */
+function describeAcknowledgement(ack) {
+    return `${ack.name}: ${SOS_ACK_ACTIONS[ack.action].label}`;
+}
+
+/**
+ * List of who is responding and how
+ */
+function renderAcknowledgements(acknowledgements, emptyText = 'No one has responded yet.') {
+    const responses = getLatestResponses(acknowledgements);
+    if (!responses.length) return `<p class="text-muted small mb-0">${escapeHtml(emptyText)}</p>`;
+
+    return responses.map(ack => {
+        const action = SOS_ACK_ACTIONS[ack.action];
+        const time = new Date(ack.timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        return `
+            <div class="d-flex justify-content-between align-items-center gap-2 mb-2">
+                <div>
+                    <strong>${escapeHtml(ack.name)}</strong>
+                    <br><span class="badge ${action.badge}"><i class="${action.icon} me-1"></i>${action.label}</span>
+                </div>
+                <small class="text-muted">${time}</small>
+            </div>
+        `;
+    }).join('');
+}
+
+window.getSosAcknowledgements = getSosAcknowledgements;
+window.getLatestResponses = getLatestResponses;
+window.getNewAcknowledgements = getNewAcknowledgements;
+window.describeAcknowledgement = describeAcknowledgement;
+window.renderAcknowledgements = renderAcknowledgements;
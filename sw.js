@@ -0,0 +1,669 @@
+// ========================
+// SOLOSAFE - SERVICE WORKER
+// Owns the check-in schedule of the active trip so reminders
+// and grace escalation keep running with active-trip.html closed,
+// and caches the app shell so pages open offline
+// ========================
+
+importScripts('checkin-queue.js', 'time-zones.js', 'checkin-schedule.js');
+
+const SCHEDULE_DB = 'solosafe_sw';
+const SCHEDULE_STORE = 'schedule';
+const SCHEDULE_KEY = 'activeTrip';
+const CHECKIN_SYNC_TAG = 'solosafe-checkin-queue';
+const SCHEDULE_SYNC_TAG = 'solosafe-checkin-schedule';
+const SOS_RETRY_DELAY = 60 * 1000;
+const MAX_TIMER_DELAY = 2147483647; // setTimeout limit
+// Session expired, trip deleted, trip ended: retrying won't help
+const HALTING_STATUSES = [401, 404, 409];
+
+const SHELL_CACHE = 'solosafe-shell-v21';
+const RUNTIME_CACHE = 'solosafe-runtime-v1';
+
+const APP_SHELL = [
+    'dashboard.html',
+    'active-trip.html',
+    'emergency-contacts.html',
+    'trip-details.html',
+    'shared-trip.html',
+    'contact-invite.html',
+    'create-trip.html',
+    'settings.html',
+    'login.html',
+    'index.html',
+    'config.js',
+    'clock.js',
+    'api.js',
+    'script.js',
+    'checkin-queue.js',
+    'time-zones.js',
+    'checkin-schedule.js',
+    'trip-legs.js',
+    'trip-map.js',
+    'geofences.js',
+    'planned-route.js',
+    'trip-export.js',
+    'account-data.js',
+    'contact-book.js',
+    'sos-response.js',
+    'trip-events.js',
+    'trip-status.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'images/logo-solo.jpg',
+    'images/app-icon.svg'
+];
+
+// Third-party assets every page loads, cached best-effort
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdn.jsdelivr.net/npm/toastify-js/src/toastify.min.css',
+    'https://cdn.jsdelivr.net/npm/toastify-js',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js'
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com'];
+
+let scheduleTimer = null;
+
+// ========================
+// LIFECYCLE
+// ========================
+
+self.addEventListener('install', event => {
+    event.waitUntil(precacheAppShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        removeOldCaches()
+            .then(() => self.clients.claim())
+            .then(evaluateSchedule)
+    );
+});
+
+// ========================
+// APP SHELL CACHE
+// ========================
+
+async function precacheAppShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(APP_SHELL);
+
+    // A CDN hiccup must not stop the worker from installing
+    await Promise.all(CDN_ASSETS.map(url =>
+        cache.add(url).catch(err => console.warn('Could not precache', url, err))
+    ));
+}
+
+async function removeOldCaches() {
+    const keys = await caches.keys();
+    await Promise.all(
+        keys
+            .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+            .map(key => caches.delete(key))
+    );
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // API calls always go to the network; pages keep their own
+    // copy of trip data in localStorage
+    if (sameOrigin && url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (sameOrigin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Pages: fresh from the network, cached copy when offline
+ * Trip pages differ only by ?id=, so they are cached without the query
+ */
+async function networkFirst(request) {
+    const url = new URL(request.url);
+    const cacheKey = url.origin + url.pathname;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match(cacheKey, { ignoreSearch: true });
+        return cached || caches.match('dashboard.html');
+    }
+}
+
+/**
+ * Scripts, styles, images: cached copy right away, refreshed in the background
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cached = await caches.match(request);
+
+    const network = fetch(request)
+        .then(async response => {
+            if (response.ok || response.type === 'opaque') {
+                const cache = await caches.open(RUNTIME_CACHE);
+                await cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+
+    return network;
+}
+
+// ========================
+// SCHEDULE STORAGE
+// ========================
+
+function openScheduleDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SCHEDULE_DB, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(SCHEDULE_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function scheduleStore(mode, callback) {
+    const db = await openScheduleDb();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SCHEDULE_STORE, mode);
+        const request = callback(tx.objectStore(SCHEDULE_STORE));
+
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function readSchedule() {
+    return scheduleStore('readonly', store => store.get(SCHEDULE_KEY));
+}
+
+function writeSchedule(schedule) {
+    return scheduleStore('readwrite', store => store.put(schedule, SCHEDULE_KEY));
+}
+
+function clearSchedule() {
+    clearTimeout(scheduleTimer);
+    return scheduleStore('readwrite', store => store.delete(SCHEDULE_KEY));
+}
+
+/**
+ * Drop the stored trip and its token, only if it is `tripId` when given
+ */
+async function clearTripSchedule(tripId) {
+    if (tripId) {
+        const current = await readSchedule();
+        if (!current || current.tripId !== tripId) return;
+    }
+    await clearSchedule();
+}
+
+/**
+ * Store the trip a page sent us
+ * On a 'sync' (page load) a check-in or SOS made from a notification
+ * is newer than the page's cached copy, so ours wins. On an 'update'
+ * the page just changed the trip itself and its copy wins.
+ */
+async function saveTripSchedule({ trip, token, apiBase, reason }) {
+    const current = await readSchedule();
+
+    const schedule = {
+        tripId: trip._id,
+        destination: trip.destination,
+        checkInFrequency: trip.checkInFrequency,
+        checkInSchedule: trip.checkInSchedule || null,
+        timeZone: trip.timeZone || null,
+        // Only what's needed to find the current stop's schedule and zone
+        legs: (trip.legs || []).map(({ startDate, checkInSchedule, timeZone }) => ({ startDate, checkInSchedule, timeZone })),
+        gracePeriod: trip.gracePeriod,
+        escalationPolicy: trip.escalationPolicy || null,
+        escalationProgress: trip.escalationProgress || null,
+        lastCheckIn: trip.lastCheckIn || null,
+        nextCheckIn: trip.nextCheckIn || null,
+        sosTriggered: !!trip.sosTriggered,
+        sosTimestamp: trip.sosTimestamp || null,
+        token,
+        apiBase
+    };
+
+    if (current && current.tripId === schedule.tripId) {
+        if (reason === 'sync') {
+            if (isLater(current.lastCheckIn, schedule.lastCheckIn)) {
+                schedule.lastCheckIn = current.lastCheckIn;
+                schedule.nextCheckIn = current.nextCheckIn;
+            }
+            if (current.sosTriggered && !schedule.sosTriggered) {
+                schedule.sosTriggered = true;
+                schedule.sosTimestamp = current.sosTimestamp;
+            }
+        }
+
+        // Never run an escalation step twice for the same check-in
+        const completed = getCompletedEscalationSteps(current);
+        if (current.nextCheckIn === schedule.nextCheckIn && completed > getCompletedEscalationSteps(schedule)) {
+            schedule.escalationProgress = current.escalationProgress;
+        }
+    }
+
+    await writeSchedule(schedule);
+    return schedule;
+}
+
+function isLater(a, b) {
+    if (!a) return false;
+    if (!b) return true;
+    return new Date(a).getTime() > new Date(b).getTime();
+}
+
+/**
+ * Trip fields pages are allowed to see (no token)
+ */
+function publicSchedule(schedule) {
+    return {
+        tripId: schedule.tripId,
+        lastCheckIn: schedule.lastCheckIn,
+        nextCheckIn: schedule.nextCheckIn,
+        escalationProgress: schedule.escalationProgress,
+        sosTriggered: schedule.sosTriggered,
+        sosTimestamp: schedule.sosTimestamp
+    };
+}
+
+// ========================
+// MESSAGES FROM PAGES
+// ========================
+
+self.addEventListener('message', event => {
+    const data = event.data || {};
+
+    if (data.type === 'SCHEDULE_TRIP' && data.trip) {
+        event.waitUntil(
+            saveTripSchedule(data).then(schedule => {
+                if (event.source) {
+                    event.source.postMessage({
+                        type: 'SCHEDULE_UPDATED',
+                        schedule: publicSchedule(schedule)
+                    });
+                }
+                return evaluateSchedule();
+            })
+        );
+    } else if (data.type === 'CLEAR_TRIP') {
+        event.waitUntil(clearTripSchedule(data.tripId));
+    }
+});
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Find an open active-trip.html window for this trip
+ * Pass visibleOnly to ignore background tabs
+ */
+async function findTripClient(tripId, visibleOnly = false) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    return clients.find(client => {
+        const url = new URL(client.url);
+        return url.pathname.endsWith('active-trip.html') &&
+            url.searchParams.get('id') === tripId &&
+            (!visibleOnly || client.visibilityState === 'visible');
+    }) || null;
+}
+
+// ========================
+// SCHEDULE EVALUATION
+// ========================
+
+/**
+ * Look at the stored trip and run whatever escalation steps are due
+ * for a missed check-in (reminders, contact alerts, automatic SOS).
+ * Runs on every wake-up (message, timer, sync, notification click).
+ */
+async function evaluateSchedule() {
+    clearTimeout(scheduleTimer);
+
+    const schedule = await readSchedule();
+    if (!schedule || schedule.halted) return;
+
+    const now = Date.now();
+    const state = getCheckInState(schedule, now);
+
+    if (state.phase === 'none') return;
+
+    // An open trip page runs the ladder itself
+    if (await findTripClient(schedule.tripId)) {
+        armForNextStep(schedule, state, now);
+        return;
+    }
+
+    const dueSteps = getDueEscalationSteps(schedule, now);
+    // Catching up after a long sleep: one reminder is enough
+    const lastReminder = dueSteps.filter(step => step.action === 'remind').pop();
+
+    for (const step of dueSteps) {
+        if (step.action === 'remind' && step !== lastReminder) {
+            markEscalationStepsDone(schedule, step.index + 1);
+            continue;
+        }
+
+        const done = await runEscalationStep(schedule, step, state);
+        if (!done) {
+            // Logged out or trip ended while the request was out
+            if (!(await readSchedule())) return;
+            await writeSchedule(schedule);
+            if (!schedule.halted) armTimer(SOS_RETRY_DELAY);
+            return;
+        }
+
+        markEscalationStepsDone(schedule, step.index + 1);
+    }
+
+    if (dueSteps.length) {
+        await writeSchedule(schedule);
+        if (schedule.sosTriggered) return;
+    }
+
+    armForNextStep(schedule, state, now);
+}
+
+function armForNextStep(schedule, state, now) {
+    const nextStep = getEscalationSteps(schedule).find(step => step.at > now);
+    armTimer((nextStep ? nextStep.at : state.graceEndsAt) - now);
+}
+
+/**
+ * Carry out one ladder step, resolves with whether it succeeded
+ */
+async function runEscalationStep(schedule, step, state) {
+    if (step.action === 'remind') {
+        await showCheckInReminder(schedule, state);
+        return true;
+    }
+
+    if (step.action === 'sos') {
+        return sendSOS(schedule, true);
+    }
+
+    try {
+        await apiRequest(schedule, '/alerts/escalate', 'POST', {
+            tripId: schedule.tripId,
+            action: step.action,
+            step: step.index,
+            missedCheckIn: schedule.nextCheckIn
+        });
+        return true;
+    } catch (err) {
+        console.error('Escalation from service worker failed:', err);
+        await haltSchedule(schedule, err);
+        return false;
+    }
+}
+
+/**
+ * Wake up again after `delay` ms while the worker is still alive
+ * The browser may stop the worker before then; the next sync,
+ * periodic sync or page visit picks the schedule up again.
+ */
+function armTimer(delay) {
+    clearTimeout(scheduleTimer);
+    scheduleTimer = setTimeout(evaluateSchedule, Math.max(0, Math.min(delay, MAX_TIMER_DELAY)));
+}
+
+self.addEventListener('periodicsync', event => {
+    if (event.tag === SCHEDULE_SYNC_TAG) {
+        event.waitUntil(evaluateSchedule());
+    }
+});
+
+// ========================
+// NOTIFICATIONS
+// ========================
+
+function showCheckInReminder(schedule, state) {
+    const minutesLeft = Math.max(1, Math.ceil(state.timeLeft / 60000));
+
+    return self.registration.showNotification('URGENT: Check-in Required', {
+        body: `${schedule.destination || 'Your trip'}: ${minutesLeft} minute${minutesLeft > 1 ? 's' : ''} remaining before automatic SOS`,
+        icon: '/images/logo-solo.jpg',
+        badge: '/images/logo-solo.jpg',
+        tag: `solosafe-checkin-${schedule.tripId}`,
+        renotify: true,
+        requireInteraction: true,
+        data: { tripId: schedule.tripId },
+        actions: [
+            { action: 'checkin', title: "I'm Safe" },
+            { action: 'sos', title: 'Send SOS' }
+        ]
+    });
+}
+
+function showStatusNotification(schedule, title, body) {
+    return self.registration.showNotification(title, {
+        body,
+        icon: '/images/logo-solo.jpg',
+        badge: '/images/logo-solo.jpg',
+        tag: `solosafe-checkin-${schedule.tripId}`,
+        data: { tripId: schedule.tripId }
+    });
+}
+
+self.addEventListener('notificationclick', event => {
+    const { tripId } = event.notification.data || {};
+    event.notification.close();
+
+    if (event.action === 'checkin') {
+        event.waitUntil(checkInFromNotification());
+    } else if (event.action === 'sos') {
+        event.waitUntil(
+            readSchedule().then(schedule => schedule && sendSOS(schedule, false))
+        );
+    } else if (tripId) {
+        event.waitUntil(openTripPage(tripId));
+    }
+});
+
+async function openTripPage(tripId) {
+    const client = await findTripClient(tripId);
+    if (client) return client.focus();
+    return self.clients.openWindow(`active-trip.html?id=${tripId}`);
+}
+
+// ========================
+// BACKEND CALLS
+// ========================
+
+async function apiRequest(schedule, path, method, body) {
+    const response = await fetch(`${schedule.apiBase}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${schedule.token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        const error = new Error(data.message || `Request failed (${response.status})`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Stop the ladder when the backend no longer takes requests for the
+ * stored trip (session expired, trip deleted or ended elsewhere) and
+ * tell the traveller, since nothing will reach their contacts now.
+ * The schedule is kept: a page that signs in again sends a fresh one
+ * and any step still due (even the automatic SOS) then goes out.
+ * Only a logout or trip end from a page clears it.
+ */
+async function haltSchedule(schedule, err) {
+    if (!HALTING_STATUSES.includes(err.status)) return;
+
+    if (!schedule.halted) {
+        schedule.halted = { status: err.status, at: new Date().toISOString() };
+        clearTimeout(scheduleTimer);
+        if (await readSchedule()) await writeSchedule(schedule);
+    }
+
+    if (err.status === 401) {
+        await showStatusNotification(schedule, 'Sign In to SoloSafe',
+            'Your session expired, so missed check-ins can\'t alert your contacts. Open the app and sign in again.');
+    } else {
+        await showStatusNotification(schedule, 'Check-ins Stopped', err.message);
+    }
+}
+
+/**
+ * "I'm Safe" pressed on a notification
+ * Queued like any offline check-in if the network is down
+ */
+async function checkInFromNotification() {
+    const schedule = await readSchedule();
+    if (!schedule) return;
+
+    const timestamp = new Date().toISOString();
+    let nextCheckIn = null;
+
+    try {
+        const data = await apiRequest(schedule, `/trips/${schedule.tripId}/safe`, 'PUT', {
+            latitude: null,
+            longitude: null,
+            timestamp,
+            nextCheckIn: calculateNextCheckIn(schedule)
+        });
+        nextCheckIn = data.nextCheckIn || null;
+    } catch (err) {
+        if (err.status) {
+            console.error('Notification check-in rejected:', err);
+            await haltSchedule(schedule, err);
+            if (!schedule.halted) await showStatusNotification(schedule, 'Check-in Failed', err.message);
+            return;
+        }
+
+        await queueCheckIn({ tripId: schedule.tripId, timestamp });
+        await registerCheckInSync();
+    }
+
+    schedule.lastCheckIn = timestamp;
+    schedule.nextCheckIn = nextCheckIn || calculateNextCheckIn(schedule);
+    schedule.escalationProgress = null;
+    await writeSchedule(schedule);
+
+    await notifyClients({ type: 'CHECKED_IN', schedule: publicSchedule(schedule) });
+    await showStatusNotification(schedule, 'Check-in Confirmed', `Next check-in: ${formatTripTime(schedule, schedule.nextCheckIn)}`);
+    await evaluateSchedule();
+}
+
+/**
+ * Send an SOS for the stored trip, resolves with whether it went out
+ */
+async function sendSOS(schedule, auto) {
+    try {
+        await apiRequest(schedule, '/alerts/sos', 'POST', {
+            tripId: schedule.tripId,
+            latitude: null,
+            longitude: null,
+            auto
+        });
+    } catch (err) {
+        console.error('SOS from service worker failed:', err);
+        await haltSchedule(schedule, err);
+        if (!schedule.halted) {
+            await showStatusNotification(schedule, 'SOS Not Sent', 'Could not reach SoloSafe. Open the app to retry.');
+        }
+        return false;
+    }
+
+    schedule.sosTriggered = true;
+    schedule.sosTimestamp = new Date().toISOString();
+    await writeSchedule(schedule);
+
+    await notifyClients({ type: 'SOS_SENT', auto, schedule: publicSchedule(schedule) });
+    await self.registration.showNotification('🚨 SOS Alert Sent', {
+        body: auto
+            ? 'You missed your check-in. Emergency contacts have been notified.'
+            : 'Emergency contacts have been notified. Help is on the way.',
+        icon: '/images/logo-solo.jpg',
+        tag: `solosafe-checkin-${schedule.tripId}`,
+        requireInteraction: true,
+        data: { tripId: schedule.tripId }
+    });
+    return true;
+}
+
+// ========================
+// OFFLINE CHECK-IN REPLAY
+// ========================
+
+function registerCheckInSync() {
+    if (!self.registration.sync) return Promise.resolve();
+    return self.registration.sync.register(CHECKIN_SYNC_TAG).catch(err => {
+        console.warn('Background sync unavailable:', err);
+    });
+}
+
+async function sendQueuedCheckIn(entry) {
+    const schedule = await readSchedule();
+    if (!schedule) throw new Error('No session available to replay check-ins');
+
+    const request = isQueuedDuressAlert(entry)
+        ? apiRequest(schedule, '/alerts/sos', 'POST', getQueuedDuressAlert(entry))
+        : apiRequest(schedule, `/trips/${entry.tripId}/safe`, 'PUT', {
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+            timestamp: entry.timestamp,
+            ...getQueuedCheckInDetails(entry),
+            offline: true
+        });
+
+    // An expired session stops the ladder too, whichever trip the entry is for
+    return request.catch(async err => {
+        if (err.status === 401) await haltSchedule(schedule, err);
+        throw err;
+    });
+}
+
+self.addEventListener('sync', event => {
+    if (event.tag === CHECKIN_SYNC_TAG) {
+        event.waitUntil(
+            replayCheckInQueue(sendQueuedCheckIn).then(result => {
+                // Leave the sync registered so the browser retries later
+                if (result.remaining) throw new Error('Check-ins still pending');
+            })
+        );
+    }
+});
@@ -0,0 +1,228 @@
+const { loadScripts, jsonResponse, signIn, toastMessages, SHARED_SCRIPTS } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS, 'contact-book.js', 'account-data.js'));
+
+// Answer each endpoint with its own body
+function respondWith(routes) {
+    fetch.mockImplementation(url => {
+        const path = Object.keys(routes).find(route => url.endsWith(route));
+        return Promise.resolve(jsonResponse(routes[path]));
+    });
+}
+
+const CONTACT = { _id: 'contact1', name: 'Amara Okafor', email: 'amara@example.test', phone: '+44 7700 900123' };
+
+const TRIPS = [
+    {
+        _id: 'trip1',
+        userId: 'user1',
+        destination: 'Lisbon',
+        startDate: '2026-03-01T00:00:00Z',
+        endDate: '2026-03-05T00:00:00Z',
+        checkInFrequency: 60,
+        status: 'EMERGENCY',
+        emergencyContacts: [CONTACT],
+        checkIns: [{ timestamp: '2026-03-01T12:00:00Z', method: 'manual', latitude: 38.7, longitude: -9.1 }],
+        sosTriggered: true,
+        sosTimestamp: '2026-03-02T09:00:00Z',
+        sosLocation: { latitude: 38.71, longitude: -9.13 }
+    },
+    {
+        _id: 'trip2',
+        userId: 'user1',
+        destination: 'Kyoto',
+        startDate: '2025-10-01T00:00:00Z',
+        endDate: '2025-10-09T00:00:00Z',
+        checkInFrequency: 120,
+        status: 'Completed',
+        emergencyContacts: [{ ...CONTACT, email: 'AMARA@example.test' }]
+    }
+];
+
+const USER = { name: 'Ada Traveller', username: 'ada', email: 'ada@example.com', token: 'secret', password: 'x' };
+
+// jsdom's Blob has no text()
+function readBlob(blob) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+}
+
+function bundle() {
+    return createAccountBundle({ user: USER, trips: TRIPS, preferences: { darkMode: true } }, '2026-03-03T00:00:00Z');
+}
+
+describe('createAccountBundle', () => {
+    test('splits trips into contacts, check-ins and alerts', () => {
+        const data = bundle();
+
+        expect(data).toMatchObject({ schema: 'solosafe-account', version: 2, preferences: { darkMode: true } });
+        expect(data.profile).toEqual({ name: 'Ada Traveller', username: 'ada', email: 'ada@example.com' });
+        expect(data.contacts).toEqual([{ name: 'Amara Okafor', email: 'amara@example.test', phone: '+44 7700 900123' }]);
+        expect(data.checkIns).toEqual([{ tripId: 'trip1', ...TRIPS[0].checkIns[0] }]);
+        expect(data.alerts).toEqual([{
+            tripId: 'trip1', type: 'sos', timestamp: '2026-03-02T09:00:00Z', latitude: 38.71, longitude: -9.13, active: true
+        }]);
+        expect(data.trips[0]).not.toHaveProperty('checkIns');
+        expect(data.trips[0]).not.toHaveProperty('userId');
+        expect(validateAccountBundle(data)).toEqual([]);
+    });
+
+    test('puts trips back together as history', () => {
+        const restored = restoreBundleTrips(bundle(), Date.parse('2026-03-03T00:00:00Z'));
+        const { userId, ...trip1 } = TRIPS[0];
+
+        expect(restored[0]).toEqual({ ...trip1, status: 'Completed', sosTriggered: false });
+        expect(restored[1]).toMatchObject({ _id: 'trip2', status: 'Completed', checkIns: [] });
+        expect(restored[1]).not.toHaveProperty('sosTriggered');
+    });
+
+    test('never brings back a live schedule or alert', () => {
+        const upcoming = {
+            ...TRIPS[1],
+            _id: 'trip3',
+            status: 'Active',
+            startDate: '2026-04-01T00:00:00Z',
+            endDate: '2026-04-09T00:00:00Z',
+            nextCheckIn: '2026-04-01T09:00:00Z',
+            events: [{ type: 'checkin', timestamp: '2026-04-01T08:00:00Z', source: 'manual' }],
+            duressActive: true,
+            duressTimestamp: '2026-04-01T10:00:00Z'
+        };
+        const data = createAccountBundle({ user: USER, trips: [upcoming] });
+
+        const [restored] = restoreBundleTrips(data, Date.parse('2026-03-03T00:00:00Z'));
+
+        expect(restored.status).toBe('Active');
+        expect(restored).not.toHaveProperty('nextCheckIn');
+        expect(restored).not.toHaveProperty('duressActive');
+        expect(restored.events.map(event => event.source)).toEqual(['manual', 'duress']);
+    });
+});
+
+describe('migrateAccountBundle', () => {
+    test('upgrades the original download format', () => {
+        const migrated = migrateAccountBundle({
+            user: { name: 'Ada', email: 'ada@example.com', username: 'ada' },
+            trips: TRIPS,
+            exportDate: '2025-12-01T00:00:00Z'
+        });
+
+        expect(migrated.version).toBe(ACCOUNT_BUNDLE_VERSION);
+        expect(migrated.exportedAt).toBe('2025-12-01T00:00:00Z');
+        expect(migrated.checkIns).toHaveLength(1);
+        expect(validateAccountBundle(migrated)).toEqual([]);
+    });
+
+    test('gives version 1 contacts ordered channels', () => {
+        const v1 = { ...bundle(), version: 1 };
+        v1.contacts = [{ ...v1.contacts[0], preferredChannel: 'whatsapp' }];
+        v1.trips[0].emergencyContacts = [{ ...CONTACT, preferredChannel: 'sms' }];
+
+        const migrated = migrateAccountBundle(v1);
+
+        expect(migrated.version).toBe(2);
+        expect(migrated.contacts[0]).toMatchObject({ channels: ['whatsapp'] });
+        expect(migrated.contacts[0]).not.toHaveProperty('preferredChannel');
+        expect(migrated.trips[0].emergencyContacts[0].channels).toEqual(['sms']);
+        expect(validateAccountBundle(migrated)).toEqual([]);
+    });
+
+    test('refuses other files and newer versions', () => {
+        expect(() => migrateAccountBundle({ foo: 1 })).toThrow('not a SoloSafe data export');
+        expect(() => migrateAccountBundle([])).toThrow('not a SoloSafe data export');
+        expect(() => migrateAccountBundle({ ...bundle(), version: 99 })).toThrow('newer version');
+    });
+});
+
+describe('validateAccountBundle', () => {
+    test('points at broken records', () => {
+        const data = bundle();
+        data.trips[1].startDate = 'soon';
+        data.contacts.push({ name: 'No Email' });
+        data.checkIns.push({ tripId: 'trip9', timestamp: '2026-03-01T13:00:00Z', method: 'manual' });
+        delete data.alerts;
+
+        expect(validateAccountBundle(data)).toEqual([
+            'contacts[1].email is missing or invalid',
+            'trips[1].startDate is missing or invalid',
+            'checkIns[1].tripId is missing or invalid',
+            'alerts must be a list'
+        ]);
+    });
+
+    test('parseAccountBundle reports the first problem', () => {
+        const data = bundle();
+        data.trips[0].destination = '';
+        data.checkIns[0].method = 'psychic';
+
+        expect(() => parseAccountBundle(JSON.stringify(data)))
+            .toThrow('The data export is damaged: trips[0].destination is missing or invalid (and 1 more)');
+        expect(() => parseAccountBundle('{')).toThrow('not a SoloSafe data export');
+    });
+});
+
+describe('downloadUserData', () => {
+    beforeEach(() => {
+        URL.createObjectURL = jest.fn(() => 'blob:data');
+        URL.revokeObjectURL = jest.fn();
+    });
+
+    test('exports fresh trips and the contact book', async () => {
+        signIn();
+        respondWith({
+            '/trips': TRIPS,
+            '/contacts': { contacts: [{ _id: 'c9', name: 'Jon Reyes', email: 'jon@example.test', relationship: 'friend' }] }
+        });
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+        await downloadUserData();
+
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        const data = JSON.parse(await readBlob(blob));
+        expect(data.trips).toHaveLength(2);
+        expect(data.contacts).toEqual([
+            { name: 'Jon Reyes', email: 'jon@example.test', relationship: 'friend' },
+            { name: 'Amara Okafor', email: 'amara@example.test', phone: '+44 7700 900123' }
+        ]);
+        expect(data.profile).not.toHaveProperty('token');
+        expect(click).toHaveBeenCalled();
+        expect(toastMessages()).toContain('User data downloaded!');
+    });
+});
+
+describe('importUserData', () => {
+    beforeEach(() => signIn());
+
+    test('sends trips whole with the contacts, then reloads both', async () => {
+        respondWith({
+            '/account/import': { imported: 1, skipped: 1, user: { name: 'Ada Traveller', phone: '+1 555' } },
+            '/trips': [],
+            '/contacts': { contacts: [{ name: 'Amara Okafor', email: 'amara@example.test' }] }
+        });
+
+        const result = await importUserData(bundle(), 'merge');
+
+        const [url, options] = fetch.mock.calls[0];
+        const body = JSON.parse(options.body);
+        expect(url).toMatch(/\/account\/import$/);
+        expect(body.mode).toBe('merge');
+        expect(body.contacts).toEqual(bundle().contacts);
+        expect(body.trips[0].checkIns).toHaveLength(1);
+        expect(result).toEqual({ imported: 1, skipped: 1 });
+        expect(getCachedContacts()).toHaveLength(1);
+        expect(getCurrentUser().phone).toBe('+1 555');
+        expect(localStorage.getItem('solosafe_dark_mode')).toBeNull();
+    });
+
+    test('replace restores preferences as exported', async () => {
+        respondWith({ '/account/import': { imported: 2, skipped: 0 }, '/trips': [], '/contacts': { contacts: [] } });
+
+        await importUserData(bundle(), 'replace');
+
+        expect(localStorage.getItem('solosafe_dark_mode')).toBe('true');
+        expect(document.body.classList.contains('dark-mode')).toBe(true);
+    });
+});
@@ -0,0 +1,973 @@
+const { loadPage, jsonResponse, mockPosition, toastMessages, signIn } = require('./helpers/browser');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const CONTACT = { _id: 'c1', name: 'Grace', email: 'grace@example.com' };
+
+function openTrip(trip) {
+    localStorage.setItem('solosafe_trips', JSON.stringify([{
+        _id: 'trip1',
+        userId: 'u1',
+        destination: 'Porto',
+        startDate: new Date(NOW - 24 * 60 * MINUTE).toISOString(),
+        endDate: new Date(NOW + 24 * 60 * MINUTE).toISOString(),
+        checkInFrequency: 30,
+        gracePeriod: 5,
+        status: 'Active',
+        emergencyContacts: [CONTACT],
+        ...trip
+    }]));
+
+    loadPage('active-trip.html', '/active-trip.html?id=trip1');
+}
+
+let shownModals = [];
+
+function dueIn(minutes) {
+    return new Date(Date.now() + minutes * MINUTE).toISOString();
+}
+
+function countdownText() {
+    return document.getElementById('countdownDisplay').textContent;
+}
+
+function requestsTo(path) {
+    return fetch.mock.calls.filter(([url]) => url.endsWith(path));
+}
+
+function sosRequests() {
+    return requestsTo('/alerts/sos');
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    window.graceInterval = null;
+
+    global.bootstrap = {
+        Modal: class {
+            constructor(element) {
+                this.element = element;
+            }
+            show() {
+                shownModals.push(this.element.id);
+            }
+            hide() {}
+            static getInstance() { return null; }
+            static getOrCreateInstance(element) { return new this(element); }
+        }
+    };
+    shownModals = [];
+
+    signIn();
+    mockPosition({ latitude: 41.15, longitude: -8.61 });
+    fetch.mockImplementation(url => Promise.resolve(
+        url.endsWith('/safe')
+            ? jsonResponse({ nextCheckIn: new Date(Date.now() + 30 * MINUTE).toISOString() })
+            : jsonResponse({})
+    ));
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('active trip countdown', () => {
+    test('counts down to the next check-in', async () => {
+        openTrip({ nextCheckIn: dueIn(10) });
+        expect(countdownText()).toBe('00:10:00');
+
+        await jest.advanceTimersByTimeAsync(61 * 1000);
+        expect(countdownText()).toBe('00:08:59');
+    });
+
+    test('shows a placeholder when nothing is scheduled', () => {
+        openTrip({ nextCheckIn: null });
+
+        expect(countdownText()).toBe('--:--:--');
+    });
+});
+
+describe('grace period', () => {
+    test('starts when the check-in falls due', async () => {
+        openTrip({ nextCheckIn: dueIn(1) });
+
+        await jest.advanceTimersByTimeAsync(MINUTE);
+
+        expect(countdownText()).toBe('CHECK IN NOW!');
+        expect(toastMessages()).toContain('Grace period started! Please check in.');
+        expect(sosRequests()).toHaveLength(0);
+    });
+
+    test('reminds the traveller every minute by default', async () => {
+        openTrip({ nextCheckIn: dueIn(0) });
+
+        await jest.advanceTimersByTimeAsync(2 * MINUTE);
+
+        expect(toastMessages().filter(text => text.startsWith('⚠️ Check in now!'))).toHaveLength(3);
+    });
+
+    test('sends an automatic SOS when it runs out', async () => {
+        openTrip({ nextCheckIn: dueIn(0) });
+
+        await jest.advanceTimersByTimeAsync(6 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(1);
+        expect(JSON.parse(sosRequests()[0][1].body)).toMatchObject({
+            tripId: 'trip1',
+            latitude: 41.15,
+            longitude: -8.61
+        });
+        expect(JSON.parse(localStorage.getItem('solosafe_trips'))[0]).toMatchObject({
+            status: 'EMERGENCY',
+            sosTriggered: true
+        });
+    });
+
+    test('does not restart on reload', async () => {
+        // Missed 4 minutes ago with a 5 minute grace period
+        openTrip({ nextCheckIn: dueIn(-4) });
+
+        await jest.advanceTimersByTimeAsync(2 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(1);
+    });
+
+    test('skips the SOS without emergency contacts', async () => {
+        openTrip({ nextCheckIn: dueIn(0), emergencyContacts: [] });
+
+        await jest.advanceTimersByTimeAsync(6 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(0);
+        expect(toastMessages()).toContain(
+            'Grace period ended, but SOS was not sent because no emergency contacts exist.'
+        );
+    });
+
+    test('is cancelled by checking in', async () => {
+        openTrip({ nextCheckIn: dueIn(0) });
+        await jest.advanceTimersByTimeAsync(2 * MINUTE);
+
+        await performCheckIn();
+        await jest.advanceTimersByTimeAsync(5 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(0);
+        expect(countdownText()).toBe('00:25:00');
+    });
+});
+
+describe('escalation ladder', () => {
+    const ladder = [
+        { after: 0, action: 'remind' },
+        { after: 2, action: 'notify_first' },
+        { after: 4, action: 'notify_all' },
+        { after: 6, action: 'sos' }
+    ];
+
+    function escalations() {
+        return requestsTo('/alerts/escalate').map(([, options]) => JSON.parse(options.body).action);
+    }
+
+    test('is shown on the trip', () => {
+        openTrip({ nextCheckIn: dueIn(10), escalationPolicy: ladder });
+
+        const steps = [...document.querySelectorAll('#tripEscalation li')].map(li => li.textContent.replace(/\s+/g, ' ').trim());
+        expect(steps).toEqual([
+            'T+0 min Remind me',
+            'T+2 min Alert first contact',
+            'T+4 min Alert all contacts',
+            'T+6 min Full SOS'
+        ]);
+        expect(document.getElementById('tripGrace').textContent).toBe('6 minutes');
+    });
+
+    test('runs each step on time', async () => {
+        openTrip({ nextCheckIn: dueIn(0), escalationPolicy: ladder });
+
+        await jest.advanceTimersByTimeAsync(2 * MINUTE + 1000);
+        expect(escalations()).toEqual(['notify_first']);
+        expect(toastMessages()).toContain('📣 Grace alerted about your missed check-in');
+        expect(sosRequests()).toHaveLength(0);
+
+        await jest.advanceTimersByTimeAsync(2 * MINUTE);
+        expect(escalations()).toEqual(['notify_first', 'notify_all']);
+
+        await jest.advanceTimersByTimeAsync(2 * MINUTE);
+        expect(sosRequests()).toHaveLength(1);
+    });
+
+    test('does not repeat steps after a reload', async () => {
+        openTrip({ nextCheckIn: dueIn(0), escalationPolicy: ladder });
+        await jest.advanceTimersByTimeAsync(3 * MINUTE);
+        jest.clearAllTimers();
+
+        loadPage('active-trip.html', '/active-trip.html?id=trip1');
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(escalations()).toEqual(['notify_first']);
+        expect(document.querySelectorAll('#tripEscalation li.done')).toHaveLength(2);
+    });
+
+    test('retries a contact alert that failed', async () => {
+        fetch.mockImplementation(url => url.endsWith('/alerts/escalate') && escalations().length === 1
+            ? Promise.reject(new TypeError('Failed to fetch'))
+            : Promise.resolve(jsonResponse({})));
+        openTrip({ nextCheckIn: dueIn(-2), escalationPolicy: ladder });
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(toastMessages()).toContain('Could not alert your contacts, retrying in a minute');
+
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        expect(escalations()).toEqual(['notify_first', 'notify_first']);
+    });
+});
+
+describe('contact invitations', () => {
+    test('shows whether each contact accepted', () => {
+        openTrip({ emergencyContacts: [{ ...CONTACT, status: 'accepted' }, { _id: 'c2', name: '<Jon>', email: 'jon@example.com' }] });
+
+        const list = document.getElementById('contactsList');
+        expect(list.textContent).toContain('Accepted');
+        expect(list.textContent).toContain('Invitation sent');
+        expect(list.innerHTML).toContain('&lt;Jon&gt;');
+    });
+
+    test('warns before an SOS when nobody has accepted', () => {
+        openTrip();
+        handleSOSClick();
+
+        expect(shownModals).toEqual(['sosModal']);
+        expect(document.getElementById('sosContactWarning').style.display).toBe('block');
+    });
+
+    test('does not warn once someone accepted', () => {
+        openTrip({ emergencyContacts: [{ ...CONTACT, status: 'accepted' }] });
+        handleSOSClick();
+
+        expect(document.getElementById('sosContactWarning').style.display).toBe('none');
+    });
+
+    test('blocks the SOS when no contact can be reached', () => {
+        openTrip({ emergencyContacts: [{ ...CONTACT, status: 'declined' }, { ...CONTACT, _id: 'c2', status: 'bounced' }] });
+        handleSOSClick();
+
+        expect(shownModals).toEqual([]);
+        expect(toastMessages()[0]).toContain('None of your emergency contacts can be reached');
+    });
+});
+
+describe('SOS delivery report', () => {
+    const DELIVERIES = [
+        {
+            contactId: 'c1',
+            name: 'Grace',
+            delivered: true,
+            attempts: [{ channel: 'push', status: 'failed', error: 'Not using the SoloSafe app' }, { channel: 'sms', status: 'delivered' }]
+        },
+        { contactId: 'c2', name: 'Jon', delivered: false, attempts: [{ channel: 'email', status: 'failed', error: 'Address bounced' }] }
+    ];
+
+    function answerSOS(deliveries) {
+        fetch.mockImplementation(url => Promise.resolve(jsonResponse(url.endsWith('/alerts/sos') ? { deliveries } : {})));
+    }
+
+    function reportText() {
+        return document.getElementById('sosDeliveryList').textContent.replace(/\s+/g, ' ');
+    }
+
+    beforeEach(() => {
+        global.Notification = { permission: 'denied' };
+    });
+
+    test('shows how each contact was reached after an SOS', async () => {
+        answerSOS(DELIVERIES);
+        openTrip();
+
+        await confirmSOS();
+
+        expect(document.getElementById('sosDeliveryReport').style.display).toBe('block');
+        expect(reportText()).toContain('Push (SoloSafe app): Failed SMS: Delivered');
+        expect(reportText()).toContain('Could not be reached on any channel');
+        expect(JSON.parse(localStorage.getItem('solosafe_trips'))[0].sosDeliveries).toEqual(DELIVERIES);
+    });
+
+    test('says so when nobody could be reached', async () => {
+        answerSOS([DELIVERIES[1]]);
+        openTrip();
+
+        await confirmSOS();
+
+        expect(toastMessages()).toContain('⚠️ Your SOS could not reach any contact. Call local emergency services.');
+    });
+
+    test('is shown again after a reload and hidden once the SOS is cancelled', async () => {
+        openTrip({ status: 'EMERGENCY', sosTriggered: true, sosDeliveries: DELIVERIES });
+        expect(document.getElementById('sosDeliveryReport').style.display).toBe('block');
+
+        await cancelSOS();
+
+        expect(document.getElementById('sosDeliveryReport').style.display).toBe('none');
+    });
+});
+
+describe('SOS responders', () => {
+    const ACK = { _id: 'a1', name: 'Amara', action: 'on_it', timestamp: new Date(NOW).toISOString() };
+
+    function respondersText() {
+        return document.getElementById('sosResponderList').textContent.replace(/\s+/g, ' ');
+    }
+
+    function answerPublicTrip(acknowledgements) {
+        fetch.mockImplementation(url => Promise.resolve(jsonResponse(url.endsWith('/trips/trip1')
+            ? { _id: 'trip1', sosAcknowledgements: acknowledgements }
+            : {})));
+    }
+
+    test('shows contacts responding to the SOS', async () => {
+        answerPublicTrip([]);
+        openTrip({ status: 'EMERGENCY', sosTriggered: true });
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(document.getElementById('sosResponders').style.display).toBe('block');
+        expect(respondersText()).toContain('No one has responded yet');
+
+        answerPublicTrip([ACK]);
+        await jest.advanceTimersByTimeAsync(15000);
+
+        expect(respondersText()).toContain("Amara I'm on it");
+        expect(toastMessages()).toContain("🙋 Amara: I'm on it");
+    });
+
+    test('stops listening once the SOS is cancelled', async () => {
+        answerPublicTrip([]);
+        openTrip({ status: 'EMERGENCY', sosTriggered: true });
+        await jest.advanceTimersByTimeAsync(0);
+
+        await cancelSOS();
+        const polls = requestsTo('/trips/trip1').length;
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(requestsTo('/trips/trip1')).toHaveLength(polls);
+        expect(document.getElementById('sosResponders').style.display).toBe('none');
+    });
+
+    test('is hidden without an SOS', () => {
+        openTrip();
+
+        expect(document.getElementById('sosResponders').style.display).toBe('none');
+        expect(requestsTo('/trips/trip1')).toHaveLength(0);
+    });
+});
+
+describe('trip status', () => {
+    function statusText() {
+        return document.getElementById('tripStatus').textContent;
+    }
+
+    test('follows the check-in schedule', async () => {
+        openTrip({ nextCheckIn: dueIn(1) });
+        expect(statusText()).toBe('ACTIVE');
+
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        expect(statusText()).toBe('CHECK-IN OVERDUE');
+
+        await performCheckIn();
+        expect(statusText()).toBe('ACTIVE');
+    });
+
+    test('shows an SOS from the moment the page opens until it is cancelled', async () => {
+        openTrip({ status: 'EMERGENCY', sosTriggered: true });
+        expect(statusText()).toBe('EMERGENCY');
+
+        await cancelSOS();
+
+        expect(statusText()).toBe('ACTIVE');
+        expect(JSON.parse(localStorage.getItem('solosafe_trips'))[0]).toMatchObject({ status: 'Active', sosTriggered: false });
+    });
+});
+
+describe('check-in schedule', () => {
+    // A set time three hours from now, in the test machine's time zone
+    const slot = new Date(NOW + 3 * 60 * MINUTE);
+    const slotTime = `${String(slot.getHours()).padStart(2, '0')}:${String(slot.getMinutes()).padStart(2, '0')}`;
+
+    test('shows the schedule and when the next check-in is due', () => {
+        openTrip({ nextCheckIn: slot.toISOString(), checkInSchedule: { mode: 'times', times: [slotTime] } });
+
+        expect(document.getElementById('tripInterval').textContent).toBe(`Daily at ${slotTime}`);
+        expect(document.getElementById('countdownDue').textContent).toMatch(new RegExp(`^Due (today|tomorrow) at ${slotTime}$`));
+    });
+
+    test('sends the next set time with a check-in', async () => {
+        openTrip({ nextCheckIn: dueIn(10), checkInSchedule: { mode: 'times', times: [slotTime] } });
+
+        await performCheckIn();
+
+        const [[, init]] = requestsTo('/trips/trip1/safe');
+        expect(JSON.parse(init.body).nextCheckIn).toBe(slot.toISOString());
+    });
+});
+
+describe('trip event log', () => {
+    function storedEvents() {
+        return JSON.parse(localStorage.getItem('solosafe_trips'))[0].events || [];
+    }
+
+    function reportedEvents() {
+        return requestsTo('/trips/trip1/events').map(([, init]) => JSON.parse(init.body).type);
+    }
+
+    test('keeps every check-in with where and how it was made', async () => {
+        openTrip({ nextCheckIn: dueIn(10) });
+
+        await performCheckIn();
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        await performCheckIn();
+
+        expect(storedEvents()).toHaveLength(2);
+        expect(storedEvents()[0]).toMatchObject({ type: 'checkin', source: 'manual', latitude: 41.15, longitude: -8.61 });
+        expect(reportedEvents()).toEqual([]);
+    });
+
+    test('marks check-ins queued offline', async () => {
+        openTrip({ nextCheckIn: dueIn(10) });
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+        const queue = jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+
+        await performCheckIn();
+
+        expect(storedEvents()).toEqual([expect.objectContaining({ type: 'checkin', offline: true })]);
+        queue.mockRestore();
+    });
+
+    test('has the service worker send a queued check-in even if the page is closed', async () => {
+        openTrip({ nextCheckIn: dueIn(10) });
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+        const queue = jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+        const sync = jest.spyOn(window, 'registerCheckInQueueSync').mockResolvedValue();
+
+        await performCheckIn();
+
+        expect(sync).toHaveBeenCalledTimes(1);
+        queue.mockRestore();
+        sync.mockRestore();
+    });
+
+    test('reports the grace period and missed check-in once, then logs the automatic SOS', async () => {
+        global.Notification = { permission: 'denied' };
+        const due = dueIn(0);
+        openTrip({ nextCheckIn: due });
+
+        await jest.advanceTimersByTimeAsync(6 * MINUTE);
+
+        expect(reportedEvents()).toEqual(['grace_started', 'missed_checkin']);
+        expect(storedEvents().map(event => [event.type, event.source])).toEqual([
+            ['grace_started', 'auto'], ['missed_checkin', 'auto'], ['sos', 'auto']
+        ]);
+        expect(storedEvents()[0].timestamp).toBe(due);
+        expect(JSON.parse(sosRequests()[0][1].body).auto).toBe(true);
+    });
+
+    test('does not report the grace period again after a reload', async () => {
+        openTrip({ nextCheckIn: dueIn(0) });
+        await jest.advanceTimersByTimeAsync(1000);
+        jest.clearAllTimers();
+
+        loadPage('active-trip.html', '/active-trip.html?id=trip1');
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(reportedEvents()).toEqual(['grace_started']);
+    });
+
+    test('logs cancelling the SOS', async () => {
+        openTrip({ status: 'EMERGENCY', sosTriggered: true });
+
+        await cancelSOS();
+
+        expect(storedEvents()).toEqual([expect.objectContaining({ type: 'sos_cancelled', source: 'manual' })]);
+    });
+});
+
+describe('duress PIN', () => {
+    beforeEach(async () => {
+        await setDuressPin('9911');
+        openTrip({ nextCheckIn: dueIn(10) });
+    });
+
+    test('check-ins ask for a PIN once one is set', async () => {
+        await performCheckIn();
+
+        expect(shownModals).toEqual(['checkinPinModal']);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('any other PIN checks in normally', async () => {
+        await performCheckIn('1234');
+
+        expect(requestsTo('/safe')).toHaveLength(1);
+        expect(sosRequests()).toHaveLength(0);
+    });
+
+    test('the duress PIN looks like a check-in but sends a silent SOS', async () => {
+        await performCheckIn('9911');
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(requestsTo('/safe')).toHaveLength(1);
+        expect(JSON.parse(sosRequests()[0][1].body)).toEqual({
+            tripId: 'trip1',
+            latitude: 41.15,
+            longitude: -8.61,
+            accuracy: 10,
+            timestamp: new Date(NOW).toISOString(),
+            duress: true
+        });
+
+        expect(shownModals).toEqual(['checkinModal']);
+        expect(toastMessages()).toContain('Check-in successful! ✅');
+        expect(document.getElementById('trackingIndicator').style.display).toBe('none');
+        expect(document.getElementById('tripStatus').textContent).not.toBe('EMERGENCY');
+    });
+
+    test('streams location silently afterwards', async () => {
+        await performCheckIn('9911');
+        await jest.advanceTimersByTimeAsync(10 * 1000);
+
+        const updates = requestsTo('/alerts/last-known-location/trip1');
+        expect(updates).toHaveLength(1);
+        expect(JSON.parse(updates[0][1].body)).toMatchObject({
+            latitude: 41.15,
+            longitude: -8.61,
+            accuracy: 10,
+            timestamp: expect.any(String)
+        });
+    });
+
+    test('retries the silent SOS with backoff, then queues it', async () => {
+        const queue = jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+        fetch.mockImplementation(url => url.endsWith('/alerts/sos')
+            ? Promise.resolve(jsonResponse({ message: 'Unavailable' }, 503))
+            : Promise.resolve(jsonResponse({})));
+
+        await performCheckIn('9911');
+        await jest.advanceTimersByTimeAsync(15 * 1000);
+        expect(sosRequests()).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(30 * 1000);
+        expect(sosRequests()).toHaveLength(3);
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+        await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+        expect(sosRequests()).toHaveLength(4);
+        expect(queue).toHaveBeenCalledWith(expect.objectContaining({ tripId: 'trip1', method: 'duress', duress: true }));
+        expect(toastMessages().some(text => /SOS|alert/i.test(text))).toBe(false);
+    });
+
+    test('queues the silent SOS straight away when offline', async () => {
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+        const queue = jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+        const sync = jest.spyOn(window, 'registerCheckInQueueSync').mockResolvedValue();
+
+        await performCheckIn('9911');
+
+        expect(sosRequests()).toHaveLength(0);
+        expect(queue.mock.calls.map(([entry]) => entry.method)).toEqual(['duress', undefined]);
+        expect(sync).toHaveBeenCalledTimes(2);
+    });
+
+    function answerTrip(latest) {
+        fetch.mockImplementation(url => Promise.resolve(jsonResponse(url.endsWith('/trips/trip1') ? latest : {})));
+    }
+
+    function storedTrip() {
+        return JSON.parse(localStorage.getItem('solosafe_trips'))[0];
+    }
+
+    test('stops streaming once the backend reports the silent SOS resolved', async () => {
+        await performCheckIn('9911');
+        expect(storedTrip().duressActive).toBe(true);
+
+        answerTrip({ _id: 'trip1', duressActive: false, duressTimestamp: new Date(NOW).toISOString() });
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+        const sent = requestsTo('/alerts/last-known-location/trip1').length;
+        await jest.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(requestsTo('/alerts/last-known-location/trip1')).toHaveLength(sent);
+        expect(storedTrip().duressActive).toBe(false);
+    });
+
+    test('keeps streaming while the backend has not received the silent SOS yet', async () => {
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+        jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+        await performCheckIn('9911');
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: true });
+
+        answerTrip({ _id: 'trip1', duressActive: false });
+        await jest.advanceTimersByTimeAsync(2 * 60 * 1000);
+
+        expect(requestsTo('/trips/trip1').length).toBeGreaterThan(0);
+        expect(storedTrip().duressActive).toBe(true);
+        expect(requestsTo('/alerts/last-known-location/trip1').length).toBeGreaterThanOrEqual(11);
+    });
+
+    test('does not restart covert tracking after a reload once resolved', async () => {
+        const raised = new Date(NOW - 30 * MINUTE).toISOString();
+        answerTrip({ _id: 'trip1', duressActive: false, duressTimestamp: raised });
+        openTrip({ nextCheckIn: dueIn(10), duressActive: true, duressTimestamp: raised });
+        await jest.advanceTimersByTimeAsync(30 * 1000);
+
+        expect(requestsTo('/alerts/last-known-location/trip1')).toHaveLength(0);
+        expect(storedTrip().duressActive).toBe(false);
+    });
+
+    test('does not retry an SOS the server refused', async () => {
+        const queue = jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+        fetch.mockImplementation(url => url.endsWith('/alerts/sos')
+            ? Promise.resolve(jsonResponse({ message: 'This trip has already ended' }, 409))
+            : Promise.resolve(jsonResponse({})));
+
+        await performCheckIn('9911');
+        await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+        expect(sosRequests()).toHaveLength(1);
+        expect(queue).not.toHaveBeenCalled();
+    });
+});
+
+describe('share links', () => {
+    const SHARE = {
+        _id: 's1',
+        token: 'tok-1',
+        scope: 'location',
+        label: 'Mum',
+        expiresAt: new Date(NOW + 24 * 60 * MINUTE).toISOString()
+    };
+
+    beforeEach(() => {
+        navigator.clipboard = { writeText: jest.fn(() => Promise.resolve()) };
+        window.confirm = jest.fn(() => true);
+        fetch.mockImplementation((url, options) => {
+            if (url.endsWith('/trips/trip1/shares') && options.method === 'POST') {
+                const body = JSON.parse(options.body);
+                return Promise.resolve(jsonResponse({ share: { ...SHARE, _id: 's2', token: 'tok-2', ...body } }));
+            }
+            if (url.endsWith('/trips/trip1/shares')) return Promise.resolve(jsonResponse({ shares: [SHARE] }));
+            return Promise.resolve(jsonResponse({}));
+        });
+        openTrip({ nextCheckIn: dueIn(10) });
+    });
+
+    afterEach(() => {
+        delete navigator.clipboard;
+    });
+
+    function shareItems() {
+        return [...document.querySelectorAll('#shareList .list-group-item')].map(item => item.textContent);
+    }
+
+    test('lists the active links', async () => {
+        shareItinerary();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(shownModals).toContain('shareModal');
+        expect(shareItems()).toHaveLength(1);
+        expect(shareItems()[0]).toContain('Mum');
+        expect(shareItems()[0]).toContain('Status + location');
+    });
+
+    test('creates a scoped, expiring link and copies it', async () => {
+        shareItinerary();
+        await jest.advanceTimersByTimeAsync(0);
+
+        document.getElementById('shareLabel').value = '<b>Sam</b>';
+        document.getElementById('shareScope').value = 'status';
+        document.getElementById('shareExpiry').value = '72';
+        await createShare();
+
+        expect(JSON.parse(requestsTo('/trips/trip1/shares').find(([, o]) => o.method === 'POST')[1].body))
+            .toEqual({ scope: 'status', expiresInHours: 72, label: '<b>Sam</b>' });
+        expect(navigator.clipboard.writeText).toHaveBeenCalledWith('http://localhost/shared-trip.html?token=tok-2');
+        expect(shareItems()).toHaveLength(2);
+        expect(document.querySelector('#shareList b')).toBeNull();
+    });
+
+    test('can make a link last until the trip ends', async () => {
+        document.getElementById('shareExpiry').value = 'trip';
+        await createShare();
+
+        const body = JSON.parse(requestsTo('/trips/trip1/shares').find(([, o]) => o.method === 'POST')[1].body);
+        expect(body.expiresInHours).toBe(24);
+    });
+
+    test('revokes a link', async () => {
+        shareItinerary();
+        await jest.advanceTimersByTimeAsync(0);
+
+        await revokeShare('s1');
+
+        expect(requestsTo('/trips/trip1/shares/s1')[0][1].method).toBe('DELETE');
+        expect(shareItems()).toHaveLength(0);
+        expect(toastMessages()).toContain('Share link revoked');
+    });
+
+    test('keeps a link when revoking is cancelled', async () => {
+        window.confirm.mockReturnValue(false);
+        shareItinerary();
+        await jest.advanceTimersByTimeAsync(0);
+
+        await revokeShare('s1');
+
+        expect(requestsTo('/trips/trip1/shares/s1')).toHaveLength(0);
+        expect(shareItems()).toHaveLength(1);
+    });
+});
+
+describe('itinerary', () => {
+    const DAY = 24 * 60 * MINUTE;
+    const LEGS = [
+        { city: 'Lisbon', startDate: new Date(NOW - 2 * DAY).toISOString(), endDate: new Date(NOW - DAY / 2).toISOString(), transport: 'flight', bookingRef: 'TP1351' },
+        { city: 'Porto', startDate: new Date(NOW - DAY / 2).toISOString(), endDate: new Date(NOW + DAY).toISOString(), transport: 'train', accommodation: 'Rua das <Flores>' },
+        { city: 'Madrid', startDate: new Date(NOW + DAY).toISOString(), endDate: new Date(NOW + 3 * DAY).toISOString(), transport: 'flight' }
+    ];
+
+    function legItems() {
+        return [...document.querySelectorAll('#tripLegs li')];
+    }
+
+    test('lists the legs and highlights the current one', () => {
+        openTrip({ nextCheckIn: dueIn(10), legs: LEGS });
+
+        const items = legItems();
+        expect(items).toHaveLength(3);
+        expect(items.map(item => item.className.trim())).toEqual(['past', 'current', '']);
+        expect(items[1].textContent).toContain('You are here');
+        expect(items[1].textContent).toContain('Rua das <Flores>');
+        expect(items[0].textContent).toContain('TP1351');
+        expect(document.getElementById('tripDestination').textContent).toBe('Porto (stop 2 of 3)');
+    });
+
+    test('moves the highlight when the next leg starts', () => {
+        openTrip({ nextCheckIn: dueIn(10), legs: LEGS });
+
+        jest.advanceTimersByTime(DAY);
+
+        expect(legItems()[2].className).toContain('current');
+    });
+
+    test('keeps single-destination trips as they were', () => {
+        openTrip({ nextCheckIn: dueIn(10), accommodation: 'Hotel Porto' });
+
+        expect(document.getElementById('tripLegsContainer').style.display).toBe('none');
+        expect(document.getElementById('tripDestination').textContent).toBe('Porto');
+        expect(document.getElementById('tripDescription').textContent).toBe('Hotel Porto');
+    });
+});
+
+describe('geofences', () => {
+    const HOSTEL = {
+        id: 'zone_hostel',
+        name: 'Casa do Largo',
+        type: 'hostel',
+        latitude: 38.7114,
+        longitude: -9.1297,
+        radius: 80,
+        autoCheckIn: true
+    };
+    const AT_HOSTEL = { lat: 38.7116, lng: -9.1299, accuracy: 10 };
+    const DOWNTOWN = { lat: 38.7075, lng: -9.1364, accuracy: 10 };
+
+    // "HH:00" some hours from the fake clock's local time
+    function hourFromNow(offset) {
+        return `${String((new Date(NOW).getHours() + offset + 24) % 24).padStart(2, '0')}:00`;
+    }
+
+    function moveTo(position) {
+        window.dispatchEvent(new CustomEvent('solosafe:location', { detail: position }));
+    }
+
+    function checkInBodies() {
+        return requestsTo('/safe').map(([, options]) => JSON.parse(options.body));
+    }
+
+    test('lists the zones on the trip', () => {
+        openTrip({ nextCheckIn: dueIn(10), geofences: [HOSTEL] });
+
+        expect(document.getElementById('geofenceContainer').style.display).toBe('block');
+        expect(document.getElementById('geofenceList').textContent).toContain('auto check-in on arrival');
+    });
+
+    test('checks in on arrival and records how', async () => {
+        openTrip({ nextCheckIn: dueIn(10), geofences: [HOSTEL] });
+
+        moveTo(DOWNTOWN);
+        moveTo(AT_HOSTEL);
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(checkInBodies()).toEqual([expect.objectContaining({
+            method: 'geofence',
+            geofenceId: 'zone_hostel',
+            geofenceName: 'Casa do Largo',
+            latitude: AT_HOSTEL.lat
+        })]);
+        expect(toastMessages().some(text => text.includes('checked in automatically'))).toBe(true);
+        expect(countdownText()).toBe('00:29:59');
+    });
+
+    test('does not check in when the page opens inside a zone', async () => {
+        openTrip({ nextCheckIn: dueIn(10), geofences: [HOSTEL] });
+
+        moveTo(AT_HOSTEL);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(checkInBodies()).toEqual([]);
+    });
+
+    test('only announces arrival at zones without auto check-in', async () => {
+        openTrip({ nextCheckIn: dueIn(10), geofences: [{ ...HOSTEL, autoCheckIn: false }] });
+
+        moveTo(DOWNTOWN);
+        moveTo(AT_HOSTEL);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(checkInBodies()).toEqual([]);
+        expect(toastMessages()).toContain('📍 Arrived at Casa do Largo');
+    });
+
+    test('queues the geofence check-in when offline', async () => {
+        openTrip({ nextCheckIn: dueIn(10), geofences: [HOSTEL] });
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+        const queue = jest.spyOn(window, 'queueCheckIn').mockResolvedValue({});
+
+        moveTo(DOWNTOWN);
+        moveTo(AT_HOSTEL);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(queue).toHaveBeenCalledWith(expect.objectContaining({
+            tripId: 'trip1',
+            method: 'geofence',
+            geofenceName: 'Casa do Largo'
+        }));
+        expect(checkInBodies()).toEqual([]);
+        queue.mockRestore();
+    });
+
+    test('warns and alerts contacts when leaving at an unexpected time', async () => {
+        openTrip({
+            nextCheckIn: dueIn(10),
+            geofences: [{ ...HOSTEL, awayFrom: hourFromNow(2), awayUntil: hourFromNow(4), alertContacts: true }]
+        });
+
+        moveTo(AT_HOSTEL);
+        moveTo(DOWNTOWN);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(toastMessages().some(text => text.startsWith('⚠️ You left Casa do Largo'))).toBe(true);
+        const [[, options]] = requestsTo('/alerts/geofence-exit');
+        expect(JSON.parse(options.body)).toMatchObject({ tripId: 'trip1', geofenceId: 'zone_hostel', latitude: DOWNTOWN.lat });
+    });
+
+    test('stays quiet when leaving during the expected hours', async () => {
+        openTrip({
+            nextCheckIn: dueIn(10),
+            geofences: [{ ...HOSTEL, awayFrom: hourFromNow(0), awayUntil: hourFromNow(2), alertContacts: true }]
+        });
+
+        moveTo(AT_HOSTEL);
+        moveTo(DOWNTOWN);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(toastMessages()).toEqual([]);
+        expect(requestsTo('/alerts/geofence-exit')).toHaveLength(0);
+    });
+});
+
+describe('route deviation', () => {
+    const ROUTE = {
+        name: 'Baixa to Alfama',
+        corridor: 150,
+        points: [
+            { latitude: 38.7075, longitude: -9.1364 },
+            { latitude: 38.7104, longitude: -9.1318 }
+        ]
+    };
+    const ON_ROUTE = { lat: 38.7090, lng: -9.1341, accuracy: 10 };
+    // Down by the river, about 600 m away
+    const OFF_ROUTE = { lat: 38.7040, lng: -9.1300, accuracy: 10 };
+
+    function moveTo(position) {
+        window.dispatchEvent(new CustomEvent('solosafe:location', { detail: position }));
+    }
+
+    async function strayFor(minutes) {
+        moveTo(OFF_ROUTE);
+        await jest.advanceTimersByTimeAsync(minutes * MINUTE);
+        moveTo(OFF_ROUTE);
+        await jest.advanceTimersByTimeAsync(0);
+    }
+
+    test('describes the route on the trip', () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        expect(document.getElementById('routeInfo').textContent).toContain('Baixa to Alfama');
+        expect(document.getElementById('routeInfo').textContent).toContain('150 m');
+    });
+
+    test('does not ask after a brief detour', async () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        await strayFor(2);
+
+        expect(shownModals).not.toContain('routeCheckModal');
+    });
+
+    test('asks "Are you OK?" after straying and brings the check-in forward', async () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        await strayFor(3);
+
+        expect(shownModals).toContain('routeCheckModal');
+        expect(document.getElementById('routeCheckDistance').textContent).toMatch(/\d+ m/);
+        expect(countdownText()).toBe('00:05:00');
+
+        const [[, options]] = requestsTo('/trips/trip1');
+        expect(JSON.parse(options.body).nextCheckIn).toBe(new Date(Date.now() + 5 * MINUTE).toISOString());
+    });
+
+    test('escalates like a missed check-in when ignored', async () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        await strayFor(3);
+        await jest.advanceTimersByTimeAsync(6 * MINUTE);
+
+        expect(countdownText()).toBe('CHECK IN NOW!');
+        expect(toastMessages()).toContain('Grace period started! Please check in.');
+    });
+
+    test('answering "I\'m OK" checks in', async () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        await strayFor(3);
+        answerRouteCheck(true);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(requestsTo('/safe')).toHaveLength(1);
+    });
+
+    test('answering "I need help" opens the SOS prompt', async () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        await strayFor(3);
+        answerRouteCheck(false);
+
+        expect(shownModals).toContain('sosModal');
+    });
+
+    test('stays quiet while on the route', async () => {
+        openTrip({ nextCheckIn: dueIn(60), plannedRoute: ROUTE });
+
+        moveTo(ON_ROUTE);
+        await jest.advanceTimersByTimeAsync(10 * MINUTE);
+        moveTo(ON_ROUTE);
+
+        expect(shownModals).not.toContain('routeCheckModal');
+    });
+});
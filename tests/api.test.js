@@ -0,0 +1,108 @@
+const { SHARED_SCRIPTS, loadScripts, jsonResponse, toastMessages, signIn } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS));
+
+describe('authenticatedFetch', () => {
+    test('asks the user to log in when there is no token', async () => {
+        const response = await authenticatedFetch('https://api.test/trips');
+
+        expect(response).toBeNull();
+        expect(fetch).not.toHaveBeenCalled();
+        expect(toastMessages()).toContain('Please login first');
+    });
+
+    test('sends the bearer token and caller headers', async () => {
+        signIn('abc');
+        fetch.mockResolvedValue(jsonResponse([]));
+
+        await authenticatedFetch('https://api.test/trips', { headers: { 'X-Test': '1' } });
+
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toBe('https://api.test/trips');
+        expect(options.headers).toMatchObject({
+            'Authorization': 'Bearer abc',
+            'Content-Type': 'application/json',
+            'X-Test': '1'
+        });
+    });
+
+    test('clears the session on 401', async () => {
+        signIn('expired');
+        localStorage.setItem('solosafe_token', 'expired');
+        fetch.mockResolvedValue(jsonResponse({ message: 'jwt expired' }, 401));
+
+        const response = await authenticatedFetch('https://api.test/trips');
+
+        expect(response).toBeNull();
+        expect(localStorage.getItem('solosafe_user')).toBeNull();
+        expect(localStorage.getItem('solosafe_token')).toBeNull();
+        expect(toastMessages()).toContain('Session expired. Please login again.');
+    });
+
+    test('reports network errors only while online', async () => {
+        signIn();
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await expect(authenticatedFetch('https://api.test/trips')).rejects.toThrow('Failed to fetch');
+        expect(toastMessages()).toContain('Network error. Please try again.');
+
+        Toastify.mockClear();
+        Object.defineProperty(navigator, 'onLine', { configurable: true, value: false });
+
+        await expect(authenticatedFetch('https://api.test/trips')).rejects.toThrow('Failed to fetch');
+        expect(Toastify).not.toHaveBeenCalled();
+    });
+});
+
+describe('apiRequest', () => {
+    test('prefixes the configured base URL', async () => {
+        fetch.mockResolvedValue(jsonResponse({ ok: true }));
+
+        await apiRequest('/trips', { auth: false });
+
+        expect(fetch.mock.calls[0][0]).toBe(`${SOLOSAFE_CONFIG.apiBaseUrl}/trips`);
+    });
+
+    test('honours a per-browser base URL override', async () => {
+        setApiBaseUrl('http://localhost:5000/api/');
+        fetch.mockResolvedValue(jsonResponse({}));
+
+        await apiRequest('/trips', { auth: false });
+
+        expect(fetch.mock.calls[0][0]).toBe('http://localhost:5000/api/trips');
+    });
+
+    test('throws ApiError with the backend message', async () => {
+        fetch.mockResolvedValue(jsonResponse({ message: 'Trip not found' }, 404));
+
+        const error = await apiRequest('/trips/nope').catch(err => err);
+
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error.status).toBe(404);
+        expect(error.message).toBe('Trip not found');
+    });
+
+    test('sends share link and invitation calls without the session', async () => {
+        localStorage.setItem('solosafe_token', 'expired');
+        fetch.mockImplementation(() => Promise.resolve(jsonResponse({ message: 'Unauthorized' }, 401)));
+
+        await Promise.allSettled([
+            SoloSafeAPI.shares.view('tok'),
+            SoloSafeAPI.shares.acknowledgeSos('tok', { name: 'Amara', action: 'on_it' }),
+            SoloSafeAPI.invitations.view('inv'),
+            SoloSafeAPI.invitations.respond('inv', true)
+        ]);
+
+        expect(fetch).toHaveBeenCalledTimes(4);
+        fetch.mock.calls.forEach(([, options]) => expect(options.headers.Authorization).toBeUndefined());
+        expect(localStorage.getItem('solosafe_token')).toBe('expired');
+    });
+
+    test('passes network failures through unwrapped', async () => {
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const error = await apiRequest('/trips').catch(err => err);
+
+        expect(error).toBeInstanceOf(TypeError);
+    });
+});
@@ -0,0 +1,155 @@
+const { SHARED_SCRIPTS, loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS));
+
+describe('getAuthToken', () => {
+    test('reads the token from a regular login', () => {
+        localStorage.setItem('solosafe_user', JSON.stringify({ token: 'abc', user: { name: 'Ada' } }));
+        expect(getAuthToken()).toBe('abc');
+    });
+
+    test('falls back to the Google token', () => {
+        localStorage.setItem('solosafe_token', 'google-token');
+        expect(getAuthToken()).toBe('google-token');
+    });
+
+    test('prefers the regular login token over the Google one', () => {
+        localStorage.setItem('solosafe_user', JSON.stringify({ token: 'abc', user: {} }));
+        localStorage.setItem('solosafe_token', 'google-token');
+        expect(getAuthToken()).toBe('abc');
+    });
+
+    test('uses the Google token when the stored user has none', () => {
+        localStorage.setItem('solosafe_user', JSON.stringify({ name: 'Ada', email: 'ada@example.com' }));
+        localStorage.setItem('solosafe_token', 'google-token');
+        expect(getAuthToken()).toBe('google-token');
+    });
+
+    test.each(['undefined', 'null', '{not json'])('ignores a stored user of %p', stored => {
+        localStorage.setItem('solosafe_user', stored);
+        expect(getAuthToken()).toBeNull();
+    });
+});
+
+describe('getCurrentUser', () => {
+    test('returns null when nobody is logged in', () => {
+        expect(getCurrentUser()).toBeNull();
+    });
+
+    test('flattens the regular login structure', () => {
+        localStorage.setItem('solosafe_user', JSON.stringify({
+            token: 'abc',
+            user: { name: 'Ada', email: 'ada@example.com' }
+        }));
+
+        expect(getCurrentUser()).toEqual({ name: 'Ada', email: 'ada@example.com', token: 'abc' });
+    });
+
+    test('returns the Google structure as is', () => {
+        const googleUser = { token: 'g', name: 'Ada', email: 'ada@example.com', profilePicture: 'pic.jpg' };
+        localStorage.setItem('solosafe_user', JSON.stringify(googleUser));
+
+        expect(getCurrentUser()).toEqual(googleUser);
+    });
+
+    test('drops unreadable user data', () => {
+        localStorage.setItem('solosafe_user', '{broken');
+
+        expect(getCurrentUser()).toBeNull();
+        expect(localStorage.getItem('solosafe_user')).toBeNull();
+    });
+});
+
+describe('service worker schedule', () => {
+    const worker = { postMessage: jest.fn() };
+    const sync = { register: jest.fn(() => Promise.resolve()) };
+
+    beforeAll(() => {
+        Object.defineProperty(navigator, 'serviceWorker', {
+            configurable: true,
+            value: {
+                register: () => Promise.resolve(),
+                ready: Promise.resolve({ active: worker, sync })
+            }
+        });
+    });
+
+    afterAll(() => {
+        delete navigator.serviceWorker;
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        worker.postMessage.mockClear();
+        sync.register.mockClear();
+        localStorage.setItem('solosafe_user', JSON.stringify({ token: 'abc', user: { name: 'Ada' } }));
+        fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve({}) });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    // Let the service worker registration promises settle
+    async function settle() {
+        for (let i = 0; i < 5; i++) await Promise.resolve();
+    }
+
+    test('drops the trip and token the service worker keeps on logout', async () => {
+        logout();
+        await settle();
+
+        expect(localStorage.getItem('solosafe_user')).toBeNull();
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: 'CLEAR_TRIP', tripId: null });
+    });
+
+    test('drops them when the session expires', async () => {
+        handleSessionExpired();
+        await settle();
+
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: 'CLEAR_TRIP', tripId: null });
+    });
+
+    test('hands the service worker the trip with the session token', async () => {
+        await syncTripWithServiceWorker({ _id: 'trip1', nextCheckIn: '2026-03-01T13:00:00Z' });
+
+        expect(worker.postMessage).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'SCHEDULE_TRIP',
+            token: 'abc',
+            trip: expect.objectContaining({ _id: 'trip1' })
+        }));
+    });
+
+    test('hands over set times, quiet hours and time zones so notification check-ins follow them', async () => {
+        const checkInSchedule = { mode: 'times', interval: 60, times: ['09:00', '21:00'], quietHours: { start: '23:00', end: '07:00' } };
+        const legs = [
+            { city: 'Lisbon', startDate: '2026-03-01T00:00:00Z', timeZone: null, checkInSchedule: null },
+            { city: 'Tokyo', startDate: '2026-03-04T00:00:00+09:00', timeZone: 'Asia/Tokyo', checkInSchedule: { mode: 'interval', interval: 120 } }
+        ];
+
+        await syncTripWithServiceWorker({ _id: 'trip1', checkInFrequency: 60, checkInSchedule, timeZone: 'Europe/Lisbon', legs });
+
+        const [[message]] = worker.postMessage.mock.calls;
+        expect(message.trip).toMatchObject({ _id: 'trip1', checkInFrequency: 60, checkInSchedule, timeZone: 'Europe/Lisbon', legs });
+    });
+
+    test('has the service worker send the offline queue once back online', async () => {
+        await registerCheckInQueueSync();
+
+        expect(sync.register).toHaveBeenCalledWith('solosafe-checkin-queue');
+    });
+
+    test('keeps background escalation off in mock mode', async () => {
+        window.SOLOSAFE_CONFIG.mockBackend = true;
+        localStorage.setItem('solosafe_mock', 'true');
+
+        try {
+            await syncTripWithServiceWorker({ _id: 'trip1', nextCheckIn: '2026-03-01T13:00:00Z' });
+        } finally {
+            window.SOLOSAFE_CONFIG.mockBackend = false;
+        }
+
+        expect(worker.postMessage).toHaveBeenCalledTimes(1);
+        expect(worker.postMessage).toHaveBeenCalledWith({ type: 'CLEAR_TRIP', tripId: null });
+    });
+});
@@ -0,0 +1,192 @@
+const { loadScripts } = require('./helpers/browser');
+const { createFakeIndexedDB } = require('./helpers/indexeddb');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const fakeDb = createFakeIndexedDB();
+
+beforeAll(() => {
+    global.indexedDB = fakeDb.indexedDB;
+    loadScripts('checkin-queue.js');
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    fakeDb.clear();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+function storedEntries() {
+    return fakeDb.records('solosafe_offline', 'checkins');
+}
+
+function httpError(status) {
+    return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+async function queueTimes(...times) {
+    for (const time of times) {
+        await queueCheckIn({ tripId: 'trip1', latitude: 41.15, longitude: -8.61, timestamp: `2026-03-01T${time}:00.000Z` });
+    }
+}
+
+describe('queueCheckIn', () => {
+    test('keeps the check-in with when it was queued', async () => {
+        const entry = await queueCheckIn({ tripId: 'trip1', latitude: 41.15, longitude: -8.61, timestamp: '2026-03-01T11:30:00.000Z' });
+
+        expect(entry).toEqual({
+            id: 1,
+            tripId: 'trip1',
+            latitude: 41.15,
+            longitude: -8.61,
+            timestamp: '2026-03-01T11:30:00.000Z',
+            queuedAt: '2026-03-01T12:00:00.000Z'
+        });
+        expect(storedEntries()).toEqual([entry]);
+    });
+
+    test('keeps how a geofence check-in or duress alert was made, and nothing else', async () => {
+        await queueCheckIn({ tripId: 'trip1', method: 'geofence', geofenceId: 'g1', geofenceName: 'Hostel', note: 'extra' });
+        await queueCheckIn({ tripId: 'trip1', method: 'duress', accuracy: 12, duress: true });
+
+        const [geofence, duress] = storedEntries();
+        expect(geofence).toMatchObject({ method: 'geofence', geofenceId: 'g1', geofenceName: 'Hostel', latitude: null });
+        expect(geofence.note).toBeUndefined();
+        expect(getQueuedCheckInDetails(geofence)).toEqual({ method: 'geofence', geofenceId: 'g1', geofenceName: 'Hostel' });
+        expect(isQueuedDuressAlert(duress)).toBe(true);
+        expect(getQueuedDuressAlert(duress)).toMatchObject({ tripId: 'trip1', accuracy: 12, duress: true });
+    });
+});
+
+describe('getPendingCheckIns', () => {
+    test('lists queued check-ins oldest first, for one trip or all', async () => {
+        await queueTimes('11:00');
+        await queueCheckIn({ tripId: 'trip2', timestamp: '2026-03-01T11:15:00.000Z' });
+        await queueTimes('11:30');
+
+        expect((await getPendingCheckIns()).map(entry => entry.id)).toEqual([1, 2, 3]);
+        expect((await getPendingCheckIns('trip1')).map(entry => entry.timestamp)).toEqual([
+            '2026-03-01T11:00:00.000Z',
+            '2026-03-01T11:30:00.000Z'
+        ]);
+        expect(await getPendingCheckIns('trip3')).toEqual([]);
+    });
+});
+
+describe('isRejectedCheckIn', () => {
+    test('only gives up on requests the backend refused for good', () => {
+        expect(isRejectedCheckIn(httpError(400))).toBe(true);
+        expect(isRejectedCheckIn(httpError(409))).toBe(true);
+        expect(isRejectedCheckIn(httpError(401))).toBe(false);
+        expect(isRejectedCheckIn(httpError(408))).toBe(false);
+        expect(isRejectedCheckIn(httpError(429))).toBe(false);
+        expect(isRejectedCheckIn(httpError(503))).toBe(false);
+        expect(isRejectedCheckIn(new TypeError('Failed to fetch'))).toBe(false);
+    });
+});
+
+describe('replayCheckInQueue', () => {
+    test('sends every check-in in order and empties the queue', async () => {
+        await queueTimes('11:00', '11:30');
+        const send = jest.fn(() => Promise.resolve());
+
+        const result = await replayCheckInQueue(send);
+
+        expect(send.mock.calls.map(([entry]) => entry.timestamp)).toEqual([
+            '2026-03-01T11:00:00.000Z',
+            '2026-03-01T11:30:00.000Z'
+        ]);
+        expect(result).toEqual({ sent: 2, dropped: 0, remaining: 0 });
+        expect(storedEntries()).toEqual([]);
+    });
+
+    test('drops check-ins the backend rejects and carries on', async () => {
+        await queueTimes('11:00', '11:30');
+        const send = jest.fn()
+            .mockRejectedValueOnce(httpError(409))
+            .mockResolvedValueOnce();
+
+        const result = await replayCheckInQueue(send);
+
+        expect(result).toEqual({ sent: 1, dropped: 1, remaining: 0 });
+        expect(storedEntries()).toEqual([]);
+    });
+
+    test('stops at a network failure so later check-ins never overtake', async () => {
+        await queueTimes('11:00', '11:30');
+        const send = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+
+        const result = await replayCheckInQueue(send);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(result).toEqual({ sent: 0, dropped: 0, remaining: 2 });
+        expect(storedEntries()).toHaveLength(2);
+        expect(storedEntries()[0].claimedAt).toBeUndefined();
+    });
+
+    test('sends duress alerts without counting them as check-ins', async () => {
+        await queueCheckIn({ tripId: 'trip1', method: 'duress', timestamp: '2026-03-01T11:00:00.000Z' });
+        await queueCheckIn({ tripId: 'trip1', method: 'duress', timestamp: '2026-03-01T11:10:00.000Z' });
+        await queueTimes('11:30');
+        const send = jest.fn()
+            .mockResolvedValueOnce()
+            .mockRejectedValueOnce(httpError(400))
+            .mockResolvedValueOnce();
+
+        const result = await replayCheckInQueue(send);
+
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(result).toEqual({ sent: 1, dropped: 0, remaining: 0 });
+    });
+
+    test('shares one replay within a page', async () => {
+        await queueTimes('11:00');
+        const send = jest.fn(() => Promise.resolve());
+
+        const [first, second] = await Promise.all([replayCheckInQueue(send), replayCheckInQueue(send)]);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(second).toBe(first);
+    });
+
+    test('leaves a check-in the service worker is sending to it', async () => {
+        await queueTimes('11:00', '11:30');
+        const send = jest.fn(() => Promise.resolve());
+
+        // The worker's replay, with its own module state, claimed the oldest entry
+        const { entry: claimed } = await claimNextCheckIn();
+        const result = await replayCheckInQueue(send);
+
+        expect(claimed.timestamp).toBe('2026-03-01T11:00:00.000Z');
+        expect(send).not.toHaveBeenCalled();
+        expect(result).toEqual({ sent: 0, dropped: 0, remaining: 2 });
+    });
+
+    test('keeps the service worker off a check-in the page is sending', async () => {
+        await queueTimes('11:00');
+        let deliver;
+        const replay = replayCheckInQueue(() => new Promise(resolve => { deliver = resolve; }));
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(await claimNextCheckIn()).toEqual({ entry: null, remaining: 1 });
+
+        deliver();
+        expect(await replay).toEqual({ sent: 1, dropped: 0, remaining: 0 });
+        expect(await claimNextCheckIn()).toEqual({ entry: null, remaining: 0 });
+    });
+
+    test('sends a check-in whose replay never finished', async () => {
+        await queueTimes('11:00');
+        // Claimed by a page that was closed mid-send
+        await claimNextCheckIn();
+        jest.setSystemTime(NOW + 2 * 60 * 1000);
+        const send = jest.fn(() => Promise.resolve());
+
+        const result = await replayCheckInQueue(send);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(result).toEqual({ sent: 1, dropped: 0, remaining: 0 });
+    });
+});
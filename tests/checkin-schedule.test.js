@@ -0,0 +1,209 @@
+const { loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('time-zones.js', 'checkin-schedule.js'));
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+function tripDueIn(minutes, extra = {}) {
+    return { _id: 't1', nextCheckIn: new Date(NOW + minutes * MINUTE).toISOString(), ...extra };
+}
+
+describe('getCheckInState', () => {
+    test('has nothing to track without a scheduled check-in', () => {
+        expect(getCheckInState(null, NOW).phase).toBe('none');
+        expect(getCheckInState({ _id: 't1' }, NOW).phase).toBe('none');
+    });
+
+    test('stops tracking once SOS was raised', () => {
+        expect(getCheckInState(tripDueIn(-60, { sosTriggered: true }), NOW).phase).toBe('none');
+    });
+
+    test('counts down to the next check-in', () => {
+        const state = getCheckInState(tripDueIn(10), NOW);
+
+        expect(state.phase).toBe('waiting');
+        expect(state.timeLeft).toBe(10 * MINUTE);
+    });
+
+    test('enters the grace period when the check-in is missed', () => {
+        const state = getCheckInState(tripDueIn(-5), NOW);
+
+        expect(state.phase).toBe('grace');
+        expect(state.timeLeft).toBe(25 * MINUTE);
+        expect(state.graceEndsAt).toBe(NOW + 25 * MINUTE);
+    });
+
+    test('uses the trip grace period when set', () => {
+        const state = getCheckInState(tripDueIn(-5, { gracePeriod: 10 }), NOW);
+
+        expect(state.timeLeft).toBe(5 * MINUTE);
+    });
+
+    test('expires once the grace period is over', () => {
+        expect(getCheckInState(tripDueIn(-30), NOW).phase).toBe('expired');
+        expect(getCheckInState(tripDueIn(-31), NOW).timeLeft).toBe(0);
+    });
+
+    test('grace ends at the same time however late the page looks', () => {
+        const trip = tripDueIn(-1, { gracePeriod: 5 });
+
+        expect(getCheckInState(trip, NOW).graceEndsAt)
+            .toBe(getCheckInState(trip, NOW + 3 * MINUTE).graceEndsAt);
+    });
+});
+
+describe('escalation policy', () => {
+    const ladder = [
+        { after: 0, action: 'remind' },
+        { after: 15, action: 'notify_first' },
+        { after: 30, action: 'notify_all' },
+        { after: 45, action: 'sos' }
+    ];
+
+    test('defaults to reminders then SOS when grace ends', () => {
+        expect(getEscalationPolicy({ gracePeriod: 2 })).toEqual([
+            { after: 0, action: 'remind' },
+            { after: 1, action: 'remind' },
+            { after: 2, action: 'sos' }
+        ]);
+    });
+
+    test('sorts steps and drops anything after the SOS or unknown', () => {
+        expect(normalizeEscalationPolicy([
+            { after: 30, action: 'sos' },
+            { after: '10', action: 'notify_all' },
+            { after: 5, action: 'launch_flares' },
+            { after: 60, action: 'remind' }
+        ])).toEqual([
+            { after: 10, action: 'notify_all' },
+            { after: 30, action: 'sos' }
+        ]);
+    });
+
+    test('always ends in an SOS', () => {
+        expect(normalizeEscalationPolicy([{ after: 40, action: 'notify_all' }], 30))
+            .toEqual([{ after: 40, action: 'notify_all' }, { after: 40, action: 'sos' }]);
+    });
+
+    test('the SOS step sets the grace period', () => {
+        const trip = tripDueIn(-50, { gracePeriod: 5, escalationPolicy: ladder });
+
+        expect(getGracePeriodMinutes(trip)).toBe(45);
+        expect(getCheckInState(trip, NOW).phase).toBe('expired');
+        expect(getCheckInState(tripDueIn(-40, { escalationPolicy: ladder }), NOW).phase).toBe('grace');
+    });
+
+    test('steps fire relative to the missed check-in', () => {
+        const steps = getEscalationSteps(tripDueIn(0, { escalationPolicy: ladder }));
+
+        expect(steps.map(step => step.at)).toEqual([0, 15, 30, 45].map(m => NOW + m * MINUTE));
+        expect(steps.map(step => step.index)).toEqual([0, 1, 2, 3]);
+    });
+
+    test('only returns due steps that have not run yet', () => {
+        const trip = tripDueIn(-20, { escalationPolicy: ladder });
+        expect(getDueEscalationSteps(trip, NOW).map(step => step.action)).toEqual(['remind', 'notify_first']);
+
+        markEscalationStepsDone(trip, 1);
+        expect(getDueEscalationSteps(trip, NOW).map(step => step.action)).toEqual(['notify_first']);
+    });
+
+    test('progress resets with the next check-in', () => {
+        const trip = tripDueIn(-20, { escalationPolicy: ladder });
+        markEscalationStepsDone(trip, 2);
+
+        trip.nextCheckIn = new Date(NOW - MINUTE).toISOString();
+
+        expect(getCompletedEscalationSteps(trip)).toBe(0);
+    });
+
+    test('describes the ladder', () => {
+        expect(describeEscalationPolicy(ladder)).toBe(
+            'T+0 Remind me → T+15 Alert first contact → T+30 Alert all contacts → T+45 Full SOS'
+        );
+    });
+});
+
+describe('formatCountdown', () => {
+    test('pads hours, minutes and seconds', () => {
+        expect(formatCountdown(0)).toBe('00:00:00');
+        expect(formatCountdown(65 * 1000)).toBe('00:01:05');
+        expect(formatCountdown((26 * 60 + 3) * MINUTE + 9000)).toBe('26:03:09');
+    });
+});
+
+describe('check-in schedule', () => {
+    // Local time, the schedule is in the traveller's time of day
+    const at = (day, hours, minutes = 0) => new Date(2026, 2, day, hours, minutes).getTime();
+    const iso = (day, hours, minutes = 0) => new Date(at(day, hours, minutes)).toISOString();
+
+    test('falls back to every checkInFrequency minutes', () => {
+        const trip = { checkInFrequency: 30 };
+
+        expect(getCheckInSchedule(trip, at(1, 12))).toEqual({ mode: 'interval', interval: 30, times: [], quietHours: null });
+        expect(calculateNextCheckIn(trip, at(1, 12))).toBe(iso(1, 12, 30));
+    });
+
+    test('treats checkInFrequency as minutes, not hours', () => {
+        expect(calculateNextCheckIn({ checkInFrequency: 24 }, at(1, 12))).toBe(iso(1, 12, 24));
+        expect(calculateNextCheckIn({}, at(1, 12))).toBe(iso(1, 13));
+    });
+
+    test('picks the next set time of day', () => {
+        const trip = { checkInSchedule: { mode: 'times', times: ['21:00', '9:00'] } };
+
+        expect(calculateNextCheckIn(trip, at(1, 8))).toBe(iso(1, 9));
+        expect(calculateNextCheckIn(trip, at(1, 12))).toBe(iso(1, 21));
+        expect(calculateNextCheckIn(trip, at(1, 21))).toBe(iso(2, 9));
+    });
+
+    test('holds interval check-ins until quiet hours are over', () => {
+        const trip = { checkInSchedule: { mode: 'interval', interval: 60, quietHours: { start: '23:00', end: '07:00' } } };
+
+        expect(calculateNextCheckIn(trip, at(1, 21))).toBe(iso(1, 22));
+        expect(calculateNextCheckIn(trip, at(1, 22, 30))).toBe(iso(2, 7));
+        expect(calculateNextCheckIn(trip, at(2, 3))).toBe(iso(2, 7));
+    });
+
+    test('skips set times that fall in quiet hours', () => {
+        const trip = { checkInSchedule: { mode: 'times', times: ['07:30', '23:30'], quietHours: { start: '23:00', end: '07:00' } } };
+
+        expect(calculateNextCheckIn(trip, at(1, 12))).toBe(iso(2, 7, 30));
+    });
+
+    test('uses the override of the stop the traveller is on', () => {
+        const trip = {
+            checkInFrequency: 30,
+            checkInSchedule: { mode: 'interval', interval: 30, quietHours: { start: '23:00', end: '07:00' } },
+            legs: [
+                { startDate: iso(1, 0), checkInSchedule: null },
+                { startDate: iso(3, 0), checkInSchedule: { mode: 'times', times: ['10:00'] } }
+            ]
+        };
+
+        expect(getCheckInSchedule(trip, at(2, 12)).mode).toBe('interval');
+        expect(getCheckInSchedule(trip, at(3, 12))).toEqual({
+            mode: 'times', interval: 30, times: ['10:00'], quietHours: { start: '23:00', end: '07:00' }
+        });
+        expect(calculateNextCheckIn(trip, at(3, 12))).toBe(iso(4, 10));
+    });
+
+    test('cleans up schedules from user input', () => {
+        expect(normalizeCheckInSchedule({ mode: 'times', times: ['25:00', 'noon'] }, 45))
+            .toEqual({ mode: 'interval', interval: 45, times: [], quietHours: null });
+        expect(normalizeCheckInSchedule({ mode: 'times', times: ['21:00', '09:00', '9:00'], quietHours: { start: '22:00', end: '22:00' } }))
+            .toEqual({ mode: 'times', interval: 60, times: ['09:00', '21:00'], quietHours: null });
+    });
+
+    test('describes the schedule and the next slot', () => {
+        expect(describeCheckInSchedule(normalizeCheckInSchedule({ interval: 1 }))).toBe('Every 1 minute');
+        expect(describeCheckInSchedule(normalizeCheckInSchedule({
+            mode: 'times', times: ['09:00', '13:00', '21:00'], quietHours: { start: '23:00', end: '07:00' }
+        }))).toBe('Daily at 09:00, 13:00 and 21:00, none 23:00-07:00');
+
+        expect(describeNextDue(at(1, 21), at(1, 12))).toBe('Due today at 21:00');
+        expect(describeNextDue(at(2, 9), at(1, 12))).toBe('Due tomorrow at 09:00');
+        expect(describeNextDue(at(4, 9), at(1, 12))).toMatch(/^Due .+ at 09:00$/);
+    });
+});
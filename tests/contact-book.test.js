@@ -0,0 +1,156 @@
+const { loadScripts, jsonResponse, signIn, SHARED_SCRIPTS } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS, 'contact-book.js'));
+
+const MOTHER = {
+    _id: 'contact1',
+    name: ' Grace Hopper ',
+    email: 'grace@example.test',
+    phone: '+1 555 0100',
+    relationship: 'parent',
+    channels: ['sms', 'email'],
+    language: 'pt'
+};
+
+describe('normalizeContact', () => {
+    test('trims input and keeps known choices', () => {
+        expect(normalizeContact(MOTHER)).toEqual({ ...MOTHER, name: 'Grace Hopper' });
+    });
+
+    test('falls back for unknown choices', () => {
+        expect(normalizeContact({ name: 'Jon', relationship: 'nemesis', preferredChannel: 'pigeon', language: 'xx' }))
+            .toEqual({ name: 'Jon', email: '', phone: '', relationship: 'other', channels: ['email'], language: 'en' });
+    });
+});
+
+describe('getContactChannels', () => {
+    test('keeps the chosen order, known channels only and each once', () => {
+        expect(getContactChannels({ channels: ['whatsapp', 'pigeon', 'push', 'whatsapp'] })).toEqual(['whatsapp', 'push']);
+        expect(getContactChannels({ channels: [] })).toEqual([]);
+    });
+
+    test('reads the single channel of older contacts', () => {
+        expect(getContactChannels({ preferredChannel: 'sms' })).toEqual(['sms']);
+        expect(getContactChannels({})).toEqual(['email']);
+    });
+});
+
+describe('validateContact', () => {
+    test('needs a name and a real email address', () => {
+        expect(validateContact(normalizeContact({ email: 'a@b.co' }))).toBe('Enter a name');
+        expect(validateContact(normalizeContact({ name: 'Jon', email: 'jon@home' }))).toBe('Enter a valid email address');
+        expect(validateContact(normalizeContact({ name: 'Jon', email: 'jon@example.test' }))).toBeNull();
+    });
+
+    test('needs a phone number for phone channels', () => {
+        const contact = normalizeContact({ ...MOTHER, phone: '' });
+
+        expect(validateContact(contact)).toBe('A phone number is needed for SMS');
+        expect(validateContact({ ...contact, channels: ['push', 'email'] })).toBeNull();
+        expect(validateContact({ ...contact, channels: ['email', 'whatsapp'] })).toBe('A phone number is needed for WhatsApp');
+    });
+
+    test('needs at least one channel', () => {
+        expect(validateContact({ ...normalizeContact(MOTHER), channels: [] })).toBe('Choose at least one way to reach them');
+    });
+});
+
+describe('toTripContact', () => {
+    test('copies the contact and links it back to the book', () => {
+        expect(toTripContact(normalizeContact(MOTHER))).toEqual({
+            contactId: 'contact1',
+            name: 'Grace Hopper',
+            email: 'grace@example.test',
+            phone: '+1 555 0100',
+            relationship: 'parent',
+            channels: ['sms', 'email'],
+            language: 'pt'
+        });
+    });
+
+    test('describes the contact in one line', () => {
+        expect(describeContact(MOTHER)).toBe('Parent · SMS → Email · Português');
+        expect(describeContact({ name: 'Old trip contact' })).toBe('Other · Email · English');
+    });
+});
+
+describe('invitation status', () => {
+    test('counts contacts that never answered as pending', () => {
+        expect(getContactStatus(MOTHER)).toBe('pending');
+        expect(getContactStatus({ ...MOTHER, status: 'accepted' })).toBe('accepted');
+        expect(getContactStatus({ ...MOTHER, status: 'lost' })).toBe('pending');
+    });
+
+    test('stops alerting contacts that declined or bounced', () => {
+        expect(canAlertContact(MOTHER)).toBe(true);
+        expect(canAlertContact({ ...MOTHER, status: 'accepted' })).toBe(true);
+        expect(canAlertContact({ ...MOTHER, status: 'declined' })).toBe(false);
+        expect(canAlertContact({ ...MOTHER, status: 'bounced' })).toBe(false);
+    });
+
+    test('shows the status as a badge', () => {
+        expect(renderContactStatus({ ...MOTHER, status: 'bounced' })).toContain('Address bounced');
+        expect(renderContactStatus(MOTHER)).toContain('Invitation sent');
+    });
+
+    test('trip copies keep the status the book knows', () => {
+        expect(toTripContact({ ...MOTHER, status: 'accepted' }).status).toBe('accepted');
+    });
+});
+
+describe('renderDeliveryReport', () => {
+    test('shows the outcome on every channel', () => {
+        document.body.innerHTML = renderDeliveryReport([
+            {
+                contactId: 'contact1',
+                name: 'Grace <Mum>',
+                delivered: true,
+                attempts: [
+                    { channel: 'push', status: 'failed', error: 'Not using the SoloSafe app' },
+                    { channel: 'sms', status: 'delivered' },
+                    { channel: 'email', status: 'skipped' }
+                ]
+            },
+            { contactId: 'contact2', name: 'Jon', delivered: false, attempts: [{ channel: 'email', status: 'failed' }] }
+        ]);
+
+        const badges = [...document.querySelectorAll('.badge')];
+        expect(badges.map(badge => badge.textContent)).toEqual([
+            'Push (SoloSafe app): Failed', 'SMS: Delivered', 'Email: Not needed', 'Email: Failed'
+        ]);
+        expect(badges[0].title).toBe('Not using the SoloSafe app');
+        expect(document.body.innerHTML).toContain('Grace &lt;Mum&gt;');
+        expect(document.body.textContent).toContain('Could not be reached on any channel');
+    });
+
+    test('escapes channels it does not know', () => {
+        document.body.innerHTML = renderDeliveryReport([{
+            contactId: 'contact1',
+            name: 'Grace',
+            delivered: true,
+            attempts: [{ channel: '<img src=x onerror=alert(1)>', status: 'delivered' }]
+        }]);
+
+        expect(document.querySelector('img')).toBeNull();
+        expect(document.querySelector('.badge').textContent).toBe('<img src=x onerror=alert(1)>: Delivered');
+    });
+});
+
+describe('loadContactBook', () => {
+    beforeEach(() => signIn());
+
+    test('caches the book for offline use', async () => {
+        fetch.mockResolvedValue(jsonResponse({ contacts: [MOTHER] }));
+
+        expect(await loadContactBook()).toEqual([MOTHER]);
+        expect(fetch.mock.calls[0][0]).toMatch(/\/contacts$/);
+        expect(getCachedContacts()).toEqual([MOTHER]);
+    });
+
+    test('uses the cache when offline', async () => {
+        localStorage.setItem('solosafe_contacts', JSON.stringify([MOTHER]));
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        expect(await loadContactBook()).toEqual([MOTHER]);
+    });
+});
@@ -0,0 +1,194 @@
+const { loadPage, jsonResponse, stubLeaflet, toastMessages, signIn } = require('./helpers/browser');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const TRIP = {
+    _id: 'trip1',
+    userId: 'u1',
+    destination: 'Porto',
+    startDate: new Date(NOW - DAY).toISOString(),
+    endDate: new Date(NOW + 2 * DAY).toISOString(),
+    accommodation: 'Not specified',
+    timeZone: 'Europe/Lisbon',
+    legs: [{
+        city: 'Porto',
+        startDate: '2026-02-28T00:00:00.000Z',
+        endDate: '2026-03-03T23:59:59.999Z',
+        latitude: 41.15,
+        longitude: -8.61
+    }],
+    checkInFrequency: 30,
+    checkInSchedule: { mode: 'interval', interval: 30, times: [], quietHours: null },
+    gracePeriod: 15,
+    escalationPolicy: [
+        { after: 0, action: 'remind' },
+        { after: 5, action: 'notify_first' },
+        { after: 15, action: 'sos' }
+    ],
+    nextCheckIn: new Date(NOW + 20 * MINUTE).toISOString(),
+    status: 'Active'
+};
+
+let saveResponse;
+
+function editTrip(trip = {}) {
+    const stored = { ...TRIP, ...trip };
+
+    fetch.mockImplementation((url, options = {}) => {
+        if (url.endsWith('/contacts')) return Promise.resolve(jsonResponse({ contacts: [] }));
+        if (url.endsWith('/trips')) return Promise.resolve(jsonResponse([stored]));
+        if (url.endsWith('/trips/trip1') && options.method === 'PUT') {
+            return Promise.resolve(saveResponse({ ...stored, ...JSON.parse(options.body) }));
+        }
+        return Promise.resolve(jsonResponse([]));
+    });
+
+    loadPage('create-trip.html', '/create-trip.html?id=trip1');
+    return jest.advanceTimersByTimeAsync(0);
+}
+
+function ladderInputs() {
+    return [...document.querySelectorAll('#escalationSteps .escalation-step')].map(step => ({
+        after: step.querySelector('input'),
+        action: step.querySelector('select')
+    }));
+}
+
+function setLadderStep(index, after, action) {
+    const step = ladderInputs()[index];
+    step.after.value = after;
+    step.after.dispatchEvent(new Event('change'));
+    step.action.value = action;
+    step.action.dispatchEvent(new Event('change'));
+}
+
+async function submitForm() {
+    document.getElementById('createTripForm').dispatchEvent(new Event('submit', { cancelable: true }));
+    await jest.advanceTimersByTimeAsync(0);
+}
+
+function savedChanges() {
+    const calls = fetch.mock.calls.filter(([url, options]) => url.endsWith('/trips/trip1') && options.method === 'PUT');
+    return calls.map(([, options]) => JSON.parse(options.body));
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    stubLeaflet();
+    signIn();
+    saveResponse = trip => jsonResponse({ trip });
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('editing a trip', () => {
+    test('fills in the trip, escalation ladder included', async () => {
+        await editTrip();
+
+        expect(document.getElementById('pageTitle').textContent).toBe('Edit Trip');
+        expect(document.getElementById('checkInFrequency').value).toBe('30');
+        expect(ladderInputs().map(({ after, action }) => [after.value, action.value])).toEqual([
+            ['0', 'remind'],
+            ['5', 'notify_first'],
+            ['15', 'sos']
+        ]);
+        expect(document.getElementById('escalationSteps').closest('.mb-4').style.display).not.toBe('none');
+        expect(document.getElementById('contactPicker').closest('.mb-4').style.display).toBe('none');
+    });
+
+    test('saves a new ladder and grace period without moving the next check-in', async () => {
+        await editTrip();
+
+        setLadderStep(2, 30, 'sos');
+        await submitForm();
+
+        const [changes] = savedChanges();
+        expect(changes.gracePeriod).toBe(30);
+        expect(changes.escalationPolicy).toEqual([
+            { after: 0, action: 'remind' },
+            { after: 5, action: 'notify_first' },
+            { after: 30, action: 'sos' }
+        ]);
+        expect(changes).not.toHaveProperty('nextCheckIn');
+        expect(toastMessages()).toContain('Trip updated ✅');
+    });
+
+    test('works out the next check-in again when the schedule changes', async () => {
+        await editTrip();
+
+        const frequency = document.getElementById('checkInFrequency');
+        frequency.value = '45';
+        frequency.dispatchEvent(new Event('input'));
+        await submitForm();
+
+        const [changes] = savedChanges();
+        expect(changes.checkInFrequency).toBe(45);
+        expect(changes.nextCheckIn).toBe(new Date(NOW + 45 * MINUTE).toISOString());
+    });
+
+    test('keeps the steps that already ran for an overdue check-in', async () => {
+        const nextCheckIn = new Date(NOW - 10 * MINUTE).toISOString();
+        await editTrip({ nextCheckIn, escalationProgress: { nextCheckIn, completed: 2 } });
+
+        setLadderStep(1, 2, 'remind');
+        setLadderStep(2, 4, 'remind');
+        addEscalationStep();
+        setLadderStep(3, 20, 'sos');
+        await submitForm();
+
+        // The old ladder had got to T+5, which covers three new steps
+        const [changes] = savedChanges();
+        expect(changes.escalationProgress).toEqual({ nextCheckIn, completed: 3 });
+        expect(changes).not.toHaveProperty('nextCheckIn');
+    });
+
+    test('refuses a ladder that sends the SOS straight away', async () => {
+        await editTrip();
+
+        setLadderStep(0, 0, 'sos');
+        await submitForm();
+
+        expect(toastMessages()).toContain('The full SOS must come at least 1 minute after a missed check-in');
+        expect(savedChanges()).toHaveLength(0);
+    });
+
+    test('refuses set times that are not valid', async () => {
+        await editTrip();
+
+        const timesMode = document.getElementById('scheduleModeTimes');
+        timesMode.checked = true;
+        timesMode.dispatchEvent(new Event('change'));
+        document.querySelectorAll('#scheduleTimes input').forEach(input => {
+            input.value = '';
+            input.dispatchEvent(new Event('change'));
+        });
+        await submitForm();
+
+        expect(toastMessages()).toContain('Add at least one check-in time');
+        expect(savedChanges()).toHaveLength(0);
+    });
+
+    test('shows why the backend refused the changes', async () => {
+        saveResponse = () => jsonResponse({ message: 'This trip has already ended' }, 409);
+        await editTrip();
+
+        await submitForm();
+
+        const submitBtn = document.getElementById('submitBtn');
+        expect(toastMessages()).toContain('This trip has already ended');
+        expect(submitBtn.disabled).toBe(false);
+        expect(submitBtn.textContent).toContain('Save Changes');
+    });
+
+    test('sends the traveller back when the trip has ended', async () => {
+        await editTrip({ status: 'Completed' });
+
+        expect(toastMessages()).toContain('This trip has ended and can no longer be changed');
+        expect(savedChanges()).toHaveLength(0);
+    });
+});
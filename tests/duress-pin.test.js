@@ -0,0 +1,51 @@
+const { SHARED_SCRIPTS, loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS));
+
+describe('duress PIN', () => {
+    test('is off until set', () => {
+        expect(hasDuressPin()).toBe(false);
+    });
+
+    test('recognises the PIN it was given', async () => {
+        await setDuressPin('4821');
+
+        expect(hasDuressPin()).toBe(true);
+        expect(await isDuressPin('4821')).toBe(true);
+        expect(await isDuressPin('1284')).toBe(false);
+        expect(await isDuressPin('')).toBe(false);
+    });
+
+    test('never stores the PIN itself', async () => {
+        await setDuressPin('4821');
+
+        const stored = localStorage.getItem('solosafe_duress_pin');
+        expect(stored).not.toContain('4821');
+        expect(JSON.parse(stored)).toEqual({
+            salt: expect.stringMatching(/^[0-9a-f]{32}$/),
+            hash: expect.stringMatching(/^[0-9a-f]{64}$/)
+        });
+    });
+
+    test('salts every PIN differently', async () => {
+        await setDuressPin('4821');
+        const first = JSON.parse(localStorage.getItem('solosafe_duress_pin'));
+        await setDuressPin('4821');
+        const second = JSON.parse(localStorage.getItem('solosafe_duress_pin'));
+
+        expect(second.hash).not.toBe(first.hash);
+    });
+
+    test.each(['123', '123456789', 'abcd', '12 34'])('rejects %p', async pin => {
+        await expect(setDuressPin(pin)).rejects.toThrow('Duress PIN must be 4-8 digits');
+        expect(hasDuressPin()).toBe(false);
+    });
+
+    test('can be removed', async () => {
+        await setDuressPin('4821');
+        clearDuressPin();
+
+        expect(hasDuressPin()).toBe(false);
+        expect(await isDuressPin('4821')).toBe(false);
+    });
+});
@@ -0,0 +1,153 @@
+const { loadScripts, jsonResponse } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('trip-legs.js', 'trip-map.js', 'geofences.js'));
+
+// A hostel in the Alfama, 80 m across
+const HOSTEL = {
+    id: 'zone_hostel',
+    name: 'Casa do Largo',
+    type: 'hostel',
+    address: '',
+    latitude: 38.7114,
+    longitude: -9.1297,
+    radius: 80,
+    autoCheckIn: true,
+    awayFrom: '',
+    awayUntil: '',
+    alertContacts: false
+};
+
+const AT_HOSTEL = { latitude: 38.7116, longitude: -9.1299, accuracy: 10 };
+const DOWNTOWN = { latitude: 38.7075, longitude: -9.1364, accuracy: 10 };
+
+function at(hours, minutes = 0) {
+    return new Date(2026, 2, 1, hours, minutes);
+}
+
+describe('normalizeGeofence', () => {
+    test('fills in defaults', () => {
+        const fence = normalizeGeofence({ name: ' Hotel ', type: 'castle', radius: '' });
+
+        expect(fence).toMatchObject({
+            name: 'Hotel',
+            type: 'other',
+            latitude: null,
+            longitude: null,
+            radius: 100,
+            autoCheckIn: false,
+            alertContacts: false
+        });
+        expect(fence.id).toMatch(/^zone_/);
+    });
+
+    test('keeps the id of a saved zone', () => {
+        expect(normalizeGeofence({ id: 'zone_1' }).id).toBe('zone_1');
+    });
+});
+
+describe('validateGeofences', () => {
+    const valid = { ...HOSTEL, latitude: null, longitude: null, address: 'Rua Augusta 1, Lisbon' };
+
+    test('accepts no zones at all', () => {
+        expect(validateGeofences([])).toBeNull();
+    });
+
+    test('accepts a zone with an address to look up', () => {
+        expect(validateGeofences([valid])).toBeNull();
+    });
+
+    test.each([
+        [{ name: '' }, 'Zone 1: enter a name'],
+        [{ address: '' }, 'Zone 1: enter an address or use your location'],
+        [{ radius: 10 }, 'Zone 1: radius must be between 25 and 2000 m'],
+        [{ awayFrom: '08:00' }, 'Zone 1: set both ends of the time window']
+    ])('rejects %o', (change, message) => {
+        expect(validateGeofences([{ ...valid, ...change }])).toBe(message);
+    });
+});
+
+describe('isExpectedExit', () => {
+    test('allows leaving at any time without a window', () => {
+        expect(isExpectedExit(HOSTEL, at(3))).toBe(true);
+    });
+
+    test('checks the time of day against the window', () => {
+        const fence = { ...HOSTEL, awayFrom: '08:00', awayUntil: '22:00' };
+
+        expect(isExpectedExit(fence, at(8))).toBe(true);
+        expect(isExpectedExit(fence, at(21, 59))).toBe(true);
+        expect(isExpectedExit(fence, at(22))).toBe(false);
+        expect(isExpectedExit(fence, at(2))).toBe(false);
+    });
+
+    test('handles windows that run past midnight', () => {
+        const nightShift = { ...HOSTEL, awayFrom: '22:00', awayUntil: '06:00' };
+
+        expect(isExpectedExit(nightShift, at(23))).toBe(true);
+        expect(isExpectedExit(nightShift, at(5))).toBe(true);
+        expect(isExpectedExit(nightShift, at(12))).toBe(false);
+    });
+
+    test('describes the window', () => {
+        expect(describeGeofenceWindow({ awayFrom: '08:00', awayUntil: '22:00' })).toBe('08:00 - 22:00');
+        expect(describeGeofenceWindow(HOSTEL)).toBe('any time');
+    });
+});
+
+describe('updateGeofenceState', () => {
+    test('only sets a baseline on the first fix', () => {
+        const result = updateGeofenceState([HOSTEL], {}, AT_HOSTEL);
+
+        expect(result.inside).toEqual({ zone_hostel: true });
+        expect(result.entered).toEqual([]);
+        expect(result.exited).toEqual([]);
+    });
+
+    test('reports arrivals and departures', () => {
+        const arrived = updateGeofenceState([HOSTEL], { zone_hostel: false }, AT_HOSTEL);
+        expect(arrived.entered).toEqual([HOSTEL]);
+
+        const left = updateGeofenceState([HOSTEL], arrived.inside, DOWNTOWN);
+        expect(left.exited).toEqual([HOSTEL]);
+        expect(left.inside).toEqual({ zone_hostel: false });
+    });
+
+    test('does not repeat an arrival while staying inside', () => {
+        expect(updateGeofenceState([HOSTEL], { zone_hostel: true }, AT_HOSTEL).entered).toEqual([]);
+    });
+
+    test('ignores fixes too rough to tell', () => {
+        const result = updateGeofenceState([HOSTEL], { zone_hostel: false }, { ...AT_HOSTEL, accuracy: 500 });
+
+        expect(result.entered).toEqual([]);
+        expect(result.inside).toEqual({ zone_hostel: false });
+    });
+
+    test('skips zones that could not be located', () => {
+        const lost = normalizeGeofence({ id: 'zone_lost', name: 'Somewhere' });
+
+        expect(updateGeofenceState([lost], {}, AT_HOSTEL).inside).toEqual({});
+    });
+});
+
+describe('geocodeGeofences', () => {
+    test('looks up zones that only have an address', async () => {
+        fetch.mockResolvedValue(jsonResponse([{ lat: '38.71', lon: '-9.13' }]));
+        const fromAddress = normalizeGeofence({ name: 'Hotel', address: 'Rua Augusta 1, Lisbon' });
+
+        const [located, kept] = await geocodeGeofences([fromAddress, HOSTEL]);
+
+        expect(located).toMatchObject({ latitude: 38.71, longitude: -9.13 });
+        expect(kept).toBe(HOSTEL);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves a zone unlocated when the lookup fails', async () => {
+        fetch.mockRejectedValue(new Error('offline'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const [fence] = await geocodeGeofences([normalizeGeofence({ name: 'Hotel', address: 'Nowhere' })]);
+
+        expect(fence.latitude).toBeNull();
+    });
+});
@@ -0,0 +1,38 @@
+const { SHARED_SCRIPTS, loadScripts, mockPosition } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS));
+
+describe('getCurrentLocation', () => {
+    test('resolves with lat/lng', async () => {
+        mockPosition({ latitude: 40.4, longitude: -3.7 });
+
+        const location = await getCurrentLocation();
+
+        expect(location).toMatchObject({ lat: 40.4, lng: -3.7 });
+        expect(typeof location.timestamp).toBe('number');
+    });
+
+    test('asks for a fresh, high accuracy fix', async () => {
+        mockPosition({ latitude: 0, longitude: 0 });
+
+        await getCurrentLocation();
+
+        expect(navigator.geolocation.getCurrentPosition.mock.calls[0][2]).toMatchObject({
+            enableHighAccuracy: true,
+            maximumAge: 0
+        });
+    });
+
+    test('rejects with the browser error', async () => {
+        const denied = { code: 1, message: 'User denied Geolocation' };
+        mockPosition(null, denied);
+
+        await expect(getCurrentLocation()).rejects.toBe(denied);
+    });
+
+    test('rejects when geolocation is not supported', async () => {
+        Object.defineProperty(navigator, 'geolocation', { configurable: true, value: undefined });
+
+        await expect(getCurrentLocation()).rejects.toThrow('Geolocation not supported');
+    });
+});
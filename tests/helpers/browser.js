@@ -0,0 +1,179 @@
+// Helpers to run SoloSafe's classic <script> files inside jsdom
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// What every page loads before its own inline script
+const SHARED_SCRIPTS = ['config.js', 'clock.js', 'api.js', 'script.js'];
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Run source as a classic <script>, so top-level const/let are shared
+ * between scripts exactly like in the browser. Errors are rethrown.
+ */
+function runScript(source, name) {
+    let error = null;
+    const onError = event => {
+        error = event.error;
+        event.preventDefault();
+    };
+
+    window.addEventListener('error', onError);
+    const script = document.createElement('script');
+    script.textContent = `${source}\n//# sourceURL=${name}`;
+    document.head.appendChild(script);
+    script.remove();
+    window.removeEventListener('error', onError);
+
+    if (error) throw error;
+}
+
+const loadedScripts = new Set();
+
+/**
+ * Load repo scripts in order, like <script src> would
+ */
+function loadScripts(...files) {
+    files.forEach(file => {
+        runScript(readSource(file), file);
+        loadedScripts.add(file);
+    });
+}
+
+/**
+ * Render an HTML page's body and run its scripts in order
+ * Local script files run once per test file (a second run would
+ * redeclare their consts); the page's inline script runs on every
+ * call, scoped to its own eval so each call starts a fresh page.
+ * CDN scripts are skipped; stub what they provide before calling this
+ */
+function loadPage(file, url = `/${file}`) {
+    window.history.replaceState({}, '', url);
+
+    const html = readSource(file).replace(/<!--[\s\S]*?-->/g, '');
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const scripts = [...doc.querySelectorAll('script')];
+    scripts.forEach(script => script.remove());
+
+    document.body.innerHTML = doc.body.innerHTML;
+
+    scripts.forEach(script => {
+        const src = script.getAttribute('src');
+        if (!src) {
+            window.eval(`${script.textContent}\n//# sourceURL=${file}`);
+        } else if (!/^https?:/.test(src) && !loadedScripts.has(src)) {
+            loadScripts(src);
+        }
+    });
+}
+
+/**
+ * Minimal fetch Response
+ */
+function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body))
+    };
+}
+
+/**
+ * Make navigator.geolocation report a fixed position (or an error)
+ */
+function mockPosition(coords, error = null) {
+    navigator.geolocation.getCurrentPosition.mockImplementation((onSuccess, onError) => {
+        if (error) {
+            onError(error);
+        } else {
+            onSuccess({ coords: { accuracy: 10, ...coords } });
+        }
+    });
+}
+
+/**
+ * Texts of all toasts shown so far
+ */
+function toastMessages() {
+    return Toastify.mock.calls.map(([options]) => options.text);
+}
+
+/**
+ * Stand-in for Leaflet's global L that records what was drawn
+ * Every layer lands in `L.drawn` as { type, latLngs, options }
+ */
+function stubLeaflet() {
+    const drawn = [];
+
+    const layer = (type, latLngs, options = {}) => {
+        const entry = { type, latLngs, options, popup: null };
+        const api = {
+            addTo(group) {
+                if (group && group.layers) group.layers.push(entry);
+                drawn.push(entry);
+                return api;
+            },
+            bindPopup(html) {
+                entry.popup = html;
+                return api;
+            },
+            openPopup: () => api
+        };
+        return api;
+    };
+
+    global.L = {
+        drawn,
+        map: jest.fn(() => {
+            const map = {
+                setView: jest.fn(() => map),
+                fitBounds: jest.fn(() => map),
+                on: jest.fn(() => map)
+            };
+            return map;
+        }),
+        tileLayer: () => layer('tiles'),
+        layerGroup: () => {
+            const group = {
+                layers: [],
+                addTo: () => group,
+                clearLayers() {
+                    group.layers.forEach(entry => drawn.splice(drawn.indexOf(entry), 1));
+                    group.layers = [];
+                }
+            };
+            return group;
+        },
+        marker: (latLng, options) => layer('marker', latLng, options),
+        circle: (latLng, options) => layer('circle', latLng, options),
+        circleMarker: (latLng, options) => layer('circleMarker', latLng, options),
+        polyline: (latLngs, options) => layer('polyline', latLngs, options),
+        divIcon: options => options
+    };
+
+    return global.L;
+}
+
+function signIn(token = 'test-token') {
+    localStorage.setItem('solosafe_user', JSON.stringify({
+        token,
+        user: { name: 'Ada Traveller', email: 'ada@example.com' }
+    }));
+}
+
+module.exports = {
+    SHARED_SCRIPTS,
+    loadScripts,
+    loadPage,
+    jsonResponse,
+    mockPosition,
+    toastMessages,
+    stubLeaflet,
+    signIn
+};
@@ -0,0 +1,179 @@
+// In-memory stand-in for the parts of IndexedDB SoloSafe uses:
+// object stores with keyPath/autoIncrement or explicit keys, indexes
+// for getAll, and transactions that complete once their requests have.
+// Requests settle on microtasks, so fake timers don't hold them up.
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function createRequest(transaction, run) {
+    const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+    transaction.pending++;
+
+    Promise.resolve().then(() => {
+        try {
+            request.result = run();
+            if (request.onsuccess) request.onsuccess({ target: request });
+        } catch (err) {
+            request.error = err;
+            if (request.onerror) request.onerror({ target: request });
+            transaction.abort(err);
+        }
+        transaction.pending--;
+        transaction.settle();
+    });
+
+    return request;
+}
+
+class FakeObjectStore {
+    constructor(transaction, data) {
+        this.transaction = transaction;
+        this.data = data;
+    }
+
+    keyOf(value, key) {
+        if (!this.data.keyPath) return key;
+        if (value[this.data.keyPath] === undefined && this.data.autoIncrement) {
+            value[this.data.keyPath] = this.data.nextKey++;
+        }
+        return value[this.data.keyPath];
+    }
+
+    write(value, key, overwrite) {
+        return createRequest(this.transaction, () => {
+            if (this.transaction.mode !== 'readwrite') throw new Error('ReadOnlyError');
+            const stored = clone(value);
+            const storedKey = this.keyOf(stored, key);
+            if (!overwrite && this.data.records.has(storedKey)) throw new Error('ConstraintError');
+            this.data.records.set(storedKey, stored);
+            return storedKey;
+        });
+    }
+
+    add(value, key) {
+        return this.write(value, key, false);
+    }
+
+    put(value, key) {
+        return this.write(value, key, true);
+    }
+
+    get(key) {
+        return createRequest(this.transaction, () => clone(this.data.records.get(key)));
+    }
+
+    getAll() {
+        return createRequest(this.transaction, () => this.values());
+    }
+
+    delete(key) {
+        return createRequest(this.transaction, () => {
+            if (this.transaction.mode !== 'readwrite') throw new Error('ReadOnlyError');
+            this.data.records.delete(key);
+        });
+    }
+
+    index(name) {
+        const keyPath = this.data.indexes.get(name);
+        return {
+            getAll: value => createRequest(this.transaction, () => this.values().filter(record => record[keyPath] === value))
+        };
+    }
+
+    values() {
+        return [...this.data.records.entries()]
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([, value]) => clone(value));
+    }
+}
+
+class FakeTransaction {
+    constructor(database, mode) {
+        this.database = database;
+        this.mode = mode;
+        this.pending = 0;
+        this.done = false;
+        this.error = null;
+        this.oncomplete = null;
+        this.onerror = null;
+        this.onabort = null;
+        // A transaction nobody uses still completes
+        this.settle();
+    }
+
+    objectStore(name) {
+        return new FakeObjectStore(this, this.database.stores.get(name));
+    }
+
+    settle() {
+        Promise.resolve().then(() => {
+            if (this.done || this.pending) return;
+            this.done = true;
+            if (this.oncomplete) this.oncomplete();
+        });
+    }
+
+    abort(err) {
+        if (this.done) return;
+        this.done = true;
+        this.error = err;
+        if (this.onerror) this.onerror();
+        if (this.onabort) this.onabort();
+    }
+}
+
+/**
+ * A fresh fake, install with `global.indexedDB = fake.indexedDB`
+ * clear() empties every store but keeps open connections working,
+ * as scripts hold on to theirs between tests
+ */
+function createFakeIndexedDB() {
+    const databases = new Map();
+
+    function open(name, version = 1) {
+        const request = { result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+
+        Promise.resolve().then(() => {
+            let data = databases.get(name);
+            const upgrade = !data || data.version < version;
+            if (!data) {
+                data = { version, stores: new Map() };
+                databases.set(name, data);
+            }
+            data.version = Math.max(data.version, version);
+
+            request.result = {
+                objectStoreNames: { contains: storeName => data.stores.has(storeName) },
+                createObjectStore(storeName, { keyPath = null, autoIncrement = false } = {}) {
+                    const store = { keyPath, autoIncrement, nextKey: 1, records: new Map(), indexes: new Map() };
+                    data.stores.set(storeName, store);
+                    return { createIndex: (indexName, indexKeyPath) => store.indexes.set(indexName, indexKeyPath) };
+                },
+                transaction: (storeName, mode = 'readonly') => new FakeTransaction(data, mode)
+            };
+
+            if (upgrade && request.onupgradeneeded) request.onupgradeneeded({ target: request });
+            if (request.onsuccess) request.onsuccess({ target: request });
+        });
+
+        return request;
+    }
+
+    return {
+        indexedDB: { open },
+        clear() {
+            databases.forEach(data => data.stores.forEach(store => {
+                store.records.clear();
+                store.nextKey = 1;
+            }));
+        },
+        // Raw records of a store, for assertions
+        records(name, storeName) {
+            const data = databases.get(name);
+            const store = data && data.stores.get(storeName);
+            return store ? [...store.records.values()].map(clone) : [];
+        }
+    };
+}
+
+module.exports = { createFakeIndexedDB };
@@ -0,0 +1,904 @@
+const { loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('config.js', 'clock.js', 'mock-backend.js', 'api.js', 'time-zones.js', 'checkin-schedule.js', 'trip-status.js'));
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// Stream a trip through a fresh location share link
+function streamFor(tripId) {
+    const db = loadMockDb();
+    const share = createMockShare(db, { _id: tripId }, { scope: 'location', label: '', expiresInHours: 1 });
+    saveMockDb(db);
+    const stream = new MockEventSource(`${getApiBaseUrl()}/shared/${share.token}/stream`);
+    const received = [];
+    ['status', 'location'].forEach(type => {
+        stream.addEventListener(type, event => received.push({ type, data: JSON.parse(event.data) }));
+    });
+    return { stream, received };
+}
+
+describe('mock mode', () => {
+    afterEach(() => {
+        SOLOSAFE_CONFIG.mockBackend = false;
+    });
+
+    test('stays off in builds that do not allow it', () => {
+        localStorage.setItem('solosafe_mock', 'true');
+        localStorage.setItem('solosafe_mock_clock_offset', '600000');
+
+        expect(isMockBackend()).toBe(false);
+        expect(getClockOffset()).toBe(0);
+    });
+
+    test('switches on in dev builds and clears the session', () => {
+        SOLOSAFE_CONFIG.mockBackend = true;
+        localStorage.setItem('solosafe_token', 'real-token');
+
+        setMockBackend(true);
+        advanceClock(60000);
+
+        expect(isMockBackend()).toBe(true);
+        expect(getClockOffset()).toBe(60000);
+        expect(localStorage.getItem('solosafe_token')).toBeNull();
+    });
+
+    test('takes the real trip off the service worker both ways', () => {
+        const controller = { postMessage: jest.fn() };
+        Object.defineProperty(navigator, 'serviceWorker', { configurable: true, value: { controller } });
+        SOLOSAFE_CONFIG.mockBackend = true;
+
+        try {
+            setMockBackend(true);
+            setMockBackend(false);
+        } finally {
+            delete navigator.serviceWorker;
+        }
+
+        expect(controller.postMessage.mock.calls).toEqual([[{ type: 'CLEAR_TRIP' }], [{ type: 'CLEAR_TRIP' }]]);
+    });
+});
+
+describe('mock live events', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        resetMockBackend();
+    });
+
+    test('streams events of the watched trip', () => {
+        const { stream, received } = streamFor('trip_lisbon');
+        const onOpen = jest.fn();
+        stream.onopen = onOpen;
+        jest.advanceTimersByTime(MOCK_LATENCY);
+
+        dispatchMockEvent({ tripId: 'trip_lisbon', type: 'location', data: { point: { latitude: 1, longitude: 2 } } });
+        dispatchMockEvent({ tripId: 'trip_kyoto', type: 'status', data: { trip: {} } });
+
+        expect(onOpen).toHaveBeenCalled();
+        expect(received).toEqual([{ type: 'location', data: { point: { latitude: 1, longitude: 2 } } }]);
+    });
+
+    test('delivers events written by another tab', () => {
+        const { received } = streamFor('trip_lisbon');
+        jest.advanceTimersByTime(MOCK_LATENCY);
+
+        window.dispatchEvent(new StorageEvent('storage', {
+            key: 'solosafe_mock_event',
+            newValue: JSON.stringify({ tripId: 'trip_lisbon', type: 'status', data: { trip: { status: 'Completed' } } })
+        }));
+
+        expect(received).toEqual([{ type: 'status', data: { trip: { status: 'Completed' } } }]);
+    });
+
+    test('stops delivering once closed', () => {
+        const { stream, received } = streamFor('trip_lisbon');
+        jest.advanceTimersByTime(MOCK_LATENCY);
+        stream.close();
+
+        dispatchMockEvent({ tripId: 'trip_lisbon', type: 'status', data: {} });
+
+        expect(received).toEqual([]);
+    });
+
+    test('refuses streams for unknown trips', () => {
+        const { stream } = streamFor('trip_missing');
+        const onError = jest.fn();
+        stream.onerror = onError;
+        jest.advanceTimersByTime(MOCK_LATENCY);
+
+        expect(onError).toHaveBeenCalled();
+        expect(stream.readyState).toBe(2);
+    });
+
+    test('has no stream by trip id alone', () => {
+        const stream = new MockEventSource(`${getApiBaseUrl()}/trips/public/trip_lisbon/stream`);
+        const onError = jest.fn();
+        stream.onerror = onError;
+        jest.advanceTimersByTime(MOCK_LATENCY);
+
+        expect(onError).toHaveBeenCalled();
+    });
+});
+
+describe('mock share links', () => {
+    const HOUR = 60 * 60 * 1000;
+    let db;
+
+    // Run a route handler directly against an in-memory database
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: Date.parse('2026-03-01T12:00:00Z') });
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('creates expiring links and lists the active ones', () => {
+        const { share } = call('POST', '/trips/trip_lisbon/shares', { scope: 'status', expiresInHours: 2 });
+
+        expect(share.token).toMatch(/^[\w-]+\.\w+$/);
+        expect(share.expiresAt).toBe('2026-03-01T14:00:00.000Z');
+        expect(call('GET', '/trips/trip_lisbon/shares').shares).toHaveLength(1);
+
+        jest.setSystemTime(Date.parse('2026-03-01T14:00:01Z'));
+        expect(call('GET', '/trips/trip_lisbon/shares').shares).toHaveLength(0);
+    });
+
+    test('rejects unknown scopes and overly long links', () => {
+        expect(() => call('POST', '/trips/trip_lisbon/shares', { scope: 'everything' })).toThrow('Unknown share scope');
+        expect(() => call('POST', '/trips/trip_lisbon/shares', { expiresInHours: 31 * 24 })).toThrow('30 days');
+    });
+
+    test('trims the trip to the link scope', () => {
+        const status = call('POST', '/trips/trip_lisbon/shares', { scope: 'status' }).share;
+        const location = call('POST', '/trips/trip_lisbon/shares', { scope: 'location' }).share;
+
+        const statusView = call('GET', `/shared/${status.token}`, {}, null);
+        expect(statusView.trip.destination).toBe('Lisbon → Porto → Madrid');
+        expect(statusView.trip.legs.map(leg => leg.city)).toEqual(['Lisbon, Portugal', 'Porto, Portugal', 'Madrid, Spain']);
+        expect(statusView.trip.legs[0].accommodation).toBeUndefined();
+        expect(statusView.trip.legs[0].bookingRef).toBeUndefined();
+        expect(statusView.trip.lastKnownLocation).toBeUndefined();
+        expect(statusView.trip.locationHistory).toBeUndefined();
+        expect(statusView.trip.checkIns.length).toBeGreaterThan(0);
+        statusView.trip.checkIns.forEach(checkIn => {
+            expect(checkIn.timestamp).toBeDefined();
+            expect(checkIn).not.toHaveProperty('latitude');
+            expect(checkIn).not.toHaveProperty('longitude');
+            expect(checkIn).not.toHaveProperty('accuracy');
+        });
+        expect(statusView.share.scope).toBe('status');
+        statusView.trip.emergencyContacts.forEach(contact => {
+            expect(Object.keys(contact).sort()).toEqual(['name', 'relationship']);
+        });
+
+        const locationView = call('GET', `/shared/${location.token}`, {}, null);
+        expect(locationView.trip.locationHistory).toHaveLength(4);
+        expect(locationView.trip.checkIns[0].latitude).toEqual(expect.any(Number));
+        expect(Object.keys(locationView.trip.emergencyContacts[0]).sort()).toEqual(['email', 'name', 'phone', 'relationship']);
+    });
+
+    test('refuses revoked and expired links', () => {
+        const { share } = call('POST', '/trips/trip_lisbon/shares', { expiresInHours: 1 });
+        const other = call('POST', '/trips/trip_lisbon/shares', { expiresInHours: 1 }).share;
+
+        call('DELETE', `/trips/trip_lisbon/shares/${share._id}`);
+        expect(() => call('GET', `/shared/${share.token}`, {}, null)).toThrow('revoked');
+
+        jest.setSystemTime(Date.now() + 2 * HOUR);
+        expect(() => call('GET', `/shared/${other.token}`, {}, null)).toThrow('expired');
+        expect(() => call('GET', '/shared/nonsense', {}, null)).toThrow('not found');
+    });
+
+    test('share streams follow the link scope and end on revoke', () => {
+        const { share } = call('POST', '/trips/trip_lisbon/shares', { scope: 'status' });
+        saveMockDb(db);
+
+        const stream = new MockEventSource(`${getApiBaseUrl()}/shared/${share.token}/stream`);
+        const received = [];
+        ['status', 'location'].forEach(type => {
+            stream.addEventListener(type, event => received.push({ type, data: JSON.parse(event.data) }));
+        });
+        const onError = jest.fn();
+        stream.onerror = onError;
+        jest.advanceTimersByTime(MOCK_LATENCY);
+
+        dispatchMockEvent({ tripId: 'trip_lisbon', type: 'location', data: { point: { latitude: 1, longitude: 2 } } });
+        dispatchMockEvent({ tripId: 'trip_lisbon', type: 'status', data: { trip: { status: 'Active', lastKnownLocation: {} } } });
+        expect(received).toEqual([{ type: 'status', data: { trip: { status: 'Active' } } }]);
+
+        dispatchMockEvent({ tripId: 'trip_lisbon', type: 'share_revoked', data: { shareId: share._id } });
+        expect(onError).toHaveBeenCalled();
+        expect(stream.readyState).toBe(2);
+    });
+
+    test('only lets the owner manage links', () => {
+        const stranger = { _id: 'user_other', name: 'Mallory' };
+        expect(() => call('POST', '/trips/trip_lisbon/shares', {}, stranger)).toThrow('Not your trip');
+    });
+});
+
+describe('mock geofences', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: Date.parse('2026-03-01T12:00:00Z') });
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('records whether a check-in came from a geofence', () => {
+        call('PUT', '/trips/trip_lisbon/safe', { timestamp: '2026-03-01T12:00:00Z' });
+        const { trip } = call('PUT', '/trips/trip_lisbon/safe', {
+            timestamp: '2026-03-01T12:05:00Z',
+            method: 'geofence',
+            geofenceId: 'zone_casa_do_largo',
+            geofenceName: 'Casa do Largo',
+            offline: true
+        });
+
+        expect(trip.checkIns.slice(-2)).toEqual([
+            { timestamp: '2026-03-01T12:00:00Z', method: 'manual' },
+            {
+                timestamp: '2026-03-01T12:05:00Z',
+                method: 'geofence',
+                geofenceId: 'zone_casa_do_largo',
+                geofenceName: 'Casa do Largo',
+                offline: true
+            }
+        ]);
+    });
+
+    test('emails contacts about an unexpected exit', () => {
+        jest.spyOn(console, 'info').mockImplementation(() => {});
+        const result = call('POST', '/alerts/geofence-exit', {
+            tripId: 'trip_lisbon',
+            geofenceId: 'zone_casa_do_largo',
+            geofenceName: 'Casa do Largo',
+            latitude: 38.7075,
+            longitude: -9.1364
+        });
+        const trip = db.trips.find(t => t._id === 'trip_lisbon');
+
+        expect(result.notified).toBe(trip.emergencyContacts.length);
+        expect(db.outbox.slice(-1)[0].subject).toContain('left Casa do Largo');
+        expect(trip.lastKnownLocation.latitude).toBe(38.7075);
+    });
+
+    test('keeps zones out of status-only share links', () => {
+        const { share } = call('POST', '/trips/trip_lisbon/shares', { scope: 'status' });
+
+        expect(call('GET', `/shared/${share.token}`, {}, null).trip.geofences).toBeUndefined();
+    });
+});
+
+describe('mock account import', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    const IMPORTED = {
+        destination: 'Kyoto',
+        startDate: '2025-10-01T00:00:00Z',
+        endDate: '2025-10-09T00:00:00Z',
+        status: 'Completed',
+        emergencyContacts: [{ name: 'Amara Okafor', email: 'amara@example.test' }],
+        checkIns: [{ timestamp: '2025-10-02T09:00:00Z', method: 'manual' }]
+    };
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('merge adds new trips, skips known ones and fills empty profile fields', () => {
+        const own = db.trips.filter(t => t.userId === 'user_demo');
+        const result = call('POST', '/account/import', {
+            mode: 'merge',
+            profile: { name: 'Someone Else', phone: '+1 555', email: 'other@example.test' },
+            trips: [IMPORTED, { ...own[0], _id: 'trip_elsewhere' }]
+        });
+
+        expect(result).toMatchObject({ imported: 1, skipped: 1 });
+        expect(result.user).toMatchObject({ name: 'Demo Traveller', phone: '+1 555', email: MOCK_DEMO_EMAIL });
+        expect(result.user).not.toHaveProperty('password');
+
+        const kyoto = db.trips.find(t => t.destination === 'Kyoto');
+        expect(kyoto).toMatchObject({ userId: 'user_demo', checkIns: IMPORTED.checkIns });
+        expect(kyoto.emergencyContacts[0]._id).toBeTruthy();
+        expect(db.trips.filter(t => t.userId === 'user_demo')).toHaveLength(own.length + 1);
+    });
+
+    test('replace removes the account\'s trips and their share links', () => {
+        call('POST', '/trips/trip_lisbon/shares', {});
+        call('POST', '/account/import', { mode: 'replace', profile: { name: 'Ada' }, trips: [IMPORTED] });
+
+        expect(db.trips.filter(t => t.userId === 'user_demo').map(t => t.destination)).toEqual(['Kyoto']);
+        expect(db.shares).toHaveLength(0);
+        expect(db.users[0].name).toBe('Ada');
+    });
+
+    test('brings in open trips and live alerts as history', () => {
+        call('POST', '/account/import', {
+            mode: 'merge',
+            trips: [{
+                ...IMPORTED,
+                status: 'EMERGENCY',
+                nextCheckIn: '2025-10-02T10:00:00Z',
+                sosTriggered: true,
+                sosTimestamp: '2025-10-02T11:00:00Z',
+                duressActive: true,
+                duressEvents: [{ type: 'sos', timestamp: '2025-10-02T10:30:00Z', source: 'duress' }]
+            }]
+        });
+
+        const kyoto = db.trips.find(t => t.destination === 'Kyoto');
+        expect(kyoto).toMatchObject({ status: 'Completed', sosTriggered: false, sosTimestamp: '2025-10-02T11:00:00Z' });
+        expect(kyoto).not.toHaveProperty('nextCheckIn');
+        expect(kyoto).not.toHaveProperty('duressActive');
+        expect(kyoto.events).toEqual([expect.objectContaining({ type: 'sos', source: 'duress' })]);
+    });
+
+    test('rejects unknown modes', () => {
+        expect(() => call('POST', '/account/import', { mode: 'overwrite', trips: [] })).toThrow('Unknown import mode');
+    });
+});
+
+describe('mock contact book', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    function tripContact(tripId, contactId) {
+        return db.trips.find(t => t._id === tripId).emergencyContacts.find(c => c.contactId === contactId);
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('lists and saves contacts per account', () => {
+        const { contact } = call('POST', '/contacts', { name: 'Mum', email: 'mum@example.test', language: 'fr', userId: 'someone_else' });
+
+        expect(contact).toMatchObject({ name: 'Mum', language: 'fr', userId: 'user_demo' });
+        expect(call('GET', '/contacts').contacts.map(c => c.name)).toEqual(['Amara Okafor', 'Jon Reyes', 'Mum']);
+        expect(() => call('POST', '/contacts', { name: 'Amara', email: 'AMARA@example.test' }))
+            .toThrow('already in your contacts');
+    });
+
+    test('pushes edits to trips that have not ended', () => {
+        const result = call('PUT', '/contacts/contact_amara', { phone: '+44 7700 900999', channels: ['whatsapp'] });
+
+        expect(result.updatedTrips).toBe(2);
+        expect(tripContact('trip_lisbon', 'contact_amara')).toMatchObject({ phone: '+44 7700 900999', channels: ['whatsapp'] });
+        expect(tripContact('trip_kyoto', 'contact_amara').phone).toBe('+44 7700 900999');
+        expect(tripContact('trip_oslo', 'contact_amara').phone).toBe('+44 7700 900123');
+    });
+
+    test('deleting from the book leaves trips alone', () => {
+        call('DELETE', '/contacts/contact_jon');
+
+        expect(call('GET', '/contacts').contacts).toHaveLength(1);
+        expect(tripContact('trip_lisbon', 'contact_jon')).toBeDefined();
+        expect(() => call('PUT', '/contacts/contact_jon', {})).toThrow('Contact not found');
+    });
+
+    test('imported trips are linked to the imported contacts', () => {
+        call('POST', '/account/import', {
+            mode: 'replace',
+            contacts: [{ name: 'Mum', email: 'mum@example.test' }],
+            trips: [{
+                destination: 'Kyoto',
+                startDate: '2025-10-01T00:00:00Z',
+                endDate: '2025-10-09T00:00:00Z',
+                emergencyContacts: [{ name: 'Mum', email: 'mum@example.test', contactId: 'contact_from_elsewhere' }]
+            }]
+        });
+        const [mum] = call('GET', '/contacts').contacts;
+
+        expect(mum.email).toBe('mum@example.test');
+        expect(db.trips.find(t => t.destination === 'Kyoto').emergencyContacts[0].contactId).toBe(mum._id);
+    });
+});
+
+describe('mock contact invitations', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    function lastEmail() {
+        return db.outbox.slice(-1)[0];
+    }
+
+    function tokenFrom(email) {
+        return email.body.match(/token=([\w-]+)/)[1];
+    }
+
+    function tripStatuses(tripId) {
+        return db.trips.find(t => t._id === tripId).emergencyContacts.map(c => c.status);
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('emails new contacts a link to accept or decline', () => {
+        const { contact } = call('POST', '/contacts', { name: 'Mum', email: 'mum@example.test' });
+
+        expect(contact.status).toBe('pending');
+        expect(lastEmail()).toMatchObject({ to: 'mum@example.test', subject: 'Demo Traveller asked you to be their emergency contact' });
+        expect(call('GET', `/invitations/${tokenFrom(lastEmail())}`).invitation)
+            .toEqual({ travellerName: 'Demo Traveller', contactName: 'Mum', status: 'pending' });
+    });
+
+    test('an answer shows on the book and every trip, and the traveller hears about it', () => {
+        call('POST', '/contacts/contact_jon/invite');
+        const token = tokenFrom(lastEmail());
+
+        call('POST', `/invitations/${token}`, { accept: false });
+
+        expect(call('GET', '/contacts').contacts.find(c => c._id === 'contact_jon').status).toBe('declined');
+        expect(tripStatuses('trip_lisbon')).toEqual(['accepted', 'declined']);
+        expect(lastEmail()).toMatchObject({ to: 'demo@solosafe.test' });
+        expect(lastEmail().subject).toContain('Jon Reyes');
+    });
+
+    test('does not alert contacts who declined', () => {
+        call('POST', '/contacts/contact_jon/invite');
+        call('POST', `/invitations/${tokenFrom(lastEmail())}`, { accept: false });
+        const sent = db.outbox.length;
+
+        call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+
+        expect(db.outbox.slice(sent).map(message => message.to)).toEqual(['+44 7700 900123']);
+    });
+
+    test('marks addresses that bounce', () => {
+        const { contact } = call('POST', '/contacts', { name: 'Typo', email: 'mum@example.invalid' });
+
+        expect(contact.status).toBe('bounced');
+    });
+
+    test('does not invite someone again after they accepted', () => {
+        const sent = db.outbox.length;
+
+        expect(() => call('POST', '/contacts/contact_amara/invite')).toThrow('They have already accepted');
+        expect(db.outbox).toHaveLength(sent);
+    });
+
+    test('replaces the old link when resending', () => {
+        call('POST', '/contacts/contact_jon/invite');
+        const oldToken = tokenFrom(lastEmail());
+        call('POST', '/trips/trip_lisbon/contacts/contact_jon/invite');
+
+        expect(() => call('GET', `/invitations/${oldToken}`)).toThrow('Invitation not found');
+    });
+});
+
+describe('mock notification transport', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    function setContacts(contacts) {
+        db.trips.find(t => t._id === 'trip_lisbon').emergencyContacts = contacts;
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('falls back through each contact\'s channels until one delivers', () => {
+        const { deliveries, trip } = call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+
+        expect(deliveries[0]).toEqual({
+            contactId: 'contact_amara',
+            name: 'Amara Okafor',
+            delivered: true,
+            attempts: [
+                { channel: 'push', status: 'failed', error: 'Not using the SoloSafe app' },
+                { channel: 'sms', status: 'delivered' },
+                { channel: 'email', status: 'skipped' }
+            ]
+        });
+        expect(deliveries[1].attempts).toEqual([{ channel: 'email', status: 'delivered' }]);
+        expect(trip.sosDeliveries).toEqual(deliveries);
+        expect(db.outbox.slice(-2).map(({ channel, to }) => [channel, to]))
+            .toEqual([['sms', '+44 7700 900123'], ['email', 'jon@example.test']]);
+    });
+
+    test('links contacts to a share of the trip, reused by later alerts', () => {
+        const { share } = call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+
+        expect(share).toMatchObject({ tripId: 'trip_lisbon', scope: 'location', purpose: 'sos' });
+        expect(db.outbox.slice(-1)[0].body).toContain(`shared-trip.html?token=${share.token}`);
+        expect(db.outbox.some(message => message.body.includes('?id='))).toBe(false);
+
+        call('POST', '/alerts/cancel-sos', { tripId: 'trip_lisbon' });
+        expect(call('POST', '/alerts/sos', { tripId: 'trip_lisbon' }).share._id).toBe(share._id);
+        expect(call('GET', `/shared/${share.token}`, {}, null).trip.sosTriggered).toBe(true);
+    });
+
+    test('pushes to contacts who use the app', () => {
+        setContacts([{ _id: 'c1', name: 'Demo', email: 'DEMO@solosafe.test', channels: ['push', 'email'] }]);
+
+        const { deliveries } = call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+
+        expect(deliveries[0].attempts.map(a => a.status)).toEqual(['delivered', 'skipped']);
+        expect(db.outbox.slice(-1)[0]).toMatchObject({ channel: 'push', to: 'user_demo' });
+    });
+
+    test('reports contacts no channel could reach', () => {
+        setContacts([{ _id: 'c1', name: 'Lost', email: 'lost@example.invalid', phone: '+44 7700 900000', channels: ['whatsapp', 'sms', 'email'] }]);
+        const sent = db.outbox.length;
+
+        const { deliveries } = call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+
+        expect(deliveries[0].delivered).toBe(false);
+        expect(deliveries[0].attempts.map(a => a.error)).toEqual(['Number unreachable', 'Number unreachable', 'Address bounced']);
+        expect(db.outbox).toHaveLength(sent);
+    });
+
+    test('counts missed check-in alerts that got through', () => {
+        setContacts([
+            { _id: 'c1', name: 'Gone', email: 'gone@example.test', phone: '', channels: ['sms'] },
+            { _id: 'c2', name: 'Jon', email: 'jon@example.test', channels: ['email'] }
+        ]);
+
+        expect(call('POST', '/alerts/escalate', { tripId: 'trip_lisbon', action: 'notify_all' }).notified).toBe(1);
+        expect(call('POST', '/alerts/escalate', { tripId: 'trip_lisbon', action: 'notify_first' }).deliveries).toHaveLength(1);
+    });
+});
+
+describe('mock SOS acknowledgements', () => {
+    let db;
+    let events;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        events = [];
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events });
+    }
+
+    function lisbon() {
+        return db.trips.find(t => t._id === 'trip_lisbon');
+    }
+
+    let token;
+
+    function acknowledge(acknowledgement) {
+        return call('POST', `/shared/${token}/acknowledgements`, acknowledgement, null);
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+        token = call('POST', '/alerts/sos', { tripId: 'trip_lisbon' }).share.token;
+    });
+
+    test('records a response from the SOS link and streams it to everyone watching', () => {
+        const result = acknowledge({ name: ' Amara ', action: 'calling' });
+
+        expect(result.acknowledgement).toMatchObject({ name: 'Amara', action: 'calling' });
+        expect(lisbon().sosAcknowledgements).toEqual([result.acknowledgement]);
+        expect(events).toEqual([expect.objectContaining({ tripId: 'trip_lisbon', type: 'sos_ack' })]);
+        expect(events[0].data.acknowledgement).toEqual(result.acknowledgement);
+        expect(db.outbox.slice(-1)[0]).toMatchObject({ channel: 'push', to: 'user_demo', subject: 'Amara is responding to your SOS' });
+    });
+
+    test('accepts responses through a share link', () => {
+        const { share } = call('POST', '/trips/trip_lisbon/shares', { scope: 'status', label: 'Mum' });
+
+        call('POST', `/shared/${share.token}/acknowledgements`, { name: 'Mum', action: 'police' }, null);
+
+        expect(lisbon().sosAcknowledgements.map(ack => ack.action)).toEqual(['police']);
+    });
+
+    test('refuses responses without an SOS, a name or a known action', () => {
+        expect(() => acknowledge({ name: '', action: 'on_it' }))
+            .toThrow('Enter your name');
+        expect(() => acknowledge({ name: 'Jon', action: 'wave' }))
+            .toThrow('Unknown response');
+
+        call('POST', '/alerts/cancel-sos', { tripId: 'trip_lisbon' });
+        expect(() => acknowledge({ name: 'Jon', action: 'on_it' }))
+            .toThrow('There is no active SOS');
+    });
+
+    test('cannot be reached by trip id alone', () => {
+        const openRoutes = MOCK_ROUTES.filter(([, , , requiresAuth]) => requiresAuth === false);
+
+        expect(openRoutes.some(([, pattern]) => pattern.test('/trips/public/trip_lisbon')
+            || pattern.test('/trips/public/trip_lisbon/acknowledgements'))).toBe(false);
+        expect(() => call('GET', '/trips/trip_lisbon', {}, { _id: 'user_other' })).toThrow('Not your trip');
+    });
+
+    test('starts a fresh list with every SOS', () => {
+        acknowledge({ name: 'Jon', action: 'on_it' });
+        call('POST', '/alerts/cancel-sos', { tripId: 'trip_lisbon' });
+        call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+
+        expect(lisbon().sosAcknowledgements).toEqual([]);
+    });
+});
+
+describe('mock duress SOS', () => {
+    let db;
+    let events;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        events = [];
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events });
+    }
+
+    function duressLink() {
+        const message = db.outbox.slice(-1)[0];
+        return message.body.match(/token=([^\s]+)/)[1];
+    }
+
+    const ALERT = { tripId: 'trip_lisbon', duress: true, latitude: 38.7, longitude: -9.1, timestamp: '2026-03-01T12:00:00.000Z' };
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('shows contacts an SOS while the traveller\'s trip looks normal', () => {
+        expect(call('POST', '/alerts/sos', ALERT)).toEqual({ message: 'SOS sent' });
+
+        const own = call('GET', '/trips/trip_lisbon');
+        expect(own).toMatchObject({ status: 'Active', sosTriggered: false });
+        expect(call('GET', '/trips/trip_lisbon/shares').shares).toEqual([]);
+
+        const { trip } = call('GET', `/shared/${duressLink()}`, {}, null);
+        expect(trip).toMatchObject({ status: 'EMERGENCY', sosTriggered: true, sosTimestamp: ALERT.timestamp });
+        expect(trip.sosLocation).toMatchObject({ latitude: 38.7, longitude: -9.1 });
+        expect(trip.events).toEqual([expect.objectContaining({ type: 'sos', source: 'duress', timestamp: ALERT.timestamp })]);
+        expect(getTripStatus(trip)).toBe('sos');
+    });
+
+    test('streams the SOS to share viewers', () => {
+        call('POST', '/alerts/sos', ALERT);
+
+        expect(events).toEqual([expect.objectContaining({ tripId: 'trip_lisbon', type: 'sos' })]);
+        expect(scopeTrip(events[0].data.trip, 'status')).toMatchObject({ status: 'EMERGENCY', sosTriggered: true });
+        expect(scopeTrip(events[0].data.trip, 'status').duressEvents).toBeUndefined();
+    });
+
+    test('ignores the same alert sent again from the offline queue', () => {
+        call('POST', '/alerts/sos', ALERT);
+        const sent = db.outbox.length;
+
+        expect(call('POST', '/alerts/sos', ALERT).message).toBe('SOS already sent');
+        expect(db.outbox).toHaveLength(sent);
+    });
+
+    test('keeps contacts\' responses off the traveller\'s phone', () => {
+        call('POST', '/alerts/sos', ALERT);
+        const token = duressLink();
+        const sent = db.outbox.length;
+
+        const result = call('POST', `/shared/${token}/acknowledgements`, { name: 'Amara', action: 'on_it' }, null);
+
+        expect(result.acknowledgements).toHaveLength(1);
+        expect(db.outbox).toHaveLength(sent);
+        expect(call('GET', '/trips/trip_lisbon').sosAcknowledgements || []).toEqual([]);
+        expect(call('GET', `/shared/${token}`, {}, null).trip.sosAcknowledgements).toEqual(result.acknowledgements);
+    });
+
+    test('reports the silent SOS over once an SOS is cancelled', () => {
+        call('POST', '/alerts/sos', ALERT);
+        call('POST', '/alerts/sos', { tripId: 'trip_lisbon' });
+        call('POST', '/alerts/cancel-sos', { tripId: 'trip_lisbon' });
+
+        expect(call('GET', '/trips/trip_lisbon')).toMatchObject({ duressActive: false, duressTimestamp: ALERT.timestamp });
+    });
+});
+
+describe('mock trip events', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    function lisbonEvents() {
+        return db.trips.find(t => t._id === 'trip_lisbon').events || [];
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('logs check-ins, SOS, cancelling and ending the trip', () => {
+        call('PUT', '/trips/trip_lisbon/safe', {
+            timestamp: '2026-03-01T12:00:00.000Z', latitude: 38.7, longitude: -9.1, accuracy: 12,
+            method: 'geofence', geofenceId: 'g1', geofenceName: 'Hostel'
+        });
+        call('POST', '/alerts/sos', { tripId: 'trip_lisbon', auto: true });
+        call('POST', '/alerts/cancel-sos', { tripId: 'trip_lisbon' });
+        call('PUT', '/trips/trip_lisbon/end');
+
+        expect(lisbonEvents()[0]).toEqual({
+            type: 'checkin', timestamp: '2026-03-01T12:00:00.000Z', source: 'geofence',
+            geofenceName: 'Hostel', latitude: 38.7, longitude: -9.1, accuracy: 12
+        });
+        expect(lisbonEvents().map(event => [event.type, event.source])).toEqual([
+            ['checkin', 'geofence'], ['sos', 'auto'], ['sos_cancelled', 'manual'], ['trip_ended', 'manual']
+        ]);
+    });
+
+    test('keeps a silent SOS out of the traveller\'s log', () => {
+        call('POST', '/alerts/sos', { tripId: 'trip_lisbon', duress: true });
+
+        expect(lisbonEvents()).toEqual([]);
+    });
+
+    test('accepts deadlines reported by the app once', () => {
+        const event = { type: 'grace_started', timestamp: '2026-03-01T12:30:00.000Z', source: 'manual' };
+
+        expect(call('POST', '/trips/trip_lisbon/events', event).message).toBe('Event recorded');
+        expect(call('POST', '/trips/trip_lisbon/events', event).message).toBe('Event already recorded');
+        expect(lisbonEvents()).toEqual([{ type: 'grace_started', timestamp: event.timestamp, source: 'auto' }]);
+        expect(() => call('POST', '/trips/trip_lisbon/events', { type: 'sos' })).toThrow('Unknown event type');
+    });
+
+    test('hides where events happened from links without location', () => {
+        call('PUT', '/trips/trip_lisbon/safe', { latitude: 38.7, longitude: -9.1 });
+        const { share } = call('POST', '/trips/trip_lisbon/shares', { scope: 'status' });
+
+        const { trip } = call('GET', `/shared/${share.token}`, {}, null);
+
+        expect(trip.events).toEqual([expect.objectContaining({ type: 'checkin' })]);
+        expect(trip.events[0].latitude).toBeUndefined();
+    });
+});
+
+describe('mock trip status', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('cancels a trip and stops its check-ins', () => {
+        const { trip } = call('PUT', '/trips/trip_lisbon/cancel');
+
+        expect(trip).toMatchObject({ status: 'Cancelled', nextCheckIn: null, sosTriggered: false });
+    });
+
+    test('refuses check-ins, SOS and ending once a trip has ended', () => {
+        call('PUT', '/trips/trip_lisbon/end');
+
+        expect(() => call('PUT', '/trips/trip_lisbon/safe', {})).toThrow('This trip has already ended');
+        expect(() => call('POST', '/alerts/sos', { tripId: 'trip_lisbon' })).toThrow('This trip has already ended');
+        expect(() => call('PUT', '/trips/trip_lisbon/cancel')).toThrow('This trip has already ended');
+    });
+});
+
+describe('mock check-in schedules', () => {
+    const NOW = Date.parse('2026-03-01T12:00:00Z');
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('takes the next slot the app worked out from the schedule', () => {
+        const nextCheckIn = new Date(NOW + 9 * 60 * 60 * 1000).toISOString();
+
+        expect(call('PUT', '/trips/trip_lisbon/safe', { nextCheckIn }).nextCheckIn).toBe(nextCheckIn);
+    });
+
+    test('falls back to the interval for a missing or past slot', () => {
+        const { trip } = call('POST', '/trips', {
+            destination: 'Porto',
+            checkInFrequency: 30,
+            nextCheckIn: new Date(NOW - 60 * 1000).toISOString()
+        });
+
+        expect(trip.nextCheckIn).toBe(new Date(NOW + 30 * 60 * 1000).toISOString());
+    });
+});
+
+describe('mock trip edits', () => {
+    let db;
+
+    function call(method, path, body = {}, user = db.users[0]) {
+        const [, pattern, handler] = MOCK_ROUTES.find(([m, p]) => m === method && p.test(path));
+        return handler({ params: path.match(pattern).slice(1), body, user, db, events: [] });
+    }
+
+    function lisbon() {
+        return db.trips.find(t => t._id === 'trip_lisbon');
+    }
+
+    beforeEach(() => {
+        resetMockBackend();
+        db = loadMockDb();
+    });
+
+    test('tells contacts about a longer trip and logs the change', () => {
+        const endDate = new Date(new Date(lisbon().endDate).getTime() + 2 * 24 * 60 * 60 * 1000).toISOString();
+        const sent = db.outbox.length;
+
+        const { trip, notified } = call('PUT', '/trips/trip_lisbon', { endDate });
+
+        expect(notified).toBe(2);
+        expect(db.outbox.slice(sent).map(message => message.subject)).toEqual(['Demo Traveller changed their trip', 'Demo Traveller changed their trip']);
+        expect(trip.events.slice(-1)[0]).toMatchObject({ type: 'trip_updated', changes: [expect.stringMatching(/^Trip extended: now /)] });
+    });
+
+    test('tells contacts about a new destination', () => {
+        const sent = db.outbox.length;
+
+        call('PUT', '/trips/trip_lisbon', { destination: 'Lisbon → Seville' });
+
+        expect(db.outbox[sent].body).toBe('Destination changed from Lisbon → Porto → Madrid to Lisbon → Seville');
+    });
+
+    test('only logs minor changes', () => {
+        const sent = db.outbox.length;
+
+        const { trip, notified } = call('PUT', '/trips/trip_lisbon', { accommodation: 'Hotel Avenida', checkInFrequency: 90 });
+
+        expect(notified).toBe(0);
+        expect(db.outbox).toHaveLength(sent);
+        expect(trip.events.slice(-1)[0].changes).toEqual(['Accommodation changed to Hotel Avenida', 'Check-in schedule changed']);
+    });
+
+    test('does not log updates that change no trip details', () => {
+        const events = (lisbon().events || []).length;
+
+        call('PUT', '/trips/trip_lisbon', { nextCheckIn: new Date().toISOString() });
+
+        expect((lisbon().events || []).length).toBe(events);
+    });
+
+    test('refuses a trip that ends before it starts, or has ended', () => {
+        expect(() => call('PUT', '/trips/trip_lisbon', { endDate: '2000-01-01T00:00:00Z' })).toThrow('A trip must end after it starts');
+
+        call('PUT', '/trips/trip_lisbon/end');
+        expect(() => call('PUT', '/trips/trip_lisbon', { destination: 'Porto' })).toThrow('This trip has already ended');
+    });
+});
@@ -0,0 +1,140 @@
+const { loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('trip-map.js', 'planned-route.js'));
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+// Along the equator: 0.001 degrees is about 111 m
+const ROUTE = {
+    points: [
+        { latitude: 0, longitude: 0 },
+        { latitude: 0, longitude: 0.01 },
+        { latitude: 0.01, longitude: 0.01 }
+    ],
+    corridor: 200,
+    name: ''
+};
+
+const ON_ROUTE = { latitude: 0.001, longitude: 0.005, accuracy: 10 };
+const OFF_ROUTE = { latitude: 0.005, longitude: 0.004, accuracy: 10 };
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+    <metadata><name>Alfama walk</name></metadata>
+    <wpt lat="38.70" lon="-9.10"><name>Viewpoint</name></wpt>
+    <trk><trkseg>
+        <trkpt lat="38.7075" lon="-9.1364"></trkpt>
+        <trkpt lat="38.7092" lon="-9.1339"></trkpt>
+        <trkpt lat="38.7104" lon="-9.1318"></trkpt>
+    </trkseg></trk>
+</gpx>`;
+
+describe('normalizePlannedRoute', () => {
+    test('needs at least two points', () => {
+        expect(normalizePlannedRoute(null)).toBeNull();
+        expect(normalizePlannedRoute({ points: [{ latitude: 1, longitude: 1 }] })).toBeNull();
+    });
+
+    test('fills in the default corridor and drops bad points', () => {
+        const route = normalizePlannedRoute({
+            points: [...ROUTE.points, { latitude: 'north', longitude: 1 }],
+            corridor: ''
+        });
+
+        expect(route.points).toHaveLength(3);
+        expect(route.corridor).toBe(200);
+    });
+
+    test('thins out long tracks, keeping both ends', () => {
+        const points = Array.from({ length: 5000 }, (_, i) => ({ latitude: 0, longitude: i / 10000 }));
+        const route = normalizePlannedRoute({ points });
+
+        expect(route.points).toHaveLength(1000);
+        expect(route.points[0]).toEqual(points[0]);
+        expect(route.points[999]).toEqual(points[4999]);
+    });
+});
+
+describe('parseGpx', () => {
+    test('reads the track and its name', () => {
+        const gpx = parseGpx(GPX);
+
+        expect(gpx.name).toBe('Alfama walk');
+        expect(gpx.points).toEqual([
+            { latitude: 38.7075, longitude: -9.1364 },
+            { latitude: 38.7092, longitude: -9.1339 },
+            { latitude: 38.7104, longitude: -9.1318 }
+        ]);
+    });
+
+    test('falls back to a planned route', () => {
+        const gpx = parseGpx(`<gpx><rte>
+            <rtept lat="1" lon="2"></rtept><rtept lat="3" lon="4"></rtept>
+        </rte></gpx>`);
+
+        expect(gpx.points).toEqual([{ latitude: 1, longitude: 2 }, { latitude: 3, longitude: 4 }]);
+    });
+
+    test('rejects files that are not GPX', () => {
+        expect(() => parseGpx('<kml></kml>')).toThrow('not a GPX file');
+        expect(() => parseGpx('not xml at all <')).toThrow('not a GPX file');
+    });
+
+    test('rejects GPX without a path', () => {
+        expect(() => parseGpx('<gpx><wpt lat="1" lon="2"></wpt></gpx>')).toThrow('No track or route');
+    });
+});
+
+describe('getDistanceToRoute', () => {
+    test('measures to the nearest segment, not the nearest point', () => {
+        expect(getDistanceToRoute({ latitude: 0.001, longitude: 0.005 }, ROUTE)).toBeCloseTo(111, -1);
+    });
+
+    test('measures past the ends to the end points', () => {
+        expect(getDistanceToRoute({ latitude: 0, longitude: -0.001 }, ROUTE)).toBeCloseTo(111, -1);
+    });
+
+    test('measures the length of the route', () => {
+        expect(getRouteLength(ROUTE)).toBeCloseTo(2224, -1);
+    });
+});
+
+describe('updateRouteDeviation', () => {
+    test('does nothing while on the route', () => {
+        const { state, promptDue } = updateRouteDeviation(ROUTE, {}, ON_ROUTE, NOW);
+
+        expect(promptDue).toBe(false);
+        expect(state.offSince).toBeNull();
+    });
+
+    test('asks once the traveller has been off the route long enough', () => {
+        let result = updateRouteDeviation(ROUTE, {}, OFF_ROUTE, NOW);
+        expect(result.promptDue).toBe(false);
+
+        result = updateRouteDeviation(ROUTE, result.state, OFF_ROUTE, NOW + 2 * MINUTE);
+        expect(result.promptDue).toBe(false);
+
+        result = updateRouteDeviation(ROUTE, result.state, OFF_ROUTE, NOW + 3 * MINUTE);
+        expect(result.promptDue).toBe(true);
+
+        result = updateRouteDeviation(ROUTE, result.state, OFF_ROUTE, NOW + 10 * MINUTE);
+        expect(result.promptDue).toBe(false);
+    });
+
+    test('starts over after coming back to the route', () => {
+        let result = updateRouteDeviation(ROUTE, {}, OFF_ROUTE, NOW);
+        result = updateRouteDeviation(ROUTE, result.state, ON_ROUTE, NOW + 2 * MINUTE);
+        result = updateRouteDeviation(ROUTE, result.state, OFF_ROUTE, NOW + 4 * MINUTE);
+
+        expect(result.promptDue).toBe(false);
+        expect(result.state.offSince).toBe(NOW + 4 * MINUTE);
+    });
+
+    test('ignores fixes too rough to tell', () => {
+        const state = { offSince: NOW, prompted: false };
+        const result = updateRouteDeviation(ROUTE, state, { ...OFF_ROUTE, accuracy: 500 }, NOW + 5 * MINUTE);
+
+        expect(result).toEqual({ state, promptDue: false });
+    });
+});
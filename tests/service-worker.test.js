@@ -0,0 +1,203 @@
+const { loadScripts, jsonResponse } = require('./helpers/browser');
+const { createFakeIndexedDB } = require('./helpers/indexeddb');
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const TRIP = {
+    _id: 'trip1',
+    destination: 'Porto',
+    checkInFrequency: 60,
+    checkInSchedule: { mode: 'times', interval: 60, times: ['09:00', '21:00'], quietHours: null },
+    timeZone: 'Europe/Lisbon',
+    legs: [],
+    gracePeriod: 15,
+    escalationPolicy: [{ after: 0, action: 'remind' }, { after: 15, action: 'sos' }],
+    lastCheckIn: null,
+    sosTriggered: false
+};
+
+// Events sw.js listens for on `self`, captured so tests can fire them
+const WORKER_EVENTS = ['install', 'activate', 'fetch', 'message', 'sync', 'periodicsync', 'notificationclick'];
+const handlers = {};
+const fakeDb = createFakeIndexedDB();
+
+beforeAll(() => {
+    global.indexedDB = fakeDb.indexedDB;
+    global.importScripts = (...files) => loadScripts(...files);
+
+    const addEventListener = window.addEventListener;
+    window.addEventListener = function (type, listener, options) {
+        if (WORKER_EVENTS.includes(type)) {
+            handlers[type] = listener;
+            return;
+        }
+        addEventListener.call(this, type, listener, options);
+    };
+    try {
+        loadScripts('sw.js');
+    } finally {
+        window.addEventListener = addEventListener;
+    }
+});
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    fakeDb.clear();
+    window.registration = {
+        showNotification: jest.fn(() => Promise.resolve()),
+        sync: { register: jest.fn(() => Promise.resolve()) }
+    };
+    window.clients = { matchAll: jest.fn(() => Promise.resolve([])), openWindow: jest.fn() };
+    fetch.mockResolvedValue(jsonResponse({}));
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+async function dispatch(type, event) {
+    const work = [];
+    handlers[type]({ ...event, waitUntil: promise => work.push(promise) });
+    await Promise.all(work);
+}
+
+function postMessage(data) {
+    return dispatch('message', { data });
+}
+
+function scheduleTrip(trip = {}, token = 'token-1') {
+    return postMessage({
+        type: 'SCHEDULE_TRIP',
+        reason: 'update',
+        apiBase: 'https://api.example.com/api',
+        token,
+        trip: { ...TRIP, ...trip }
+    });
+}
+
+function storedSchedule() {
+    return fakeDb.records('solosafe_sw', 'schedule')[0] || null;
+}
+
+function sosRequests() {
+    return fetch.mock.calls.filter(([url]) => url.endsWith('/alerts/sos'));
+}
+
+function notificationTitles() {
+    return registration.showNotification.mock.calls.map(([title]) => title);
+}
+
+// Due 20 minutes ago: grace is over and the automatic SOS is due
+const OVERDUE = { nextCheckIn: new Date(NOW - 20 * MINUTE).toISOString() };
+
+describe('stored schedule', () => {
+    test('keeps the trip, its schedule and zone, and the session token', async () => {
+        await scheduleTrip({ nextCheckIn: new Date(NOW + 30 * MINUTE).toISOString() });
+
+        expect(storedSchedule()).toMatchObject({
+            tripId: 'trip1',
+            checkInSchedule: TRIP.checkInSchedule,
+            timeZone: 'Europe/Lisbon',
+            token: 'token-1'
+        });
+    });
+
+    test('drops the trip and token on logout', async () => {
+        await scheduleTrip({ nextCheckIn: new Date(NOW + 30 * MINUTE).toISOString() });
+
+        await postMessage({ type: 'CLEAR_TRIP', tripId: null });
+
+        expect(storedSchedule()).toBeNull();
+    });
+
+    test('drops the trip once it ends, but not another trip', async () => {
+        await scheduleTrip({ nextCheckIn: new Date(NOW + 30 * MINUTE).toISOString() });
+
+        await postMessage({ type: 'CLEAR_TRIP', tripId: 'trip2' });
+        expect(storedSchedule()).not.toBeNull();
+
+        await postMessage({ type: 'CLEAR_TRIP', tripId: 'trip1' });
+        expect(storedSchedule()).toBeNull();
+    });
+
+    test('has nothing left to escalate after a mock mode switch cleared it', async () => {
+        await scheduleTrip({ nextCheckIn: new Date(NOW + 5 * MINUTE).toISOString() });
+        await postMessage({ type: 'CLEAR_TRIP' });
+
+        await jest.advanceTimersByTimeAsync(30 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(0);
+        expect(registration.showNotification).not.toHaveBeenCalled();
+    });
+});
+
+describe('background escalation', () => {
+    test('sends the automatic SOS with the stored token when no page is open', async () => {
+        await scheduleTrip(OVERDUE);
+
+        expect(sosRequests()).toHaveLength(1);
+        expect(sosRequests()[0][1].headers.Authorization).toBe('Bearer token-1');
+        expect(storedSchedule().sosTriggered).toBe(true);
+    });
+
+    test('keeps the schedule and asks the traveller to sign in when the session expired', async () => {
+        fetch.mockResolvedValue(jsonResponse({ message: 'Session expired' }, 401));
+
+        await scheduleTrip(OVERDUE);
+        await jest.advanceTimersByTimeAsync(10 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(1);
+        expect(notificationTitles()).toContain('Sign In to SoloSafe');
+        expect(storedSchedule()).toMatchObject({ tripId: 'trip1', token: 'token-1', halted: { status: 401 } });
+    });
+
+    test('sends the pending SOS once the page signs in again', async () => {
+        fetch.mockResolvedValue(jsonResponse({ message: 'Session expired' }, 401));
+        await scheduleTrip(OVERDUE);
+
+        fetch.mockResolvedValue(jsonResponse({}));
+        await scheduleTrip(OVERDUE, 'token-2');
+
+        expect(sosRequests()).toHaveLength(2);
+        expect(sosRequests()[1][1].headers.Authorization).toBe('Bearer token-2');
+        expect(storedSchedule().halted).toBeUndefined();
+    });
+
+    test('stops for a trip that ended elsewhere and says so', async () => {
+        fetch.mockResolvedValue(jsonResponse({ message: 'This trip has already ended' }, 409));
+
+        await scheduleTrip(OVERDUE);
+        await jest.advanceTimersByTimeAsync(10 * MINUTE);
+
+        expect(sosRequests()).toHaveLength(1);
+        expect(notificationTitles()).toContain('Check-ins Stopped');
+        expect(storedSchedule()).not.toBeNull();
+    });
+
+    test('retries an SOS that could not get through', async () => {
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+        await scheduleTrip(OVERDUE);
+        expect(notificationTitles()).toContain('SOS Not Sent');
+
+        await jest.advanceTimersByTimeAsync(MINUTE);
+        expect(sosRequests()).toHaveLength(2);
+    });
+});
+
+describe('offline check-in replay', () => {
+    test('sends the queue the page left behind with the stored token', async () => {
+        await scheduleTrip({ nextCheckIn: new Date(NOW + 30 * MINUTE).toISOString() });
+        await queueCheckIn({ tripId: 'trip1', latitude: 41.15, longitude: -8.61, timestamp: new Date(NOW - MINUTE).toISOString() });
+
+        await dispatch('sync', { tag: 'solosafe-checkin-queue' });
+
+        const safeRequests = fetch.mock.calls.filter(([url]) => url.endsWith('/trips/trip1/safe'));
+        expect(safeRequests).toHaveLength(1);
+        expect(safeRequests[0][1].headers.Authorization).toBe('Bearer token-1');
+        expect(JSON.parse(safeRequests[0][1].body)).toMatchObject({ latitude: 41.15, offline: true });
+        expect(await getPendingCheckIns()).toEqual([]);
+    });
+});
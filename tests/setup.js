@@ -0,0 +1,49 @@
+// Browser APIs the scripts expect but jsdom does not provide,
+// reset before every test so each one starts from a clean slate
+
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+
+// Real implementations from Node, jsdom lacks them
+if (!global.crypto || !global.crypto.subtle) {
+    Object.defineProperty(global, 'crypto', { configurable: true, value: webcrypto });
+}
+if (!global.TextEncoder) {
+    global.TextEncoder = TextEncoder;
+}
+
+beforeEach(() => {
+    localStorage.clear();
+
+    global.fetch = jest.fn();
+    global.Toastify = jest.fn(() => ({ showToast: jest.fn() }));
+
+    global.Notification = jest.fn(function (title, options) {
+        this.title = title;
+        this.options = options;
+        this.close = jest.fn();
+    });
+    global.Notification.permission = 'default';
+    global.Notification.requestPermission = jest.fn(() => Promise.resolve('granted'));
+
+    Object.defineProperty(navigator, 'geolocation', {
+        configurable: true,
+        value: {
+            getCurrentPosition: jest.fn(),
+            watchPosition: jest.fn(() => 1),
+            clearWatch: jest.fn()
+        }
+    });
+
+    Object.defineProperty(navigator, 'onLine', { configurable: true, value: true });
+
+    // Scripts log generously; keep test output readable
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
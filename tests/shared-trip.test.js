@@ -0,0 +1,470 @@
+const { loadPage, jsonResponse, stubLeaflet, toastMessages } = require('./helpers/browser');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const TRIP = {
+    _id: 'trip1',
+    userId: { name: 'Ada' },
+    destination: 'Lisbon',
+    startDate: '2026-02-28T00:00:00Z',
+    endDate: '2026-03-05T00:00:00Z',
+    status: 'Active',
+    locationHistory: [
+        { latitude: 38.7075, longitude: -9.1364, accuracy: 20, timestamp: '2026-03-01T11:50:00Z' },
+        { latitude: 38.7092, longitude: -9.1339, accuracy: 15, timestamp: '2026-03-01T11:55:00Z' }
+    ]
+};
+
+const MOVED = { latitude: 38.7118, longitude: -9.1300, accuracy: 10, timestamp: '2026-03-01T12:00:00Z' };
+
+// Share link the trip is opened through
+const LINK = { scope: 'location', label: '', expiresAt: '2026-03-10T12:00:00Z' };
+
+function linkRequests() {
+    return fetch.mock.calls.filter(([url]) => url.includes('/shared/tok-trip1'));
+}
+
+function trailLength() {
+    const polyline = L.drawn.find(layer => layer.type === 'polyline');
+    return polyline ? polyline.latLngs.length : 0;
+}
+
+function answerLink(trip) {
+    fetch.mockImplementation(() => Promise.resolve(jsonResponse({ trip, share: LINK })));
+}
+
+async function openSharedTrip(trip) {
+    answerLink(trip);
+    loadPage('shared-trip.html', '/shared-trip.html?token=tok-trip1');
+    await jest.advanceTimersByTimeAsync(0);
+}
+
+// Controllable stand-in for the browser's EventSource
+class FakeEventSource extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        FakeEventSource.instances.push(this);
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen(new Event('open'));
+    }
+
+    push(type, data) {
+        this.dispatchEvent(new MessageEvent(type, { data: JSON.stringify(data) }));
+    }
+
+    fail(closed = false) {
+        this.readyState = closed ? 2 : 0;
+        this.onerror(new Event('error'));
+    }
+
+    close() {
+        this.readyState = 2;
+    }
+}
+
+function latestStream() {
+    return FakeEventSource.instances[FakeEventSource.instances.length - 1];
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    stubLeaflet();
+    FakeEventSource.instances = [];
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    delete window.EventSource;
+});
+
+describe('shared trip map', () => {
+    test('shows the whole trail, not just the latest point', async () => {
+        await openSharedTrip(TRIP);
+
+        expect(trailLength()).toBe(2);
+        expect(document.getElementById('currentLocation').textContent).toContain('38.709200');
+    });
+
+    test('refreshes the trail every 30 seconds', async () => {
+        await openSharedTrip(TRIP);
+        answerLink({ ...TRIP, locationHistory: [...TRIP.locationHistory, MOVED] });
+
+        await jest.advanceTimersByTimeAsync(29000);
+        expect(linkRequests()).toHaveLength(1);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(linkRequests()).toHaveLength(2);
+        expect(trailLength()).toBe(3);
+        expect(L.map).toHaveBeenCalledTimes(1);
+    });
+
+    test('refreshes faster during an emergency', async () => {
+        await openSharedTrip({ ...TRIP, status: 'EMERGENCY', sosTriggered: true });
+
+        await jest.advanceTimersByTimeAsync(10000);
+
+        expect(linkRequests()).toHaveLength(2);
+        expect(document.getElementById('refreshStatus').textContent).toContain('every 10s');
+    });
+
+    test('keeps refreshing after a failed request', async () => {
+        await openSharedTrip(TRIP);
+        fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+
+        await jest.advanceTimersByTimeAsync(30000);
+        answerLink(TRIP);
+        await jest.advanceTimersByTimeAsync(30000);
+
+        expect(linkRequests()).toHaveLength(3);
+    });
+
+    test('says when the last check-in came from arriving at a safe zone', async () => {
+        await openSharedTrip({
+            ...TRIP,
+            lastCheckIn: '2026-03-01T11:55:00Z',
+            checkIns: [{ timestamp: '2026-03-01T11:55:00Z', method: 'geofence', geofenceName: 'Casa do Largo' }]
+        });
+
+        expect(document.getElementById('lastUpdateTime').textContent).toContain('(automatic, arrived at Casa do Largo)');
+    });
+
+    test('shows an SOS as an emergency whatever the stored status says', async () => {
+        await openSharedTrip({ ...TRIP, status: 'Active', sosTriggered: true });
+
+        expect(document.getElementById('tripStatus').textContent).toBe('🚨 EMERGENCY');
+        expect(document.getElementById('emergencyBanner').style.display).toBe('block');
+    });
+
+    test('tells contacts when a check-in is overdue', async () => {
+        await openSharedTrip({ ...TRIP, nextCheckIn: '2026-03-01T11:59:00Z', gracePeriod: 30 });
+
+        expect(document.getElementById('tripStatus').className).toBe('trip-status status-grace');
+        expect(document.getElementById('missedBanner').style.display).toBe('block');
+        expect(document.getElementById('lastUpdateTime').textContent).toContain('Check-in was due');
+    });
+
+    test('shows the next check-in in the traveller\'s zone and the contact\'s', async () => {
+        const viewerZone = jest.spyOn(window, 'getViewerTimeZone').mockReturnValue('Europe/London');
+        await openSharedTrip({ ...TRIP, timeZone: 'Asia/Tokyo', nextCheckIn: '2026-03-02T00:00:00Z' });
+
+        expect(document.getElementById('nextCheckIn').textContent).toBe(formatDualTime('2026-03-02T00:00:00Z', 'Asia/Tokyo'));
+        expect(document.getElementById('nextCheckIn').textContent).toMatch(/Tokyo time \(.+ your time\)$/);
+        viewerZone.mockRestore();
+    });
+
+    test('shows cancelled trips and stops refreshing', async () => {
+        await openSharedTrip({ ...TRIP, status: 'Cancelled' });
+
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(document.getElementById('tripStatus').textContent).toBe('🚫 CANCELLED');
+        expect(linkRequests()).toHaveLength(1);
+    });
+
+    test('stops refreshing once the trip is completed', async () => {
+        await openSharedTrip({ ...TRIP, status: 'Completed' });
+
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(linkRequests()).toHaveLength(1);
+    });
+});
+
+describe('live updates', () => {
+    beforeEach(() => {
+        window.EventSource = FakeEventSource;
+    });
+
+    async function openLiveTrip(trip = TRIP) {
+        await openSharedTrip(trip);
+        latestStream().open();
+        await jest.advanceTimersByTimeAsync(0);
+    }
+
+    test('subscribes to the trip stream and stops polling once live', async () => {
+        await openLiveTrip();
+
+        expect(latestStream().url).toBe('https://solosafe-backend.onrender.com/api/shared/tok-trip1/stream');
+        expect(document.getElementById('refreshStatus').textContent).toContain('Live');
+
+        await jest.advanceTimersByTimeAsync(120000);
+        // Initial load plus the catch-up when the stream opened
+        expect(linkRequests()).toHaveLength(2);
+    });
+
+    test('extends the trail as locations are pushed', async () => {
+        await openLiveTrip();
+
+        latestStream().push('location', { point: MOVED });
+
+        expect(trailLength()).toBe(3);
+        expect(document.getElementById('currentLocation').textContent).toContain('38.711800');
+    });
+
+    test('shows an SOS the moment it is raised', async () => {
+        await openLiveTrip();
+
+        latestStream().push('sos', { trip: { ...TRIP, status: 'EMERGENCY', sosTriggered: true } });
+
+        expect(document.getElementById('tripStatus').textContent).toContain('EMERGENCY');
+        expect(document.getElementById('emergencyBanner').style.display).toBe('block');
+        expect(toastMessages()).toContain('🚨 The traveler triggered an SOS alert');
+    });
+
+    test('returns to normal when the SOS is cancelled', async () => {
+        await openLiveTrip({ ...TRIP, status: 'EMERGENCY', sosTriggered: true });
+
+        latestStream().push('sos_cancelled', { trip: { ...TRIP, lastCheckIn: '2026-03-01T12:00:00Z' } });
+
+        expect(document.getElementById('tripStatus').textContent).toContain('ACTIVE');
+        expect(document.getElementById('emergencyBanner').style.display).toBe('none');
+    });
+
+    test('falls back to polling while the stream is down', async () => {
+        await openLiveTrip();
+
+        latestStream().fail();
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(linkRequests()).toHaveLength(3);
+
+        // EventSource reconnects by itself; polling stops again
+        latestStream().open();
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(linkRequests()).toHaveLength(4);
+    });
+
+    test('keeps polling when the backend has no stream', async () => {
+        await openSharedTrip(TRIP);
+
+        latestStream().fail(true);
+        await jest.advanceTimersByTimeAsync(60000);
+
+        // Checked straight away, then every 30 seconds
+        expect(linkRequests()).toHaveLength(4);
+        expect(FakeEventSource.instances).toHaveLength(1);
+    });
+
+    test('ignores malformed events', async () => {
+        await openLiveTrip();
+
+        latestStream().dispatchEvent(new MessageEvent('location', { data: 'not json' }));
+
+        expect(trailLength()).toBe(2);
+    });
+
+    test('closes the stream when the trip is completed', async () => {
+        await openLiveTrip();
+
+        latestStream().push('status', { trip: { ...TRIP, status: 'Completed' } });
+
+        expect(latestStream().readyState).toBe(2);
+    });
+});
+
+describe('SOS responders', () => {
+    const SOS_TRIP = { ...TRIP, status: 'EMERGENCY', sosTriggered: true, sosAcknowledgements: [] };
+    const ACK = { _id: 'a1', name: 'Amara', action: 'calling', timestamp: '2026-03-01T12:01:00Z' };
+
+    function acknowledgements() {
+        return fetch.mock.calls.filter(([url]) => url.endsWith('/acknowledgements'));
+    }
+
+    function respondersText() {
+        return document.getElementById('responderList').textContent.replace(/\s+/g, ' ');
+    }
+
+    async function openSosTrip() {
+        fetch.mockImplementation(url => Promise.resolve(jsonResponse(url.endsWith('/acknowledgements')
+            ? { acknowledgement: ACK, acknowledgements: [ACK] }
+            : { trip: SOS_TRIP, share: LINK })));
+        loadPage('shared-trip.html', '/shared-trip.html?token=tok-trip1');
+        await jest.advanceTimersByTimeAsync(0);
+    }
+
+    test('lets a contact say they are responding', async () => {
+        await openSosTrip();
+        expect(document.getElementById('responderCard').style.display).toBe('block');
+        expect(respondersText()).toContain('No one has responded yet');
+
+        document.getElementById('responderName').value = 'Amara';
+        document.querySelector('#responderActions button[data-ack="calling"]').click();
+        await jest.advanceTimersByTimeAsync(0);
+
+        const [url, options] = acknowledgements()[0];
+        expect(url).toBe('https://solosafe-backend.onrender.com/api/shared/tok-trip1/acknowledgements');
+        expect(JSON.parse(options.body)).toEqual({ name: 'Amara', action: 'calling' });
+        expect(respondersText()).toContain('Amara Calling now');
+        expect(localStorage.getItem('solosafe_responder_name')).toBe('Amara');
+    });
+
+    test('needs a name', async () => {
+        await openSosTrip();
+
+        document.querySelector('#responderActions button[data-ack="on_it"]').click();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(acknowledgements()).toHaveLength(0);
+        expect(toastMessages()).toContain('Enter your name so the traveler knows who is responding');
+    });
+
+    test('shows other contacts responding as it happens', async () => {
+        window.EventSource = FakeEventSource;
+        await openSosTrip();
+        latestStream().open();
+
+        latestStream().push('sos_ack', { trip: { ...SOS_TRIP, sosAcknowledgements: [ACK] }, acknowledgement: ACK });
+
+        expect(respondersText()).toContain('Amara Calling now');
+        expect(toastMessages()).toContain('🙋 Amara: Calling now');
+    });
+
+    test('lists the other contacts as text, with their relationship', async () => {
+        await openSharedTrip({
+            ...SOS_TRIP,
+            emergencyContacts: [
+                { name: '<img src=x onerror=alert(1)>', relationship: 'sibling', email: 'jo@example.com', phone: '<b>1</b>' },
+                { name: 'Sam', relationship: 'nonsense' }
+            ]
+        });
+
+        const list = document.getElementById('emergencyContactsList');
+        expect(list.querySelector('img, b')).toBeNull();
+        expect(list.textContent).toContain('<img src=x onerror=alert(1)>');
+        expect(list.textContent).toContain('Sibling');
+        expect(list.textContent).not.toContain('nonsense');
+        expect(list.querySelectorAll('.fa-envelope')).toHaveLength(1);
+    });
+
+    test('is hidden when there is no emergency', async () => {
+        await openSharedTrip(TRIP);
+
+        expect(document.getElementById('responderCard').style.display).toBe('none');
+    });
+});
+
+describe('share links', () => {
+    const SHARE = { scope: 'location', label: 'Mum', expiresAt: '2026-03-02T12:00:00Z' };
+
+    function sharedRequests() {
+        return fetch.mock.calls.filter(([url]) => url.includes('/shared/tok-123'));
+    }
+
+    async function openShareLink(respond) {
+        fetch.mockImplementation(respond);
+        loadPage('shared-trip.html', '/shared-trip.html?token=tok-123');
+        await jest.advanceTimersByTimeAsync(0);
+    }
+
+    test('loads the trip through the token without a session', async () => {
+        await openShareLink(() => Promise.resolve(jsonResponse({ trip: TRIP, share: SHARE })));
+
+        const [url, options] = sharedRequests()[0];
+        expect(url).toBe('https://solosafe-backend.onrender.com/api/shared/tok-123');
+        expect(options.headers.Authorization).toBeUndefined();
+        expect(document.getElementById('itineraryTitle').textContent).toBe("Ada's Trip");
+        expect(document.getElementById('shareInfo').textContent).toContain('Status + location');
+        expect(trailLength()).toBe(2);
+    });
+
+    test('does not send a stale session that could log the viewer out', async () => {
+        localStorage.setItem('solosafe_token', 'expired-token');
+        await openShareLink(() => Promise.resolve(jsonResponse({ trip: TRIP, share: SHARE })));
+
+        expect(sharedRequests()[0][1].headers.Authorization).toBeUndefined();
+    });
+
+    test('hides the map for status-only links', async () => {
+        const { locationHistory, ...statusOnly } = TRIP;
+        await openShareLink(() => Promise.resolve(jsonResponse({
+            trip: statusOnly,
+            share: { ...SHARE, scope: 'status' }
+        })));
+
+        expect(document.getElementById('locationCard').style.display).toBe('none');
+        expect(document.getElementById('shareInfo').textContent).toContain('Status only');
+        expect(L.map).not.toHaveBeenCalled();
+    });
+
+    test('explains expired or revoked links', async () => {
+        await openShareLink(() => Promise.resolve(jsonResponse({ message: 'This link has expired' }, 410)));
+
+        expect(document.getElementById('errorContainer').style.display).toBe('block');
+        expect(document.getElementById('errorTitle').textContent).toBe('Link No Longer Active');
+    });
+
+    test('asks for a new link when opened from an old trip id link', async () => {
+        fetch.mockImplementation(() => Promise.resolve(jsonResponse(TRIP)));
+        loadPage('shared-trip.html', '/shared-trip.html?id=trip1');
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(document.getElementById('errorTitle').textContent).toBe('Link No Longer Active');
+        expect(document.getElementById('errorMessage').textContent).toContain('Ask the traveler for a new share link');
+    });
+
+    test('shows invalid links as not found', async () => {
+        await openShareLink(() => Promise.resolve(jsonResponse({ message: 'Share link not found' }, 404)));
+
+        expect(document.getElementById('errorTitle').textContent).toBe('Trip Not Found');
+    });
+
+    test('stops following a link revoked while watching', async () => {
+        await openShareLink(() => Promise.resolve(jsonResponse({ trip: TRIP, share: SHARE })));
+        fetch.mockImplementation(() => Promise.resolve(jsonResponse({ message: 'This link was revoked' }, 410)));
+
+        await jest.advanceTimersByTimeAsync(30000);
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(sharedRequests()).toHaveLength(2);
+        expect(document.getElementById('contentContainer').style.display).toBe('none');
+        expect(document.getElementById('errorTitle').textContent).toBe('Link No Longer Active');
+    });
+
+    test('streams through the token', async () => {
+        window.EventSource = FakeEventSource;
+        await openShareLink(() => Promise.resolve(jsonResponse({ trip: TRIP, share: SHARE })));
+
+        expect(latestStream().url).toBe('https://solosafe-backend.onrender.com/api/shared/tok-123/stream');
+    });
+});
+
+describe('itinerary', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const LEGS = [
+        { city: 'Lisbon', startDate: new Date(NOW - 2 * DAY).toISOString(), endDate: new Date(NOW - DAY / 2).toISOString(), transport: 'flight', latitude: 38.72, longitude: -9.14 },
+        { city: 'Porto', startDate: new Date(NOW - DAY / 2).toISOString(), endDate: new Date(NOW + DAY).toISOString(), transport: 'train', accommodation: 'Rua das Flores 45', latitude: 41.16, longitude: -8.63 },
+        { city: 'Madrid', startDate: new Date(NOW + DAY).toISOString(), endDate: new Date(NOW + 3 * DAY).toISOString(), transport: 'flight' }
+    ];
+
+    test('renders the legs as a timeline', async () => {
+        await openSharedTrip({ ...TRIP, legs: LEGS });
+
+        const items = [...document.querySelectorAll('#legTimeline .timeline-item')];
+        expect(items).toHaveLength(3);
+        expect(items[1].className).toContain('current');
+        expect(items[2].className).toContain('upcoming');
+        expect(items[1].textContent).toContain('Train');
+        expect(document.getElementById('accommodation').textContent).toBe('Rua das Flores 45');
+    });
+
+    test('puts the legs that have coordinates on the map', async () => {
+        await openSharedTrip({ ...TRIP, legs: LEGS });
+
+        const legMarkers = L.drawn.filter(layer => layer.options && layer.options.icon && /leg-marker/.test(layer.options.icon.className));
+        expect(legMarkers).toHaveLength(2);
+        expect(legMarkers[1].options.icon.className).toContain('current');
+        expect(L.drawn.some(layer => layer.type === 'polyline' && layer.options.dashArray)).toBe(true);
+    });
+
+    test('hides the itinerary for single-destination trips', async () => {
+        await openSharedTrip(TRIP);
+
+        expect(document.getElementById('itineraryCard').style.display).toBe('none');
+    });
+});
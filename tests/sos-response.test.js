@@ -0,0 +1,43 @@
+const { loadScripts, SHARED_SCRIPTS } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS, 'sos-response.js'));
+
+const ACKS = [
+    { _id: 'a1', name: 'Amara', action: 'on_it', timestamp: '2026-03-01T12:01:00Z' },
+    { _id: 'a2', name: 'Jon', action: 'calling', timestamp: '2026-03-01T12:02:00Z' },
+    { _id: 'a3', name: 'amara ', action: 'police', timestamp: '2026-03-01T12:05:00Z' }
+];
+
+describe('getSosAcknowledgements', () => {
+    test('sorts oldest first and drops unknown actions', () => {
+        const trip = { sosAcknowledgements: [ACKS[2], { ...ACKS[0], _id: 'a0', action: 'waving' }, ACKS[0]] };
+
+        expect(getSosAcknowledgements(trip).map(ack => ack._id)).toEqual(['a1', 'a3']);
+        expect(getSosAcknowledgements({})).toEqual([]);
+    });
+});
+
+describe('getLatestResponses', () => {
+    test('keeps what each responder said last, most recent first', () => {
+        expect(getLatestResponses(ACKS).map(ack => ack._id)).toEqual(['a3', 'a2']);
+    });
+});
+
+describe('getNewAcknowledgements', () => {
+    test('finds responses not seen yet', () => {
+        expect(getNewAcknowledgements(ACKS.slice(0, 1), ACKS).map(ack => ack._id)).toEqual(['a2', 'a3']);
+    });
+});
+
+describe('renderAcknowledgements', () => {
+    test('lists who is doing what', () => {
+        document.body.innerHTML = renderAcknowledgements([{ ...ACKS[1], name: '<Jon>' }]);
+
+        expect(document.body.textContent).toContain('<Jon>');
+        expect(document.querySelector('.badge').textContent).toBe('Calling now');
+    });
+
+    test('says when nobody has responded', () => {
+        expect(renderAcknowledgements([], 'Nobody yet')).toContain('Nobody yet');
+    });
+});
@@ -0,0 +1,83 @@
+const { loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('time-zones.js', 'checkin-schedule.js'));
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+describe('zone arithmetic', () => {
+    test('reads the wall clock in a zone', () => {
+        expect(getZonedParts(NOW, 'Asia/Tokyo')).toEqual({ year: 2026, month: 3, day: 1, hours: 21, minutes: 0, seconds: 0 });
+        expect(getZonedParts(NOW, 'America/New_York')).toMatchObject({ day: 1, hours: 7 });
+        expect(getZonedDateString(Date.parse('2026-03-01T20:00:00Z'), 'Asia/Tokyo')).toBe('2026-03-02');
+    });
+
+    test('turns a wall-clock time into an instant, across daylight saving', () => {
+        expect(zonedTimeToUtc(2026, 3, 1, 9, 0, 'Europe/Lisbon')).toBe(Date.parse('2026-03-01T09:00:00Z'));
+        expect(zonedTimeToUtc(2026, 7, 1, 9, 0, 'Europe/Lisbon')).toBe(Date.parse('2026-07-01T08:00:00Z'));
+        expect(zonedTimeToUtc(2026, 3, 32, 0, 0, 'Asia/Tokyo')).toBe(Date.parse('2026-03-31T15:00:00Z'));
+    });
+
+    test('bounds a day in the trip zone', () => {
+        expect(getZonedDayBounds('2026-03-01', 'Asia/Tokyo')).toEqual({
+            start: '2026-02-28T15:00:00.000Z',
+            end: '2026-03-01T14:59:59.999Z'
+        });
+        expect(getZonedDayBounds('', 'Asia/Tokyo')).toEqual({ start: null, end: null });
+    });
+
+    test('only accepts zones the browser knows', () => {
+        expect(isValidTimeZone('Europe/Lisbon')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        expect(isValidTimeZone(null)).toBe(false);
+        expect(listTimeZones()).toContain('Europe/Lisbon');
+    });
+});
+
+describe('trip time zones', () => {
+    const trip = {
+        timeZone: 'Europe/Lisbon',
+        legs: [
+            { startDate: '2026-02-27T00:00:00Z', timeZone: null },
+            { startDate: '2026-03-01T00:00:00+09:00', timeZone: 'Asia/Tokyo' }
+        ]
+    };
+
+    test('uses the zone of the stop the traveller is on', () => {
+        expect(getTripTimeZone(trip, Date.parse('2026-02-28T12:00:00Z'))).toBe('Europe/Lisbon');
+        expect(getTripTimeZone(trip, NOW)).toBe('Asia/Tokyo');
+        expect(getTripTimeZone({ timeZone: 'nowhere' }, NOW)).toBeNull();
+    });
+
+    test('shows the traveller time and the viewer time', () => {
+        const text = formatDualTime(NOW, 'Asia/Tokyo', 'Europe/London');
+
+        expect(text).toMatch(/^.+ Tokyo time \(.+ your time\)$/);
+        expect(text).toContain(formatZonedTime(NOW, 'Asia/Tokyo'));
+        expect(formatDualTime(NOW, 'Europe/Lisbon', 'Europe/London')).toBe(`${formatZonedTime(NOW, 'Europe/Lisbon')} Lisbon time`);
+        expect(formatDualTime(NOW, null, 'Europe/London')).toBe(formatZonedTime(NOW, 'Europe/London'));
+    });
+
+    test('says when the next check-in is due in both zones', () => {
+        const due = Date.parse('2026-03-02T00:00:00Z');
+
+        expect(describeNextDue(due, NOW, 'Asia/Tokyo', 'Europe/London')).toBe('Due tomorrow at 09:00 Tokyo time (00:00 your time)');
+        expect(describeNextDue(due, NOW, null, 'Europe/London')).toBe('Due tomorrow at 00:00');
+    });
+
+    test('schedules set times in the trip zone', () => {
+        const schedule = { mode: 'times', times: ['09:00', '21:00'], quietHours: null };
+
+        expect(calculateNextCheckIn({ timeZone: 'Asia/Tokyo', checkInSchedule: schedule }, NOW)).toBe('2026-03-02T00:00:00.000Z');
+        expect(calculateNextCheckIn({ timeZone: 'America/New_York', checkInSchedule: schedule }, NOW)).toBe('2026-03-01T14:00:00.000Z');
+    });
+
+    test('keeps quiet hours in the trip zone', () => {
+        const trip = {
+            timeZone: 'Asia/Tokyo',
+            checkInSchedule: { mode: 'interval', interval: 120, quietHours: { start: '22:00', end: '07:00' } }
+        };
+
+        // 21:00 in Tokyo, two hours later would be 23:00
+        expect(calculateNextCheckIn(trip, NOW)).toBe('2026-03-01T22:00:00.000Z');
+    });
+});
@@ -0,0 +1,81 @@
+const { loadScripts, SHARED_SCRIPTS } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS, 'trip-events.js'));
+
+const HERE = { latitude: 38.7075, longitude: -9.1364, accuracy: 20 };
+
+describe('createTripEvent', () => {
+    test('copies the position when there is one', () => {
+        expect(createTripEvent('checkin', { timestamp: '2026-03-01T12:00:00Z', location: HERE })).toEqual({
+            type: 'checkin', timestamp: '2026-03-01T12:00:00Z', source: 'manual', ...HERE
+        });
+        expect(createTripEvent('sos', { source: 'auto', location: { latitude: null, longitude: null } }))
+            .not.toHaveProperty('latitude');
+    });
+});
+
+describe('recordTripEvent', () => {
+    test('ignores the same event reported twice', () => {
+        const trip = {};
+        const event = createTripEvent('grace_started', { timestamp: '2026-03-01T12:00:00Z', source: 'auto' });
+
+        expect(recordTripEvent(trip, event)).toBe(true);
+        expect(recordTripEvent(trip, { ...event, timestamp: '2026-03-01T12:00:00.000Z' })).toBe(false);
+        expect(trip.events).toEqual([event]);
+    });
+});
+
+describe('getTripEvents', () => {
+    test('sorts the log and fills in older check-ins and SOS', () => {
+        const trip = {
+            events: [
+                { type: 'sos_cancelled', timestamp: '2026-03-01T14:00:00Z', source: 'manual' },
+                { type: 'checkin', timestamp: '2026-03-01T11:00:00Z', source: 'manual' },
+                { type: 'unknown', timestamp: '2026-03-01T10:00:00Z', source: 'manual' }
+            ],
+            checkIns: [
+                { timestamp: '2026-03-01T11:00:00Z', method: 'manual' },
+                { timestamp: '2026-03-01T12:00:00Z', method: 'geofence', geofenceId: 'g1', geofenceName: 'Hostel', ...HERE }
+            ],
+            sosTimestamp: '2026-03-01T13:00:00Z'
+        };
+
+        expect(getTripEvents(trip).map(event => [event.type, event.source])).toEqual([
+            ['checkin', 'manual'], ['checkin', 'geofence'], ['sos', 'manual'], ['sos_cancelled', 'manual']
+        ]);
+        expect(getTripEvents(trip)[1]).toEqual({
+            type: 'checkin', timestamp: '2026-03-01T12:00:00Z', source: 'geofence', geofenceName: 'Hostel', ...HERE
+        });
+        expect(getTripEvents(null)).toEqual([]);
+    });
+});
+
+describe('renderTripTimeline', () => {
+    test('shows time, location and source of each event', () => {
+        document.body.innerHTML = renderTripTimeline([
+            createTripEvent('checkin', { source: 'geofence', location: HERE, geofenceName: '<Hostel>', offline: true }),
+            createTripEvent('missed_checkin', { source: 'auto' })
+        ]);
+        const [checkIn, missed] = document.querySelectorAll('.timeline-item');
+
+        expect(checkIn.textContent).toContain('38.707500, -9.136400 (±20 m)');
+        expect(checkIn.textContent).toContain('Safe zone');
+        expect(checkIn.textContent).toContain('Arrived at <Hostel> · Sent when back online');
+        expect(missed.textContent).toContain('Automatic');
+        expect(missed.textContent).toContain('Location unknown');
+    });
+
+    test('lists what an edit changed', () => {
+        document.body.innerHTML = renderTripTimeline([
+            createTripEvent('trip_updated', { changes: ['Destination changed from Lisbon to <Porto>', 'Check-in schedule changed'] })
+        ]);
+
+        expect(document.querySelector('.timeline-item').textContent).toContain('Trip details changed');
+        expect(document.querySelector('.timeline-item').textContent)
+            .toContain('Destination changed from Lisbon to <Porto> · Check-in schedule changed');
+    });
+
+    test('says when nothing happened yet', () => {
+        expect(renderTripTimeline([], 'Quiet so far')).toContain('Quiet so far');
+    });
+});
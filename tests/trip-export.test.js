@@ -0,0 +1,124 @@
+const { loadScripts } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('trip-map.js', 'planned-route.js', 'trip-export.js'));
+
+const TRIP = {
+    _id: 'trip1',
+    userId: { name: 'Ada' },
+    destination: 'Lisbon & Porto',
+    locationHistory: [
+        { latitude: 38.7092, longitude: -9.1339, accuracy: 15, timestamp: '2026-03-01T11:55:00Z' },
+        { latitude: 38.7075, longitude: -9.1364, accuracy: 20, timestamp: '2026-03-01T11:50:00Z' },
+        { latitude: null, longitude: null, timestamp: '2026-03-01T11:52:00Z' }
+    ],
+    checkIns: [
+        { timestamp: '2026-03-01T11:50:00Z', method: 'manual', latitude: 38.7075, longitude: -9.1364, accuracy: 20 },
+        { timestamp: '2026-03-01T11:40:00Z', method: 'manual' },
+        { timestamp: '2026-03-01T11:56:00Z', method: 'geofence', geofenceName: 'Casa do Largo', latitude: 38.7114, longitude: -9.1297 }
+    ],
+    sosLocation: { latitude: 38.7118, longitude: -9.13 },
+    sosTimestamp: '2026-03-01T12:00:00Z',
+    lastKnownLocation: { latitude: 38.7118, longitude: -9.13, accuracy: 12, timestamp: '2026-03-01T12:01:00Z' }
+};
+
+function parseXml(text) {
+    return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+describe('getTripExportData', () => {
+    test('keeps every tracked point in time order', () => {
+        const { track } = getTripExportData(TRIP);
+
+        expect(track.map(p => p.timestamp)).toEqual(['2026-03-01T11:50:00Z', '2026-03-01T11:55:00Z']);
+    });
+
+    test('adds check-ins with a position, the SOS and the last known location', () => {
+        const { waypoints } = getTripExportData(TRIP);
+
+        expect(waypoints.map(p => [p.kind, p.name])).toEqual([
+            ['checkin', 'Check-in'],
+            ['checkin', 'Check-in (arrived at Casa do Largo)'],
+            ['sos', 'SOS'],
+            ['last_known', 'Last known location']
+        ]);
+        expect(waypoints[2].timestamp).toBe('2026-03-01T12:00:00Z');
+    });
+
+    test('is empty for a trip without positions', () => {
+        expect(getTripExportData({ destination: 'Kyoto' })).toEqual({ track: [], waypoints: [] });
+        expect(hasExportableLocations({ destination: 'Kyoto' })).toBe(false);
+        expect(hasExportableLocations(TRIP)).toBe(true);
+    });
+});
+
+describe('toGpx', () => {
+    test('writes a track and waypoints other tools can read', () => {
+        const gpx = toGpx(TRIP);
+        const doc = parseXml(gpx);
+
+        expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+        expect(doc.getElementsByTagName('wpt')).toHaveLength(4);
+        expect(doc.querySelector('metadata name').textContent).toBe('Ada - Lisbon & Porto');
+        expect(doc.querySelector('wpt type').textContent).toBe('checkin');
+        expect(doc.querySelector('trkpt desc').textContent).toBe('Accuracy ±20 m');
+
+        // Round trip through our own importer
+        expect(parseGpx(gpx).points).toEqual([
+            { latitude: 38.7075, longitude: -9.1364 },
+            { latitude: 38.7092, longitude: -9.1339 }
+        ]);
+    });
+});
+
+describe('toKml', () => {
+    test('writes the trail as a line and a placemark per position', () => {
+        const doc = parseXml(toKml(TRIP));
+
+        expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+        expect(doc.querySelector('LineString coordinates').textContent).toBe('-9.1364,38.7075 -9.1339,38.7092');
+        expect(doc.getElementsByTagName('Point')).toHaveLength(6);
+        expect(doc.querySelector('Point coordinates').textContent).toBe('-9.1364,38.7075');
+        expect(doc.querySelector('Placemark TimeStamp when')).not.toBeNull();
+    });
+});
+
+describe('toGeoJson', () => {
+    test('writes longitude first, with times and accuracy', () => {
+        const { type, features } = JSON.parse(toGeoJson(TRIP));
+
+        expect(type).toBe('FeatureCollection');
+        expect(features[0].geometry).toEqual({
+            type: 'LineString',
+            coordinates: [[-9.1364, 38.7075], [-9.1339, 38.7092]]
+        });
+        expect(features.filter(f => f.properties.kind === 'sos')[0]).toMatchObject({
+            geometry: { type: 'Point', coordinates: [-9.13, 38.7118] },
+            properties: { timestamp: '2026-03-01T12:00:00Z', accuracy: null }
+        });
+        expect(features).toHaveLength(7);
+    });
+});
+
+describe('downloadTripLocations', () => {
+    beforeEach(() => {
+        URL.createObjectURL = jest.fn(() => 'blob:export');
+        URL.revokeObjectURL = jest.fn();
+    });
+
+    test('downloads a file named after the trip', () => {
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toMatch(/^SoloSafe_lisbon-porto_\d{4}-\d{2}-\d{2}\.kml$/);
+            expect(this.href).toBe('blob:export');
+        });
+
+        downloadTripLocations(TRIP, 'kml');
+
+        expect(click).toHaveBeenCalled();
+        expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/vnd.google-earth.kml+xml');
+        click.mockRestore();
+    });
+
+    test('refuses unknown formats', () => {
+        expect(() => downloadTripLocations(TRIP, 'csv')).toThrow('Unknown export format');
+    });
+});
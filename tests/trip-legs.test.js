@@ -0,0 +1,135 @@
+const { loadScripts, jsonResponse } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('trip-legs.js'));
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+function leg(city, startDay, endDay, extra = {}) {
+    return {
+        city,
+        startDate: new Date(NOW + startDay * DAY).toISOString(),
+        endDate: new Date(NOW + endDay * DAY).toISOString(),
+        ...extra
+    };
+}
+
+const LEGS = [leg('Lisbon', -2, 0), leg('Porto', 0, 2), leg('Madrid', 2, 4)];
+
+describe('getTripLegs', () => {
+    test('returns the legs in travel order', () => {
+        const legs = getTripLegs({ legs: [LEGS[2], LEGS[0], LEGS[1]] });
+
+        expect(legs.map(l => l.city)).toEqual(['Lisbon', 'Porto', 'Madrid']);
+    });
+
+    test('fills in defaults', () => {
+        const [first] = getTripLegs({ legs: [{ ...LEGS[0], transport: 'rocket', city: '  Lisbon ' }] });
+
+        expect(first).toMatchObject({
+            city: 'Lisbon',
+            transport: 'other',
+            bookingRef: '',
+            accommodation: '',
+            latitude: null,
+            longitude: null
+        });
+    });
+
+    test('reads a single-destination trip as one leg', () => {
+        const legs = getTripLegs({
+            destination: 'Paris',
+            startDate: LEGS[0].startDate,
+            endDate: LEGS[0].endDate,
+            accommodation: 'Not specified'
+        });
+
+        expect(legs).toHaveLength(1);
+        expect(legs[0]).toMatchObject({ city: 'Paris', accommodation: '' });
+    });
+
+    test('is empty without a trip', () => {
+        expect(getTripLegs(null)).toEqual([]);
+    });
+});
+
+describe('getCurrentLegIndex', () => {
+    test('finds the leg under way', () => {
+        expect(getCurrentLegIndex(LEGS, NOW - DAY)).toBe(0);
+        expect(getCurrentLegIndex(LEGS, NOW + DAY)).toBe(1);
+    });
+
+    test('moves on once the next leg starts', () => {
+        expect(getCurrentLegIndex(LEGS, NOW)).toBe(1);
+    });
+
+    test('stays on the last leg after the trip', () => {
+        expect(getCurrentLegIndex(LEGS, NOW + 10 * DAY)).toBe(2);
+    });
+
+    test('is -1 before the trip starts', () => {
+        expect(getCurrentLegIndex(LEGS, NOW - 5 * DAY)).toBe(-1);
+        expect(getCurrentLegIndex([], NOW)).toBe(-1);
+    });
+});
+
+describe('validateLegs', () => {
+    test('accepts ordered legs', () => {
+        expect(validateLegs(LEGS)).toBeNull();
+    });
+
+    test('needs at least one stop', () => {
+        expect(validateLegs([])).toBe('Add at least one stop');
+    });
+
+    test('needs a city and valid dates', () => {
+        expect(validateLegs([{ ...LEGS[0], city: '' }])).toBe('Stop 1: enter a city');
+        expect(validateLegs([LEGS[0], { ...LEGS[1], endDate: null }])).toBe('Stop 2: choose valid dates');
+        expect(validateLegs([leg('Lisbon', 2, 1)])).toBe('Stop 1: end date must be after start date');
+    });
+
+    test('keeps stops in order', () => {
+        expect(validateLegs([LEGS[1], LEGS[0]])).toBe('Stop 2 starts before stop 1');
+    });
+});
+
+describe('describing legs', () => {
+    test('summarises the route', () => {
+        expect(summarizeLegs(LEGS)).toBe('Lisbon → Porto → Madrid');
+    });
+
+    test('shows leg dates', () => {
+        expect(describeLegDates(leg('Lisbon', 0, 3))).toBe('Mar 10 - Mar 13');
+    });
+});
+
+describe('geocodeLegs', () => {
+    test('looks up legs without coordinates', async () => {
+        fetch.mockResolvedValue(jsonResponse([{ lat: '41.15', lon: '-8.61' }]));
+
+        const legs = await geocodeLegs([
+            normalizeLeg({ ...LEGS[0], latitude: 38.72, longitude: -9.14 }),
+            normalizeLeg(LEGS[1])
+        ]);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(fetch.mock.calls[0][0]).toContain('q=Porto');
+        expect(legs[1]).toMatchObject({ latitude: 41.15, longitude: -8.61 });
+    });
+
+    test('leaves a leg off the map when the lookup fails', async () => {
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const [result] = await geocodeLegs([normalizeLeg(LEGS[0])]);
+
+        expect(result.latitude).toBeNull();
+    });
+
+    test('handles places that cannot be found', async () => {
+        fetch.mockResolvedValue(jsonResponse([]));
+
+        const [result] = await geocodeLegs([normalizeLeg(LEGS[0])]);
+
+        expect(result.latitude).toBeNull();
+    });
+});
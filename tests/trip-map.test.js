@@ -0,0 +1,220 @@
+const { loadScripts, stubLeaflet } = require('./helpers/browser');
+
+beforeAll(() => loadScripts('config.js', 'clock.js', 'api.js', 'script.js', 'trip-legs.js', 'trip-map.js'));
+
+// A walk north-east through Lisbon, roughly 200 m per step
+const WALK = [
+    { latitude: 38.7075, longitude: -9.1364, accuracy: 20, timestamp: '2026-03-01T12:00:00Z' },
+    { latitude: 38.7092, longitude: -9.1339, accuracy: 15, timestamp: '2026-03-01T12:05:00Z' },
+    { latitude: 38.7104, longitude: -9.1318, accuracy: null, timestamp: '2026-03-01T12:10:00Z' }
+];
+
+function drawnOfType(type) {
+    return L.drawn.filter(layer => layer.type === type);
+}
+
+describe('getTrailPoints', () => {
+    test('returns the location history oldest first', () => {
+        const points = getTrailPoints({ locationHistory: [WALK[2], WALK[0], WALK[1]] });
+
+        expect(points.map(p => p.timestamp)).toEqual(WALK.map(p => p.timestamp));
+    });
+
+    test('falls back to the last known location without a history', () => {
+        const points = getTrailPoints({ lastKnownLocation: { latitude: 38.71, longitude: -9.13 } });
+
+        expect(points).toEqual([{ latitude: 38.71, longitude: -9.13, accuracy: null, timestamp: null }]);
+    });
+
+    test('uses the SOS location and time when that is all there is', () => {
+        const points = getTrailPoints({
+            sosLocation: { latitude: 38.71, longitude: -9.13 },
+            sosTimestamp: '2026-03-01T12:30:00Z'
+        });
+
+        expect(points[0].timestamp).toBe('2026-03-01T12:30:00Z');
+    });
+
+    test('adds the latest location when the history has not caught up', () => {
+        const points = getTrailPoints({
+            locationHistory: WALK.slice(0, 2),
+            lastKnownLocation: WALK[2]
+        });
+
+        expect(points).toHaveLength(3);
+    });
+
+    test('does not repeat the latest location already on the trail', () => {
+        const points = getTrailPoints({ locationHistory: WALK, lastKnownLocation: WALK[2] });
+
+        expect(points).toHaveLength(3);
+    });
+
+    test('drops points without coordinates and GPS jitter', () => {
+        const points = getTrailPoints({
+            locationHistory: [
+                WALK[0],
+                { latitude: null, longitude: null, timestamp: '2026-03-01T12:01:00Z' },
+                { latitude: 0, longitude: 0, timestamp: '2026-03-01T12:02:00Z' },
+                { ...WALK[0], latitude: WALK[0].latitude + 0.00002, timestamp: '2026-03-01T12:03:00Z' },
+                WALK[1]
+            ]
+        });
+
+        expect(points.map(p => p.timestamp)).toEqual([WALK[0].timestamp, WALK[1].timestamp]);
+    });
+
+    test('is empty for a trip that never reported a position', () => {
+        expect(getTrailPoints({ destination: 'Lisbon' })).toEqual([]);
+        expect(getTrailPoints(null)).toEqual([]);
+    });
+});
+
+describe('distance and bearing', () => {
+    test('measures distance in metres', () => {
+        const oneDegreeNorth = getDistanceMeters({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 });
+
+        expect(oneDegreeNorth).toBeCloseTo(111195, -2);
+    });
+
+    test('gives compass bearings', () => {
+        const origin = { latitude: 0, longitude: 0 };
+
+        expect(getBearing(origin, { latitude: 1, longitude: 0 })).toBeCloseTo(0);
+        expect(getBearing(origin, { latitude: 0, longitude: 1 })).toBeCloseTo(90);
+        expect(getBearing(origin, { latitude: -1, longitude: 0 })).toBeCloseTo(180);
+        expect(getBearing(origin, { latitude: 0, longitude: -1 })).toBeCloseTo(270);
+    });
+
+    test('puts an arrow halfway along every segment that shows movement', () => {
+        const arrows = getTrailArrows([
+            { latitude: 0, longitude: 0 },
+            { latitude: 0.01, longitude: 0 },
+            { latitude: 0.01, longitude: 0.0001 }
+        ]);
+
+        expect(arrows).toHaveLength(1);
+        expect(arrows[0].latitude).toBeCloseTo(0.005);
+        expect(arrows[0].bearing).toBeCloseTo(0);
+    });
+});
+
+describe('describeTrailPoint', () => {
+    test('shows time and accuracy', () => {
+        expect(describeTrailPoint({ ...WALK[0], accuracy: 19.6 })).toContain('±20 m');
+    });
+
+    test('says when nothing is known', () => {
+        expect(describeTrailPoint({ accuracy: null, timestamp: null })).toBe('Time unknown');
+    });
+});
+
+describe('renderTrail', () => {
+    beforeEach(() => stubLeaflet());
+
+    test('draws the path, accuracy circles, arrows and the latest position', () => {
+        const tripMap = createTripMap('map');
+        const latest = renderTrail(tripMap, { locationHistory: WALK });
+
+        expect(latest.timestamp).toBe(WALK[2].timestamp);
+        expect(drawnOfType('polyline')[0].latLngs).toEqual(WALK.map(p => [p.latitude, p.longitude]));
+        expect(drawnOfType('circle').map(c => c.options.radius)).toEqual([20, 15]);
+        expect(drawnOfType('circleMarker')).toHaveLength(2);
+        expect(drawnOfType('marker').filter(m => m.options && m.options.icon)).toHaveLength(2);
+        expect(tripMap.map.fitBounds).toHaveBeenCalledTimes(1);
+    });
+
+    test('redraws in place without moving the view again', () => {
+        const tripMap = createTripMap('map');
+        renderTrail(tripMap, { locationHistory: WALK.slice(0, 2) });
+        renderTrail(tripMap, { locationHistory: WALK });
+
+        expect(drawnOfType('polyline')).toHaveLength(1);
+        expect(drawnOfType('polyline')[0].latLngs).toHaveLength(3);
+        expect(tripMap.map.fitBounds).toHaveBeenCalledTimes(1);
+    });
+
+    test('turns red during an emergency', () => {
+        renderTrail(createTripMap('map'), { locationHistory: WALK, sosTriggered: true });
+
+        expect(drawnOfType('polyline')[0].options.color).toBe('#ef4444');
+    });
+
+    test('centres on a single known position', () => {
+        const tripMap = createTripMap('map');
+        renderTrail(tripMap, { lastKnownLocation: WALK[0] });
+
+        expect(drawnOfType('polyline')).toHaveLength(0);
+        expect(tripMap.map.setView).toHaveBeenLastCalledWith([WALK[0].latitude, WALK[0].longitude], 14);
+    });
+
+    test('draws nothing without a location', () => {
+        expect(renderTrail(createTripMap('map'), { destination: 'Lisbon' })).toBeNull();
+        expect(L.drawn.filter(layer => layer.type !== 'tiles')).toHaveLength(0);
+    });
+});
+
+describe('renderLegs', () => {
+    beforeEach(() => stubLeaflet());
+
+    const LEGS = [
+        { city: 'Lisbon', startDate: '2026-03-01T00:00:00Z', endDate: '2026-03-03T00:00:00Z', latitude: 38.72, longitude: -9.14 },
+        { city: 'Porto', startDate: '2026-03-03T00:00:00Z', endDate: '2026-03-05T00:00:00Z', latitude: null, longitude: null },
+        { city: 'Madrid <3>', startDate: '2026-03-05T00:00:00Z', endDate: '2026-03-07T00:00:00Z', latitude: 40.42, longitude: -3.70 }
+    ];
+
+    function legMarkers() {
+        return L.drawn.filter(layer => layer.options && layer.options.icon && /leg-marker/.test(layer.options.icon.className));
+    }
+
+    test('numbers the legs that can be placed and joins them up', () => {
+        renderLegs(createTripMap('map'), LEGS, 2);
+
+        expect(legMarkers().map(m => m.options.icon.html)).toEqual(['<span>1</span>', '<span>3</span>']);
+        expect(legMarkers()[1].options.icon.className).toContain('current');
+        expect(legMarkers()[1].popup).toContain('Madrid &lt;3&gt;');
+        expect(drawnOfType('polyline')[0].options.dashArray).toBeTruthy();
+    });
+
+    test('fits the itinerary when there is no trail', () => {
+        const tripMap = createTripMap('map');
+        renderLegs(tripMap, LEGS);
+        renderTrail(tripMap, { destination: 'Lisbon' });
+
+        expect(tripMap.map.fitBounds).toHaveBeenCalledWith([[38.72, -9.14], [40.42, -3.70]], expect.any(Object));
+    });
+
+    test('prefers the trail for the initial view', () => {
+        const tripMap = createTripMap('map');
+        renderLegs(tripMap, LEGS);
+        renderTrail(tripMap, { locationHistory: WALK });
+
+        expect(tripMap.map.fitBounds).toHaveBeenCalledTimes(1);
+        expect(tripMap.map.fitBounds.mock.calls[0][0]).toHaveLength(3);
+    });
+});
+
+describe('renderPlannedRoute', () => {
+    beforeEach(() => stubLeaflet());
+
+    test('draws the route with its start and end', () => {
+        const tripMap = createTripMap('map');
+        renderPlannedRoute(tripMap, { name: 'Up to the <castle>', points: WALK });
+
+        const [route] = drawnOfType('polyline');
+        expect(route.latLngs).toEqual(WALK.map(p => [p.latitude, p.longitude]));
+        expect(route.popup).toContain('Up to the &lt;castle&gt;');
+        expect(drawnOfType('circleMarker').map(m => m.latLngs)).toEqual([
+            [WALK[0].latitude, WALK[0].longitude],
+            [WALK[2].latitude, WALK[2].longitude]
+        ]);
+    });
+
+    test('clears the route', () => {
+        const tripMap = createTripMap('map');
+        renderPlannedRoute(tripMap, { points: WALK });
+        renderPlannedRoute(tripMap, null);
+
+        expect(L.drawn.filter(layer => layer.type !== 'tiles')).toHaveLength(0);
+    });
+});
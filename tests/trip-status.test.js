@@ -0,0 +1,88 @@
+const { loadScripts, SHARED_SCRIPTS } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS, 'time-zones.js', 'checkin-schedule.js', 'trip-status.js'));
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+function tripAt(extra = {}) {
+    return {
+        _id: 't1',
+        startDate: '2026-02-28T00:00:00Z',
+        endDate: '2026-03-05T00:00:00Z',
+        status: 'Active',
+        gracePeriod: 5,
+        nextCheckIn: new Date(NOW + 10 * MINUTE).toISOString(),
+        ...extra
+    };
+}
+
+describe('normalizeTripStatus', () => {
+    test('reads every status string pages and backends have written', () => {
+        expect(normalizeTripStatus('EMERGENCY')).toBe('sos');
+        expect(normalizeTripStatus('sos')).toBe('sos');
+        expect(normalizeTripStatus('Missed check-in')).toBe('missed');
+        expect(normalizeTripStatus('Completed')).toBe('completed');
+        expect(normalizeTripStatus('canceled')).toBe('cancelled');
+        expect(normalizeTripStatus('wandering')).toBeNull();
+    });
+});
+
+describe('getTripStatus', () => {
+    test('works out where the trip is from its dates and check-ins', () => {
+        expect(getTripStatus(tripAt(), NOW)).toBe('active');
+        expect(getTripStatus(tripAt({ startDate: '2026-03-02T00:00:00Z' }), NOW)).toBe('upcoming');
+        expect(getTripStatus(tripAt({ nextCheckIn: new Date(NOW - MINUTE).toISOString() }), NOW)).toBe('grace');
+        expect(getTripStatus(tripAt({ nextCheckIn: new Date(NOW - 10 * MINUTE).toISOString() }), NOW)).toBe('missed');
+        expect(getTripStatus(tripAt({ status: 'missed check-in' }), NOW)).toBe('missed');
+    });
+
+    test('never shows an SOS as active', () => {
+        expect(getTripStatus(tripAt({ status: 'Active', sosTriggered: true }), NOW)).toBe('sos');
+        expect(getTripStatus(tripAt({ status: 'emergency' }), NOW)).toBe('sos');
+        expect(getTripStatus(tripAt({ status: 'sos', startDate: '2026-03-02T00:00:00Z' }), NOW)).toBe('sos');
+    });
+
+    test('keeps finished trips finished', () => {
+        expect(getTripStatus(tripAt({ status: 'Completed', sosTriggered: true }), NOW)).toBe('completed');
+        expect(getTripStatus(tripAt({ status: 'Cancelled' }), NOW)).toBe('cancelled');
+        expect(isTripFinished(tripAt({ status: 'Cancelled' }))).toBe(true);
+        expect(isTripFinished(tripAt())).toBe(false);
+    });
+});
+
+describe('setTripStatus', () => {
+    test('stores the backend value and SOS flag', () => {
+        const trip = tripAt();
+
+        setTripStatus(trip, 'sos', NOW);
+        expect(trip).toMatchObject({ status: 'EMERGENCY', sosTriggered: true });
+
+        setTripStatus(trip, 'active', NOW);
+        expect(trip).toMatchObject({ status: 'Active', sosTriggered: false });
+
+        setTripStatus(trip, 'completed', NOW);
+        expect(trip.status).toBe('Completed');
+    });
+
+    test('refuses transitions that are not allowed', () => {
+        const trip = tripAt({ status: 'Completed' });
+
+        expect(canChangeTripStatus(trip, 'sos', NOW)).toBe(false);
+        expect(() => setTripStatus(trip, 'active', NOW)).toThrow("A trip can't go from Completed to Active");
+        expect(() => setTripStatus(tripAt({ sosTriggered: true }), 'cancelled', NOW)).toThrow();
+        expect(() => setTripStatus(tripAt(), 'lost', NOW)).toThrow('Unknown trip status');
+        expect(trip.status).toBe('Completed');
+    });
+});
+
+describe('applyTripStatusBadge', () => {
+    test('shows the status with its colour', () => {
+        const badge = document.createElement('span');
+
+        applyTripStatusBadge(badge, 'sos', { emoji: true });
+
+        expect(badge.className).toBe('trip-status status-sos');
+        expect(badge.textContent).toBe('🚨 EMERGENCY');
+    });
+});
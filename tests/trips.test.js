@@ -0,0 +1,134 @@
+const { SHARED_SCRIPTS, loadScripts, jsonResponse, mockPosition, toastMessages, signIn } = require('./helpers/browser');
+
+beforeAll(() => loadScripts(...SHARED_SCRIPTS));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function tripAround(id, startOffset, endOffset, extra = {}) {
+    return {
+        _id: id,
+        destination: id,
+        startDate: new Date(Date.now() + startOffset).toISOString(),
+        endDate: new Date(Date.now() + endOffset).toISOString(),
+        status: 'Active',
+        ...extra
+    };
+}
+
+function lastRequest() {
+    const [url, options] = fetch.mock.calls[fetch.mock.calls.length - 1];
+    return { url, method: options.method, body: options.body && JSON.parse(options.body) };
+}
+
+beforeEach(() => signIn());
+
+describe('getCurrentTrip', () => {
+    test('returns the trip running right now', async () => {
+        fetch.mockResolvedValue(jsonResponse([
+            tripAround('past', -10 * DAY, -5 * DAY),
+            tripAround('now', -DAY, DAY),
+            tripAround('later', 5 * DAY, 10 * DAY)
+        ]));
+
+        const trip = await getCurrentTrip();
+
+        expect(trip._id).toBe('now');
+    });
+
+    test('skips trips that were ended early', async () => {
+        fetch.mockResolvedValue(jsonResponse([
+            tripAround('ended', -DAY, DAY, { status: 'Completed' })
+        ]));
+
+        expect(await getCurrentTrip()).toBeNull();
+    });
+
+    test('caches the trips it fetched', async () => {
+        const trips = [tripAround('now', -DAY, DAY)];
+        fetch.mockResolvedValue(jsonResponse(trips));
+
+        await getCurrentTrip();
+
+        expect(JSON.parse(localStorage.getItem('solosafe_trips'))).toEqual(trips);
+        expect(localStorage.getItem('solosafe_trips_synced_at')).not.toBeNull();
+    });
+
+    test('falls back to cached trips when offline', async () => {
+        localStorage.setItem('solosafe_trips', JSON.stringify([tripAround('cached', -DAY, DAY)]));
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const trip = await getCurrentTrip();
+
+        expect(trip._id).toBe('cached');
+    });
+});
+
+describe('checkIn', () => {
+    test('sends the current position with the check-in', async () => {
+        mockPosition({ latitude: 51.5, longitude: -0.12 });
+        fetch.mockResolvedValue(jsonResponse({ nextCheckIn: new Date().toISOString() }));
+
+        await checkIn('trip1');
+
+        const request = lastRequest();
+        expect(request.url).toMatch(/\/trips\/trip1\/safe$/);
+        expect(request.method).toBe('PUT');
+        expect(request.body).toMatchObject({ latitude: 51.5, longitude: -0.12 });
+        expect(Date.parse(request.body.timestamp)).not.toBeNaN();
+        expect(toastMessages()).toContain('Check-in successful! ✅');
+    });
+
+    test('still checks in without a location', async () => {
+        mockPosition(null, { code: 1, message: 'denied' });
+        fetch.mockResolvedValue(jsonResponse({}));
+
+        await checkIn('trip1');
+
+        expect(lastRequest().body).toMatchObject({ latitude: null, longitude: null });
+    });
+
+    test('tells the user when the check-in failed', async () => {
+        mockPosition({ latitude: 1, longitude: 2 });
+        fetch.mockResolvedValue(jsonResponse({ message: 'boom' }, 500));
+
+        await checkIn('trip1');
+
+        expect(toastMessages()).toContain('Check-in failed. Please try again.');
+    });
+});
+
+describe('triggerSOS', () => {
+    test('posts an SOS with the current position', async () => {
+        mockPosition({ latitude: 48.85, longitude: 2.35 });
+        fetch.mockResolvedValue(jsonResponse({ message: 'SOS sent' }));
+
+        await triggerSOS('trip1');
+
+        const request = lastRequest();
+        expect(request.url).toMatch(/\/alerts\/sos$/);
+        expect(request.method).toBe('POST');
+        expect(request.body).toEqual({ tripId: 'trip1', latitude: 48.85, longitude: 2.35 });
+        expect(toastMessages()).toContain('🚨 SOS alert sent to all emergency contacts');
+    });
+
+    test('shows a browser notification when allowed', async () => {
+        Notification.permission = 'granted';
+        mockPosition(null, { code: 2 });
+        fetch.mockResolvedValue(jsonResponse({}));
+
+        await triggerSOS('trip1');
+
+        expect(Notification).toHaveBeenCalledWith('SOS Alert Triggered', expect.objectContaining({
+            body: 'Emergency contacts have been notified'
+        }));
+    });
+
+    test('reports a failed SOS', async () => {
+        mockPosition(null, { code: 2 });
+        fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+        await triggerSOS('trip1');
+
+        expect(toastMessages()).toContain('Failed to send SOS alert');
+    });
+});
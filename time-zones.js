@@ -0,0 +1,178 @@
+// ========================
+// SOLOSAFE - TIME ZONES
+// Trips and legs carry an IANA time zone (e.g. 'Europe/Lisbon') so a
+// check-in at 21:00 means 21:00 where the traveller is, whoever opens
+// the page and wherever they are. Shared with sw.js via importScripts,
+// so no window exports. Load before checkin-schedule.js.
+// ========================
+
+const ZONE_FORMATTERS = new Map();
+
+/**
+ * Time zone of the device showing the page
+ */
+function getViewerTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Every zone the browser knows, for pickers
+ */
+function listTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return zones.length ? zones : [getViewerTimeZone()];
+}
+
+/**
+ * Wall-clock parts of `time` (ms) in `timeZone`, month 1-12
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number}}
+ */
+function getZonedParts(time, timeZone) {
+    if (!ZONE_FORMATTERS.has(timeZone)) {
+        ZONE_FORMATTERS.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = {};
+    ZONE_FORMATTERS.get(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hours: parts.hour % 24,
+        minutes: parts.minute,
+        seconds: parts.second
+    };
+}
+
+/**
+ * Minutes `timeZone` is ahead of UTC at `time`
+ */
+function getTimeZoneOffset(time, timeZone) {
+    const p = getZonedParts(time, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+    return Math.round((wallClock - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+/**
+ * ms of a wall-clock time in `timeZone`, out of range days roll over like Date.UTC
+ * A time skipped by a daylight saving change lands just after it
+ */
+function zonedTimeToUtc(year, month, day, hours, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+    const guess = wallClock - getTimeZoneOffset(wallClock, timeZone) * 60000;
+    return wallClock - getTimeZoneOffset(guess, timeZone) * 60000;
+}
+
+/**
+ * First and last moment of a 'YYYY-MM-DD' day in `timeZone`, as ISO strings
+ */
+function getZonedDayBounds(date, timeZone) {
+    const [year, month, day] = String(date).split('-').map(Number);
+    if (!year || !month || !day) return { start: null, end: null };
+
+    return {
+        start: new Date(zonedTimeToUtc(year, month, day, 0, 0, timeZone)).toISOString(),
+        end: new Date(zonedTimeToUtc(year, month, day + 1, 0, 0, timeZone) - 1).toISOString()
+    };
+}
+
+/**
+ * 'YYYY-MM-DD' of `time` in `timeZone`
+ */
+function getZonedDateString(time, timeZone) {
+    const p = getZonedParts(time, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * e.g. 'America/New_York' -> 'New York'
+ */
+function describeTimeZone(timeZone) {
+    return String(timeZone).split('/').pop().replace(/_/g, ' ');
+}
+
+function formatZonedTime(time, timeZone, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    return new Date(time).toLocaleString([], { ...options, timeZone });
+}
+
+/**
+ * A check-in time as the traveller and the viewer see it, e.g.
+ * "Mar 3, 2026, 9:00 PM Lisbon time (Tue 10:00 PM your time)"
+ * Just the traveller's time when both clocks agree, and plain viewer
+ * time for trips saved without a zone
+ */
+function formatDualTime(time, timeZone, viewerZone = getViewerTimeZone()) {
+    if (!time) return '-';
+    if (!isValidTimeZone(timeZone)) return formatZonedTime(time, viewerZone);
+
+    const ms = new Date(time).getTime();
+    const travellerTime = `${formatZonedTime(ms, timeZone)} ${describeTimeZone(timeZone)} time`;
+    if (getTimeZoneOffset(ms, timeZone) === getTimeZoneOffset(ms, viewerZone)) return travellerTime;
+
+    const viewerTime = formatZonedTime(ms, viewerZone, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    return `${travellerTime} (${viewerTime} your time)`;
+}
+
+// ========================
+// TRIP TIMES
+// ========================
+
+/**
+ * Leg the traveller is on at `time`
+ * Same rule as getCurrentLegIndex: the last leg that has started
+ */
+function getLegAt(trip, time = Date.now()) {
+    const legs = (trip && Array.isArray(trip.legs) ? trip.legs : [])
+        .filter(leg => leg.startDate && new Date(leg.startDate).getTime() <= time)
+        .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    return legs[legs.length - 1] || null;
+}
+
+/**
+ * IANA time zone the traveller is in at `time`: the leg's, else the
+ * trip's. Null for trips saved without one.
+ */
+function getTripTimeZone(trip, time = Date.now()) {
+    const leg = getLegAt(trip, time);
+    const timeZone = (leg && leg.timeZone) || (trip && trip.timeZone);
+    return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+/**
+ * A check-in (or any trip) time in the traveller's zone at that moment
+ * and the viewer's, see formatDualTime
+ */
+function formatTripTime(trip, time) {
+    if (!time) return '-';
+    return formatDualTime(time, getTripTimeZone(trip, new Date(time).getTime()));
+}
+
+/**
+ * A trip or leg date as the day it is where the traveller is
+ */
+function formatTripDate(trip, date, options = { dateStyle: 'medium' }) {
+    const time = new Date(date).getTime();
+    return formatZonedTime(time, getTripTimeZone(trip, time) || getViewerTimeZone(), options);
+}
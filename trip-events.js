@@ -0,0 +1,144 @@
+// ========================
+// SOLOSAFE - TRIP EVENTS
+// Everything that happened during a trip, in order: check-ins, missed
+// check-ins, SOS, edits and the end of the trip. The backend records
+// what it sees; the app reports the deadlines it watches (grace start,
+// missed check-in). Kept locally as well so the log survives being offline.
+// ========================
+
+const TRIP_EVENT_TYPES = {
+    checkin: { label: 'Checked in', icon: 'fas fa-check', color: '#00cc66' },
+    grace_started: { label: 'Check-in overdue, grace period started', icon: 'fas fa-hourglass-half', color: '#f59e0b' },
+    missed_checkin: { label: 'Missed check-in', icon: 'fas fa-clock', color: '#f97316' },
+    sos: { label: 'SOS triggered', icon: 'fas fa-exclamation-triangle', color: '#ff4444' },
+    sos_cancelled: { label: 'SOS cancelled', icon: 'fas fa-shield-alt', color: '#3b82f6' },
+    trip_ended: { label: 'Trip ended', icon: 'fas fa-flag-checkered', color: '#6c757d' },
+    trip_updated: { label: 'Trip details changed', icon: 'fas fa-pen', color: '#6366f1' }
+};
+
+// What caused the event
+const TRIP_EVENT_SOURCES = {
+    manual: 'Manual',
+    auto: 'Automatic',
+    geofence: 'Safe zone',
+    // Only contacts ever see these, see the duress check-in
+    duress: 'Silent (duress)'
+};
+
+const TRIP_EVENT_LIMIT = 200;
+
+/**
+ * @typedef {Object} TripEvent
+ * @property {string} type - key of TRIP_EVENT_TYPES
+ * @property {string} timestamp - ISO date
+ * @property {'manual'|'auto'|'geofence'|'duress'} source
+ * @property {?number} [latitude] - where it happened, when known
+ * @property {?number} [longitude]
+ * @property {?number} [accuracy] - metres
+ * @property {string} [geofenceName] - safe zone of a geofence check-in
+ * @property {boolean} [offline] - check-in sent late from the offline queue
+ * @property {string[]} [changes] - what a trip_updated event changed, in words
+ */
+
+/**
+ * Build an event, `location` is {latitude, longitude, accuracy} or null
+ * @returns {TripEvent}
+ */
+function createTripEvent(type, { timestamp = new Date(getNow()).toISOString(), source = 'manual', location = null, ...details } = {}) {
+    const event = { type, timestamp, source, ...details };
+    if (location && location.latitude != null && location.longitude != null) {
+        event.latitude = location.latitude;
+        event.longitude = location.longitude;
+        event.accuracy = location.accuracy ?? null;
+    }
+    return event;
+}
+
+/**
+ * Same event reported twice, e.g. after a reload during the grace period
+ */
+function isSameTripEvent(a, b) {
+    return a.type === b.type && new Date(a.timestamp).getTime() === new Date(b.timestamp).getTime();
+}
+
+/**
+ * Add an event to the trip's log, returns whether it was new
+ */
+function recordTripEvent(trip, event) {
+    const events = trip.events || [];
+    if (events.some(existing => isSameTripEvent(existing, event))) return false;
+
+    trip.events = [...events, event].slice(-TRIP_EVENT_LIMIT);
+    return true;
+}
+
+/**
+ * The trip's log oldest first, filled in from check-in records and
+ * the SOS time for trips saved before events were kept
+ * @returns {TripEvent[]}
+ */
+function getTripEvents(trip) {
+    if (!trip) return [];
+
+    const events = (trip.events || []).filter(event => TRIP_EVENT_TYPES[event.type]);
+
+    (trip.checkIns || []).forEach(({ method, timestamp, geofenceId, ...record }) => {
+        const event = createTripEvent('checkin', { ...record, timestamp, source: method === 'geofence' ? 'geofence' : 'manual' });
+        if (!events.some(existing => isSameTripEvent(existing, event))) events.push(event);
+    });
+
+    if (trip.sosTimestamp && !events.some(event => event.type === 'sos')) {
+        events.push(createTripEvent('sos', { timestamp: trip.sosTimestamp, location: trip.sosLocation }));
+    }
+
+    return events.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * e.g. "38.707500, -9.136400 (±20 m)", null when the event has no position
+ */
+function describeTripEventLocation(event) {
+    if (event.latitude == null || event.longitude == null) return null;
+
+    const accuracy = event.accuracy != null ? ` (±${Math.round(event.accuracy)} m)` : '';
+    return `${Number(event.latitude).toFixed(6)}, ${Number(event.longitude).toFixed(6)}${accuracy}`;
+}
+
+/**
+ * Timeline of the trip's events, newest last
+ * With the trip, times show in the traveller's zone and the viewer's
+ */
+function renderTripTimeline(events, emptyText = 'Nothing recorded yet.', trip = null) {
+    if (!events.length) return `<p class="text-muted mb-0">${escapeHtml(emptyText)}</p>`;
+
+    return events.map(event => {
+        const type = TRIP_EVENT_TYPES[event.type];
+        const where = describeTripEventLocation(event);
+        const notes = [
+            event.geofenceName && `Arrived at ${escapeHtml(event.geofenceName)}`,
+            event.offline && 'Sent when back online',
+            ...(event.changes || []).map(escapeHtml)
+        ].filter(Boolean);
+
+        return `
+            <div class="timeline-item" data-event="${event.type}">
+                <div class="timeline-dot" style="background: ${type.color}; box-shadow: 0 0 0 2px ${type.color};"></div>
+                <div class="d-flex justify-content-between align-items-start gap-2 flex-wrap">
+                    <strong><i class="${type.icon} me-1"></i>${type.label}</strong>
+                    <span class="badge bg-light text-dark border">${TRIP_EVENT_SOURCES[event.source] || TRIP_EVENT_SOURCES.manual}</span>
+                </div>
+                <small class="text-muted d-block">${trip ? formatTripTime(trip, event.timestamp) : new Date(event.timestamp).toLocaleString()}</small>
+                <small class="d-block">
+                    <i class="fas fa-map-marker-alt me-1 text-muted"></i>${where || '<span class="text-muted">Location unknown</span>'}
+                </small>
+                ${notes.length ? `<small class="text-muted d-block">${notes.join(' · ')}</small>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+window.createTripEvent = createTripEvent;
+window.recordTripEvent = recordTripEvent;
+window.getTripEvents = getTripEvents;
+window.describeTripEventLocation = describeTripEventLocation;
+window.renderTripTimeline = renderTripTimeline;
@@ -0,0 +1,223 @@
+// ========================
+// SOLOSAFE - TRIP LOCATION EXPORT
+// A trip's recorded positions as GPX, KML or GeoJSON, for incident
+// reports and other mapping tools. The tracking trail becomes a track;
+// check-ins, the SOS and the last known position become waypoints.
+// ========================
+
+/**
+ * @typedef {Object} ExportPoint
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {?number} accuracy - metres
+ * @property {?string} timestamp - ISO date
+ * @property {'track'|'checkin'|'sos'|'last_known'} kind
+ * @property {string} name
+ */
+
+function hasCoordinates(point) {
+    return !!point && point.latitude != null && point.longitude != null
+        && Number.isFinite(Number(point.latitude)) && Number.isFinite(Number(point.longitude));
+}
+
+function toExportPoint(point, kind, name, timestamp = point.timestamp) {
+    const accuracy = point.accuracy == null ? NaN : Number(point.accuracy);
+
+    return {
+        latitude: Number(point.latitude),
+        longitude: Number(point.longitude),
+        accuracy: Number.isFinite(accuracy) ? accuracy : null,
+        timestamp: timestamp || null,
+        kind,
+        name
+    };
+}
+
+function byTime(a, b) {
+    return new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
+}
+
+/**
+ * Every recorded position of a trip, unfiltered
+ * @returns {{track: ExportPoint[], waypoints: ExportPoint[]}}
+ */
+function getTripExportData(trip) {
+    const track = (trip.locationHistory || [])
+        .filter(hasCoordinates)
+        .map(point => toExportPoint(point, 'track', 'Tracked position'))
+        .sort(byTime);
+
+    const waypoints = (trip.checkIns || [])
+        .filter(hasCoordinates)
+        .map(checkIn => toExportPoint(
+            checkIn,
+            'checkin',
+            checkIn.method === 'geofence' ? `Check-in (arrived at ${checkIn.geofenceName || 'a safe zone'})` : 'Check-in'
+        ));
+
+    if (hasCoordinates(trip.sosLocation)) {
+        waypoints.push(toExportPoint(trip.sosLocation, 'sos', 'SOS', trip.sosTimestamp || trip.sosLocation.timestamp));
+    }
+    if (hasCoordinates(trip.lastKnownLocation)) {
+        waypoints.push(toExportPoint(trip.lastKnownLocation, 'last_known', 'Last known location'));
+    }
+
+    return { track, waypoints: waypoints.sort(byTime) };
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function getExportTitle(trip) {
+    const name = (trip.userId && trip.userId.name) || 'Traveler';
+    return `${name} - ${trip.destination || 'Trip'}`;
+}
+
+function describeAccuracy(point) {
+    return point.accuracy === null ? '' : `Accuracy ±${Math.round(point.accuracy)} m`;
+}
+
+/**
+ * GPX 1.1: the trail as a track, other positions as waypoints
+ */
+function toGpx(trip) {
+    const { track, waypoints } = getTripExportData(trip);
+    const title = escapeXml(getExportTitle(trip));
+
+    const pointBody = point => [
+        point.timestamp ? `<time>${point.timestamp}</time>` : '',
+        point.kind !== 'track' ? `<name>${escapeXml(point.name)}</name>` : '',
+        point.accuracy !== null ? `<desc>${describeAccuracy(point)}</desc>` : '',
+        point.kind !== 'track' ? `<type>${point.kind}</type>` : ''
+    ].join('');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="SoloSafe" xmlns="http://www.topografix.com/GPX/1/1">',
+        `  <metadata><name>${title}</name><time>${new Date().toISOString()}</time></metadata>`,
+        ...waypoints.map(point => `  <wpt lat="${point.latitude}" lon="${point.longitude}">${pointBody(point)}</wpt>`),
+        ...(track.length ? [
+            `  <trk><name>${title}</name><trkseg>`,
+            ...track.map(point => `    <trkpt lat="${point.latitude}" lon="${point.longitude}">${pointBody(point)}</trkpt>`),
+            '  </trkseg></trk>'
+        ] : []),
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * KML 2.2: a line for the trail plus a timestamped placemark per position
+ */
+function toKml(trip) {
+    const { track, waypoints } = getTripExportData(trip);
+    const coordinates = point => `${point.longitude},${point.latitude}`;
+
+    const placemark = point => [
+        '    <Placemark>',
+        `      <name>${escapeXml(point.name)}</name>`,
+        point.timestamp ? `      <TimeStamp><when>${point.timestamp}</when></TimeStamp>` : '',
+        point.accuracy !== null ? `      <description>${describeAccuracy(point)}</description>` : '',
+        `      <Point><coordinates>${coordinates(point)}</coordinates></Point>`,
+        '    </Placemark>'
+    ].filter(Boolean).join('\n');
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(getExportTitle(trip))}</name>`,
+        ...(track.length > 1 ? [
+            '    <Placemark>',
+            '      <name>Trail</name>',
+            `      <LineString><coordinates>${track.map(coordinates).join(' ')}</coordinates></LineString>`,
+            '    </Placemark>'
+        ] : []),
+        ...waypoints.map(placemark),
+        ...(track.length ? [
+            '    <Folder>',
+            '      <name>Tracked positions</name>',
+            ...track.map(placemark),
+            '    </Folder>'
+        ] : []),
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * GeoJSON (RFC 7946): a LineString for the trail and a Point per position
+ */
+function toGeoJson(trip) {
+    const { track, waypoints } = getTripExportData(trip);
+
+    const pointFeature = point => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] },
+        properties: {
+            kind: point.kind,
+            name: point.name,
+            timestamp: point.timestamp,
+            accuracy: point.accuracy
+        }
+    });
+
+    const features = [];
+    if (track.length > 1) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: track.map(point => [point.longitude, point.latitude]) },
+            properties: { kind: 'trail', name: getExportTitle(trip) }
+        });
+    }
+    features.push(...waypoints.map(pointFeature), ...track.map(pointFeature));
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+const TRIP_EXPORT_FORMATS = {
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', build: toGpx },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: toKml },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: toGeoJson }
+};
+
+/**
+ * Whether a trip has any position worth exporting
+ */
+function hasExportableLocations(trip) {
+    const { track, waypoints } = getTripExportData(trip);
+    return track.length + waypoints.length > 0;
+}
+
+/**
+ * Download a trip's positions in one of TRIP_EXPORT_FORMATS
+ */
+function downloadTripLocations(trip, format) {
+    const exporter = TRIP_EXPORT_FORMATS[format];
+    if (!exporter) throw new Error(`Unknown export format: ${format}`);
+
+    const blob = new Blob([exporter.build(trip)], { type: exporter.mimeType });
+    const url = URL.createObjectURL(blob);
+    const slug = String(trip.destination || 'trip').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `SoloSafe_${slug || 'trip'}_${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+}
+
+window.getTripExportData = getTripExportData;
+window.toGpx = toGpx;
+window.toKml = toKml;
+window.toGeoJson = toGeoJson;
+window.hasExportableLocations = hasExportableLocations;
+window.downloadTripLocations = downloadTripLocations;
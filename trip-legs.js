@@ -0,0 +1,172 @@
+// ========================
+// SOLOSAFE - TRIP LEGS
+// A trip is an ordered list of stops ("legs"), each with its own
+// city, dates, transport and accommodation. Trips created before
+// legs existed are read as a single leg.
+// ========================
+
+// How the traveller gets to a stop
+const TRANSPORT_MODES = {
+    flight: { label: 'Flight', icon: 'fa-plane' },
+    train: { label: 'Train', icon: 'fa-train' },
+    bus: { label: 'Bus', icon: 'fa-bus' },
+    car: { label: 'Car', icon: 'fa-car' },
+    ferry: { label: 'Ferry', icon: 'fa-ship' },
+    other: { label: 'Other', icon: 'fa-route' }
+};
+
+const GEOCODE_URL = 'https://nominatim.openstreetmap.org/search';
+
+/**
+ * @typedef {Object} TripLeg
+ * @property {string} city
+ * @property {string} startDate - ISO date
+ * @property {string} endDate - ISO date
+ * @property {string} transport - key of TRANSPORT_MODES
+ * @property {string} bookingRef
+ * @property {string} accommodation - address
+ * @property {?number} latitude - of the city, for the map
+ * @property {?number} longitude
+ * @property {?Object} checkInSchedule - overrides the trip's CheckInSchedule on this stop, see checkin-schedule.js
+ * @property {?string} timeZone - IANA zone of this stop when not the trip's, see time-zones.js
+ */
+
+function toCoordinate(value) {
+    const number = value == null || value === '' ? NaN : Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Clean up a leg from user input or the backend
+ * @returns {TripLeg}
+ */
+function normalizeLeg(leg) {
+    return {
+        city: String(leg.city || '').trim(),
+        startDate: leg.startDate || null,
+        endDate: leg.endDate || null,
+        transport: TRANSPORT_MODES[leg.transport] ? leg.transport : 'other',
+        bookingRef: String(leg.bookingRef || '').trim(),
+        accommodation: String(leg.accommodation || '').trim(),
+        latitude: toCoordinate(leg.latitude),
+        longitude: toCoordinate(leg.longitude),
+        checkInSchedule: leg.checkInSchedule || null,
+        timeZone: String(leg.timeZone || '').trim() || null
+    };
+}
+
+/**
+ * Legs of a trip in travel order
+ * @returns {TripLeg[]}
+ */
+function getTripLegs(trip) {
+    if (!trip) return [];
+
+    if (Array.isArray(trip.legs) && trip.legs.length) {
+        return trip.legs
+            .map(normalizeLeg)
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    }
+
+    if (!trip.destination) return [];
+
+    return [normalizeLeg({
+        city: trip.destination,
+        startDate: trip.startDate,
+        endDate: trip.endDate,
+        accommodation: trip.accommodation === 'Not specified' ? '' : trip.accommodation
+    })];
+}
+
+/**
+ * Index of the leg the traveller is on at `now`: the last leg that
+ * has started, so travel days between stops count as the next one
+ * once it begins. -1 before the trip starts.
+ */
+function getCurrentLegIndex(legs, now = Date.now()) {
+    let current = -1;
+
+    legs.forEach((leg, index) => {
+        if (new Date(leg.startDate).getTime() <= now) current = index;
+    });
+
+    return current;
+}
+
+/**
+ * Check legs entered by the user, returning an error message or null
+ */
+function validateLegs(legs) {
+    if (!legs.length) return 'Add at least one stop';
+
+    for (let i = 0; i < legs.length; i++) {
+        const leg = legs[i];
+        const start = new Date(leg.startDate);
+        const end = new Date(leg.endDate);
+
+        if (!leg.city) return `Stop ${i + 1}: enter a city`;
+        if (!leg.startDate || !leg.endDate || isNaN(start) || isNaN(end)) return `Stop ${i + 1}: choose valid dates`;
+        if (end < start) return `Stop ${i + 1}: end date must be after start date`;
+
+        if (i > 0 && start < new Date(legs[i - 1].startDate)) {
+            return `Stop ${i + 1} starts before stop ${i}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Short route, e.g. "Lisbon → Porto → Madrid"
+ */
+function summarizeLegs(legs) {
+    return legs.map(leg => leg.city).join(' → ');
+}
+
+/**
+ * Dates of a leg, e.g. "Mar 1 - Mar 4"
+ */
+function describeLegDates(leg) {
+    const format = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `${format(leg.startDate)} - ${format(leg.endDate)}`;
+}
+
+/**
+ * Look up the coordinates of a city or address (OpenStreetMap Nominatim)
+ * Best effort: resolves null when the lookup fails
+ */
+async function geocodeCity(city) {
+    try {
+        const response = await fetch(`${GEOCODE_URL}?format=json&limit=1&q=${encodeURIComponent(city)}`, {
+            headers: { 'Accept-Language': 'en' }
+        });
+        if (!response.ok) return null;
+
+        const [place] = await response.json();
+        return place ? { latitude: Number(place.lat), longitude: Number(place.lon) } : null;
+    } catch (err) {
+        console.warn(`Could not locate ${city}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Fill in coordinates for legs that have none, so they can go on the map
+ */
+function geocodeLegs(legs) {
+    return Promise.all(legs.map(async leg => {
+        if (leg.latitude !== null && leg.longitude !== null) return leg;
+
+        const place = await geocodeCity(leg.city);
+        return place ? { ...leg, ...place } : leg;
+    }));
+}
+
+window.getTripLegs = getTripLegs;
+window.normalizeLeg = normalizeLeg;
+window.getCurrentLegIndex = getCurrentLegIndex;
+window.validateLegs = validateLegs;
+window.summarizeLegs = summarizeLegs;
+window.describeLegDates = describeLegDates;
+window.geocodeCity = geocodeCity;
+window.geocodeLegs = geocodeLegs;
@@ -0,0 +1,304 @@
+// ========================
+// SOLOSAFE - TRIP MAP
+// Breadcrumb trail of a traveller's reported locations, the stops
+// of their itinerary and their planned route, shown to contacts on
+// shared-trip.html and trip-details.html (needs Leaflet and trip-legs.js)
+// ========================
+
+const TRIP_MAP_TILES = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TRIP_MAP_ATTRIBUTION = '© OpenStreetMap contributors';
+
+// Points closer together than this are GPS jitter, not movement
+const TRAIL_MIN_MOVE_METERS = 15;
+// Only segments at least this long get a direction arrow
+const TRAIL_ARROW_MIN_METERS = 50;
+const TRAIL_COLOR = '#667eea';
+const TRAIL_SOS_COLOR = '#ef4444';
+const LEG_ROUTE_COLOR = '#6c757d';
+const PLANNED_ROUTE_COLOR = '#20c997';
+
+/**
+ * @typedef {Object} TrailPoint
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {?number} accuracy - metres
+ * @property {?string} timestamp - ISO date
+ */
+
+function isValidCoordinate(point) {
+    return !!point
+        && Number.isFinite(Number(point.latitude))
+        && Number.isFinite(Number(point.longitude))
+        && !(Number(point.latitude) === 0 && Number(point.longitude) === 0);
+}
+
+function toTrailPoint(point) {
+    const accuracy = point.accuracy == null ? NaN : Number(point.accuracy);
+
+    return {
+        latitude: Number(point.latitude),
+        longitude: Number(point.longitude),
+        accuracy: Number.isFinite(accuracy) ? accuracy : null,
+        timestamp: point.timestamp || null
+    };
+}
+
+/**
+ * Trail of a trip, oldest first
+ * Uses trip.locationHistory; trips without one (older backends) fall
+ * back to the single lastKnownLocation / sosLocation
+ * @returns {TrailPoint[]}
+ */
+function getTrailPoints(trip) {
+    if (!trip) return [];
+
+    const history = (Array.isArray(trip.locationHistory) ? trip.locationHistory : [])
+        .filter(isValidCoordinate)
+        .map(toTrailPoint)
+        .sort((a, b) => new Date(a.timestamp || 0) - new Date(b.timestamp || 0));
+
+    const latest = [trip.lastKnownLocation, trip.sosLocation].find(isValidCoordinate);
+    if (latest) {
+        const last = history[history.length - 1];
+        if (!last || getDistanceMeters(last, latest) >= TRAIL_MIN_MOVE_METERS) {
+            history.push(toTrailPoint({ timestamp: trip.sosTimestamp, ...latest }));
+        }
+    }
+
+    // Collapse jitter around a point the traveller is standing still at
+    return history.filter((point, i) =>
+        i === 0 || i === history.length - 1 || getDistanceMeters(history[i - 1], point) >= TRAIL_MIN_MOVE_METERS
+    );
+}
+
+/**
+ * Great-circle distance between two points, in metres
+ */
+function getDistanceMeters(from, to) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(to.latitude - from.latitude);
+    const dLng = toRad(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Compass bearing from one point to another, 0-360 (0 = north)
+ */
+function getBearing(from, to) {
+    const toRad = deg => deg * Math.PI / 180;
+    const lat1 = toRad(from.latitude);
+    const lat2 = toRad(to.latitude);
+    const dLng = toRad(to.longitude - from.longitude);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Where to draw direction arrows: the middle of every segment long
+ * enough to show movement, pointing the way the traveller went
+ */
+function getTrailArrows(points) {
+    const arrows = [];
+
+    for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        if (getDistanceMeters(from, to) < TRAIL_ARROW_MIN_METERS) continue;
+
+        arrows.push({
+            latitude: (from.latitude + to.latitude) / 2,
+            longitude: (from.longitude + to.longitude) / 2,
+            bearing: getBearing(from, to)
+        });
+    }
+
+    return arrows;
+}
+
+/**
+ * One line description of a point, e.g. "14:02 · ±12 m"
+ */
+function describeTrailPoint(point) {
+    const parts = [];
+    if (point.timestamp) parts.push(new Date(point.timestamp).toLocaleString());
+    if (point.accuracy !== null) parts.push(`±${Math.round(point.accuracy)} m`);
+    return parts.join(' · ') || 'Time unknown';
+}
+
+function createArrowIcon(bearing, color) {
+    return L.divIcon({
+        className: 'trail-arrow',
+        html: `<i class="fas fa-location-arrow" style="color:${color};transform:rotate(${Math.round(bearing - 45)}deg)"></i>`,
+        iconSize: [16, 16],
+        iconAnchor: [8, 8]
+    });
+}
+
+function createLegIcon(number, current) {
+    return L.divIcon({
+        className: `leg-marker${current ? ' current' : ''}`,
+        html: `<span>${number}</span>`,
+        iconSize: [26, 26],
+        iconAnchor: [13, 13]
+    });
+}
+
+/**
+ * Create the map in `elementId` with empty itinerary, route and trail layers
+ * Returns the handle renderLegs() / renderPlannedRoute() / renderTrail() update in place
+ */
+function createTripMap(elementId) {
+    const map = L.map(elementId).setView([20, 0], 2);
+
+    L.tileLayer(TRIP_MAP_TILES, { attribution: TRIP_MAP_ATTRIBUTION }).addTo(map);
+
+    return {
+        map,
+        legs: L.layerGroup().addTo(map),
+        route: L.layerGroup().addTo(map),
+        trail: L.layerGroup().addTo(map),
+        fitted: false
+    };
+}
+
+/**
+ * Move the view onto some points, only the first time so a viewer
+ * who has zoomed in is not thrown back on every refresh
+ */
+function fitTripMap(tripMap, latLngs) {
+    if (tripMap.fitted || !latLngs.length) return;
+
+    if (latLngs.length > 1) {
+        tripMap.map.fitBounds(latLngs, { padding: [30, 30], maxZoom: 16 });
+    } else {
+        tripMap.map.setView(latLngs[0], 14);
+    }
+    tripMap.fitted = true;
+}
+
+/**
+ * Draw the itinerary: a numbered marker per leg joined by a dashed
+ * route, the current leg highlighted. Legs without coordinates are
+ * skipped. Call before renderTrail() so the view favours the trail.
+ */
+function renderLegs(tripMap, legs, currentIndex = -1) {
+    tripMap.legs.clearLayers();
+
+    const placed = legs
+        .map((leg, index) => ({ ...leg, index }))
+        .filter(isValidCoordinate);
+    const latLngs = placed.map(leg => [leg.latitude, leg.longitude]);
+    tripMap.legLatLngs = latLngs;
+
+    if (placed.length > 1) {
+        L.polyline(latLngs, { color: LEG_ROUTE_COLOR, weight: 2, opacity: 0.7, dashArray: '6 8' })
+            .addTo(tripMap.legs);
+    }
+
+    placed.forEach(leg => {
+        L.marker([leg.latitude, leg.longitude], {
+            icon: createLegIcon(leg.index + 1, leg.index === currentIndex)
+        })
+            .bindPopup(`<b>${escapeHtml(leg.city)}</b><br><small>${describeLegDates(leg)}</small>`)
+            .addTo(tripMap.legs);
+    });
+}
+
+/**
+ * Draw the route the traveller planned to take, with its start and end
+ * Pass null to clear it
+ * @param {?PlannedRoute} route
+ */
+function renderPlannedRoute(tripMap, route) {
+    tripMap.route.clearLayers();
+    if (!route || !route.points.length) return;
+
+    const latLngs = route.points.map(point => [point.latitude, point.longitude]);
+
+    if (latLngs.length > 1) {
+        L.polyline(latLngs, { color: PLANNED_ROUTE_COLOR, weight: 5, opacity: 0.5 })
+            .bindPopup(`<b>Planned route</b>${route.name ? `<br>${escapeHtml(route.name)}` : ''}`)
+            .addTo(tripMap.route);
+    }
+
+    [latLngs[0], latLngs[latLngs.length - 1]].forEach(latLng => {
+        L.circleMarker(latLng, { radius: 5, color: PLANNED_ROUTE_COLOR, fillColor: '#fff', fillOpacity: 1, weight: 3 })
+            .addTo(tripMap.route);
+    });
+}
+
+/**
+ * Draw (or redraw) a trip's trail: accuracy circles, the path with a
+ * dot per reported point, direction arrows and a marker on the latest
+ * point. Without a trail the view falls back to the itinerary.
+ * Returns the latest point, or null when the trip has no location
+ */
+function renderTrail(tripMap, trip) {
+    const points = getTrailPoints(trip);
+    const color = trip.sosTriggered ? TRAIL_SOS_COLOR : TRAIL_COLOR;
+    const latLngs = points.map(point => [point.latitude, point.longitude]);
+
+    tripMap.trail.clearLayers();
+    if (!points.length) {
+        fitTripMap(tripMap, tripMap.legLatLngs || []);
+        return null;
+    }
+
+    points.forEach(point => {
+        if (point.accuracy) {
+            L.circle([point.latitude, point.longitude], {
+                radius: point.accuracy,
+                color,
+                weight: 1,
+                opacity: 0.3,
+                fillOpacity: 0.05
+            }).addTo(tripMap.trail);
+        }
+    });
+
+    if (points.length > 1) {
+        L.polyline(latLngs, { color, weight: 4, opacity: 0.8 }).addTo(tripMap.trail);
+    }
+
+    points.slice(0, -1).forEach(point => {
+        L.circleMarker([point.latitude, point.longitude], {
+            radius: 4,
+            color,
+            fillColor: '#fff',
+            fillOpacity: 1,
+            weight: 2
+        }).bindPopup(describeTrailPoint(point)).addTo(tripMap.trail);
+    });
+
+    getTrailArrows(points).forEach(arrow => {
+        L.marker([arrow.latitude, arrow.longitude], {
+            icon: createArrowIcon(arrow.bearing, color),
+            interactive: false
+        }).addTo(tripMap.trail);
+    });
+
+    const latest = points[points.length - 1];
+    const name = (trip.userId && trip.userId.name) || 'Traveler';
+    L.marker([latest.latitude, latest.longitude])
+        .bindPopup(`<b>${name}</b><br>Latest location<br><small>${describeTrailPoint(latest)}</small>`)
+        .addTo(tripMap.trail);
+
+    fitTripMap(tripMap, latLngs);
+    return latest;
+}
+
+window.getTrailPoints = getTrailPoints;
+window.getDistanceMeters = getDistanceMeters;
+window.getBearing = getBearing;
+window.getTrailArrows = getTrailArrows;
+window.describeTrailPoint = describeTrailPoint;
+window.createTripMap = createTripMap;
+window.renderLegs = renderLegs;
+window.renderPlannedRoute = renderPlannedRoute;
+window.renderTrail = renderTrail;
@@ -0,0 +1,110 @@
+// ========================
+// SOLOSAFE - TRIP STATUS
+// One set of trip states for every page, so a trip in SOS reads the
+// same to the traveller and to their contacts. The backend stores
+// 'Active', 'EMERGENCY', 'Completed' or 'Cancelled'; upcoming, grace
+// and missed are worked out from the dates and check-in schedule.
+// Load after checkin-schedule.js.
+// ========================
+
+const TRIP_STATUSES = {
+    upcoming: { label: 'Upcoming', badge: 'UPCOMING', emoji: '📅', icon: 'fas fa-calendar', stored: 'Active' },
+    active: { label: 'Active', badge: 'ACTIVE', emoji: '✅', icon: 'fas fa-check-circle', stored: 'Active' },
+    grace: { label: 'Check-in overdue', badge: 'CHECK-IN OVERDUE', emoji: '⏳', icon: 'fas fa-hourglass-half', stored: 'Active' },
+    missed: { label: 'Missed check-in', badge: 'MISSED CHECK-IN', emoji: '⚠️', icon: 'fas fa-clock', stored: 'Active' },
+    sos: { label: 'SOS', badge: 'EMERGENCY', emoji: '🚨', icon: 'fas fa-exclamation-triangle', stored: 'EMERGENCY' },
+    completed: { label: 'Completed', badge: 'COMPLETED', emoji: '🏁', icon: 'fas fa-flag-checkered', stored: 'Completed' },
+    cancelled: { label: 'Cancelled', badge: 'CANCELLED', emoji: '🚫', icon: 'fas fa-ban', stored: 'Cancelled' }
+};
+
+// Where a trip may go from each state
+const TRIP_STATUS_TRANSITIONS = {
+    upcoming: ['active', 'sos', 'completed', 'cancelled'],
+    active: ['grace', 'sos', 'completed', 'cancelled'],
+    grace: ['active', 'missed', 'sos', 'completed'],
+    missed: ['active', 'sos', 'completed'],
+    sos: ['active', 'completed'],
+    completed: [],
+    cancelled: []
+};
+
+// Status strings older pages and backends wrote
+const TRIP_STATUS_ALIASES = {
+    safe: 'active',
+    emergency: 'sos',
+    'missed check-in': 'missed',
+    canceled: 'cancelled'
+};
+
+/**
+ * Key of TRIP_STATUSES for a stored status string, null if unknown
+ */
+function normalizeTripStatus(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (TRIP_STATUSES[key]) return key;
+    return TRIP_STATUS_ALIASES[key] || null;
+}
+
+/**
+ * Where the trip is now, one of the keys of TRIP_STATUSES
+ */
+function getTripStatus(trip, now = getNow()) {
+    const stored = normalizeTripStatus(trip.status);
+
+    if (stored === 'completed' || stored === 'cancelled') return stored;
+    if (trip.sosTriggered || stored === 'sos') return 'sos';
+    if (trip.startDate && now < new Date(trip.startDate).getTime()) return 'upcoming';
+
+    const { phase } = getCheckInState(trip, now);
+    if (phase === 'grace') return 'grace';
+    if (phase === 'expired' || stored === 'missed') return 'missed';
+
+    return 'active';
+}
+
+/**
+ * Ended or cancelled: no more check-ins, alerts or tracking
+ */
+function isTripFinished(trip) {
+    const stored = normalizeTripStatus(trip && trip.status);
+    return stored === 'completed' || stored === 'cancelled';
+}
+
+/**
+ * Whether the trip may move to `status` from where it is now
+ */
+function canChangeTripStatus(trip, status, now = getNow()) {
+    const current = getTripStatus(trip, now);
+    return current === status || TRIP_STATUS_TRANSITIONS[current].includes(status);
+}
+
+/**
+ * Move the trip to `status`, throws when that is not allowed from where it is now
+ */
+function setTripStatus(trip, status, now = getNow()) {
+    if (!TRIP_STATUSES[status]) throw new Error(`Unknown trip status: ${status}`);
+    if (!canChangeTripStatus(trip, status, now)) {
+        const current = TRIP_STATUSES[getTripStatus(trip, now)].label;
+        throw new Error(`A trip can't go from ${current} to ${TRIP_STATUSES[status].label}`);
+    }
+
+    trip.status = TRIP_STATUSES[status].stored;
+    trip.sosTriggered = status === 'sos';
+    return trip;
+}
+
+/**
+ * Show a status as a badge in `element`
+ */
+function applyTripStatusBadge(element, status, { emoji = false } = {}) {
+    const info = TRIP_STATUSES[status];
+    element.className = `trip-status status-${status}`;
+    element.textContent = emoji ? `${info.emoji} ${info.badge}` : info.badge;
+}
+
+window.normalizeTripStatus = normalizeTripStatus;
+window.getTripStatus = getTripStatus;
+window.isTripFinished = isTripFinished;
+window.canChangeTripStatus = canChangeTripStatus;
+window.setTripStatus = setTripStatus;
+window.applyTripStatusBadge = applyTripStatusBadge;